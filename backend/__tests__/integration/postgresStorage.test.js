@@ -0,0 +1,284 @@
+/**
+ * Integration Tests for PostgreSQL Storage
+ * Runs the migrations and repositories against a real database. Skipped
+ * unless DATABASE_URL is set; everything happens in a throwaway schema that
+ * is dropped afterwards, so existing tables are never touched.
+ */
+
+const { Pool } = require('pg');
+const { createPostgresStorage, TYPE_PARSERS } = require('../../storage/postgres');
+const { loadMigrations } = require('../../migrate');
+const { createPredictionId, PREDICTION_ID_MAX_LENGTH } = require('../../utils/gameLogic');
+const { USERNAME_MAX_LENGTH } = require('../../utils/auth');
+const { MAX_GAME_ID_LENGTH } = require('../../utils/schedule');
+
+const { DATABASE_URL } = process.env;
+const describeWithDatabase = DATABASE_URL ? describe : describe.skip;
+
+const SCHEMA = `storage_test_${process.pid}_${Date.now()}`;
+const SUBMITTED_AT = new Date('2025-11-22T07:00:00Z');
+
+function prediction(overrides = {}) {
+  const username = overrides.username || 'alice';
+  const stormId = overrides.stormId || 'ian-day1';
+  const timeframe = overrides.timeframe || '0600';
+  return {
+    predictionId: createPredictionId(username, stormId, timeframe, SUBMITTED_AT),
+    username,
+    stormId,
+    timeframe,
+    lat: 20.2,
+    lon: -83.2,
+    windSpeed: 135,
+    pressure: 945,
+    radiusNm: null,
+    windMin: null,
+    windMax: null,
+    submittedAt: SUBMITTED_AT,
+    latencySeconds: 3600,
+    timezone: null,
+    localHour: null,
+    ...overrides
+  };
+}
+
+function scoreUpdate(id, score) {
+  return { id, score, distanceErrorNm: 1.5, windError: 0, pressureError: 0, trackScore: score / 2, intensityScore: score / 2, changeScore: null };
+}
+
+describeWithDatabase('PostgreSQL Storage', () => {
+  let admin;
+  let storage;
+
+  beforeAll(async () => {
+    admin = new Pool({ connectionString: DATABASE_URL });
+    await admin.query(`CREATE SCHEMA ${SCHEMA}`);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = createPostgresStorage({
+      pool: new Pool({ connectionString: DATABASE_URL, options: `-c search_path=${SCHEMA}`, types: TYPE_PARSERS })
+    });
+    await storage.migrate();
+  });
+
+  afterAll(async () => {
+    if (storage) await storage.close();
+    await admin.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+    await admin.end();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    await admin.query(
+      `TRUNCATE ${SCHEMA}.predictions, ${SCHEMA}.sessions, ${SCHEMA}.users,
+        ${SCHEMA}.scoring_ledger, ${SCHEMA}.storm_finalizations RESTART IDENTITY CASCADE`
+    );
+  });
+
+  describe('migrations', () => {
+    test('should apply every migration once', async () => {
+      const applied = await admin.query(`SELECT version FROM ${SCHEMA}.schema_migrations`);
+
+      expect(applied.rows).toHaveLength(loadMigrations().length);
+      expect(await storage.migrate()).toEqual([]);
+    });
+
+    // Practice runs store library storm ids, never game ids
+    test('should leave prediction and game ids room for the longest ids', async () => {
+      const result = await admin.query(
+        `SELECT table_name, character_maximum_length
+         FROM information_schema.columns
+         WHERE table_schema = $1 AND column_name IN ('prediction_id', 'storm_id')
+           AND table_name <> 'practice_runs'`,
+        [SCHEMA]
+      );
+
+      expect(result.rows.length).toBeGreaterThan(0);
+      result.rows.forEach(row => {
+        expect([row.table_name, row.character_maximum_length]).toEqual([row.table_name, PREDICTION_ID_MAX_LENGTH]);
+      });
+    });
+  });
+
+  describe('predictions', () => {
+    test('should store a prediction with the longest ids and its first revision', async () => {
+      const longest = prediction({
+        username: 'u'.repeat(USERNAME_MAX_LENGTH),
+        stormId: 'g'.repeat(MAX_GAME_ID_LENGTH)
+      });
+
+      const created = await storage.predictions.create(longest);
+      const revisions = await storage.predictions.listRevisions(longest.predictionId, longest.username);
+
+      expect(created.prediction_id).toBe(longest.predictionId);
+      expect(created.predicted_lat).toBe(20.2);
+      expect(revisions).toHaveLength(1);
+    });
+
+    test('should reject a second prediction for the same timeframe', async () => {
+      await storage.predictions.create(prediction());
+
+      await expect(storage.predictions.create(prediction({ predictionId: 'other' })))
+        .rejects.toMatchObject({ code: '23505' });
+    });
+
+    test('should record each revision', async () => {
+      const created = await storage.predictions.create(prediction());
+      const revised = await storage.predictions.revise(
+        created.prediction_id,
+        { lat: 21, lon: -84, windSpeed: 140, pressure: 940, radiusNm: null, windMin: null, windMax: null },
+        new Date('2025-11-22T08:00:00Z')
+      );
+
+      expect(revised.predicted_lat).toBe(21);
+      expect(await storage.predictions.listRevisions(created.prediction_id, 'alice')).toHaveLength(2);
+      expect(await storage.predictions.listRevisions(created.prediction_id, 'bob')).toEqual([]);
+    });
+
+    test('should score rows and rank them with numeric totals', async () => {
+      const a = await storage.predictions.create(prediction());
+      const b = await storage.predictions.create(prediction({ username: 'bob' }));
+      await storage.predictions.create(prediction({ username: 'bob', timeframe: '1200' }));
+
+      await storage.predictions.applyScores(
+        [scoreUpdate(a.id, 1500), scoreUpdate(b.id, 1700)],
+        { scoringVersion: 'v2', actual: { lat: 20, lon: -83, windSpeed: 135, pressure: 945 } }
+      );
+
+      expect(await storage.predictions.getStormLeaderboard('ian-day1')).toEqual([
+        { username: 'bob', total_score: 1700, predictions_count: 1, scored_count: 1 },
+        { username: 'alice', total_score: 1500, predictions_count: 1, scored_count: 1 }
+      ]);
+      expect(await storage.predictions.countUnscored('ian-day1')).toBe(1);
+
+      const [scored] = await storage.predictions.listScored({ username: 'alice' });
+      expect(scored).toMatchObject({ score: 1500, actual_lat: 20, distance_error_nm: 1.5, scoring_version: 'v2' });
+    });
+
+    test('should report user stats and global rank', async () => {
+      const created = await storage.predictions.create(prediction());
+      await storage.predictions.applyScores([scoreUpdate(created.id, 1500)], { scoringVersion: 'v2' });
+
+      const { stats, globalRank, submissionTiming } = await storage.predictions.getUserStats('alice');
+
+      expect(stats.total_score).toBe(1500);
+      expect(globalRank).toEqual({ rank: 1, total_score: 1500 });
+      expect(submissionTiming.avg_unlock_latency_seconds).toBe(3600);
+    });
+  });
+
+  describe('sessions', () => {
+    beforeEach(async () => {
+      await storage.users.create({ username: 'alice', displayName: 'Alice', passwordHash: 'x' });
+    });
+
+    test('should find the account behind an unexpired session', async () => {
+      await storage.sessions.create('live', 'alice', new Date(Date.now() + 60 * 60 * 1000));
+
+      expect(await storage.sessions.findUser('live')).toMatchObject({ username: 'alice', display_name: 'Alice', role: 'player' });
+    });
+
+    test('should ignore expired and deleted sessions', async () => {
+      await storage.sessions.create('expired', 'alice', new Date(Date.now() - 1000));
+      await storage.sessions.create('live', 'alice', new Date(Date.now() + 60 * 60 * 1000));
+      await storage.sessions.delete('live');
+
+      expect(await storage.sessions.findUser('expired')).toBeNull();
+      expect(await storage.sessions.findUser('live')).toBeNull();
+    });
+  });
+
+  describe('results', () => {
+    test('should add up repeated scoring runs in the ledger', async () => {
+      await storage.results.recordScored('ian-day1', '0600', 2, 'scheduler');
+      await storage.results.recordScored('ian-day1', '0600', 1, 'admin');
+      await storage.results.recordScored('ian-day1', '1200', 3, 'scheduler');
+
+      const ledger = await storage.results.getLedger();
+      const row = await admin.query(`SELECT predictions_scored, scored_by FROM ${SCHEMA}.scoring_ledger WHERE timeframe = '0600'`);
+
+      expect(ledger['ian-day1'].sort()).toEqual(['0600', '1200']);
+      expect(row.rows[0]).toEqual({ predictions_scored: 3, scored_by: 'admin' });
+    });
+
+    test('should claim a finalization only once', async () => {
+      expect(await storage.results.claimFinalization('ian-day1', 2, 'scheduler')).toBe(true);
+      expect(await storage.results.claimFinalization('ian-day1', 2, 'scheduler')).toBe(false);
+
+      expect(await storage.results.listFinalizedIds(['ian-day1', 'irma-day1'])).toEqual(['ian-day1']);
+      expect(await storage.results.listFinalizations()).toEqual([
+        expect.objectContaining({ storm_id: 'ian-day1', participants: 2 })
+      ]);
+    });
+
+    test('should replace frozen standings', async () => {
+      await storage.results.claimFinalization('ian-day1', 2, 'scheduler');
+      await storage.results.writeStandings('ian-day1', [
+        { username: 'alice', rank: 1, totalScore: 1500, predictionsCount: 1, avgScore: 1500 }
+      ]);
+      await storage.results.writeStandings('ian-day1', [
+        { username: 'bob', rank: 1, totalScore: 1700, predictionsCount: 1, avgScore: 1700 },
+        { username: 'alice', rank: 2, totalScore: 1500, predictionsCount: 1, avgScore: 1500 }
+      ]);
+
+      expect(await storage.results.getStandings('ian-day1')).toEqual([
+        { username: 'bob', final_rank: 1, total_score: 1700, predictions_count: 1, avg_score: 1700 },
+        { username: 'alice', final_rank: 2, total_score: 1500, predictions_count: 1, avg_score: 1500 }
+      ]);
+      expect(await storage.results.countChampionships('bob')).toBe(1);
+    });
+  });
+
+  describe('transaction', () => {
+    test('should keep changes when the callback succeeds', async () => {
+      const created = await storage.predictions.create(prediction());
+
+      await storage.transaction(async tx => {
+        await tx.predictions.applyScores([scoreUpdate(created.id, 1800)], { scoringVersion: 'v2' });
+        await tx.results.recordScored('ian-day1', '0600', 1, 'test');
+      });
+
+      expect((await storage.predictions.listScored())[0].score).toBe(1800);
+      expect(await storage.results.getLedger()).toEqual({ 'ian-day1': ['0600'] });
+    });
+
+    test('should roll back every change when the callback throws', async () => {
+      const created = await storage.predictions.create(prediction());
+
+      await expect(storage.transaction(async tx => {
+        await tx.predictions.applyScores([scoreUpdate(created.id, 1800)], { scoringVersion: 'v2' });
+        await tx.results.recordScored('ian-day1', '0600', 1, 'test');
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(await storage.predictions.listScored()).toEqual([]);
+      expect(await storage.results.getLedger()).toEqual({});
+    });
+
+    test('should lock unscored rows against a concurrent scoring run', async () => {
+      await storage.predictions.create(prediction());
+      const order = [];
+
+      let releaseFirst;
+      const firstHolding = new Promise(resolve => { releaseFirst = resolve; });
+      const first = storage.transaction(async tx => {
+        await tx.predictions.lockUnscored('ian-day1', '0600');
+        order.push('first:locked');
+        await firstHolding;
+        order.push('first:end');
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const second = storage.transaction(async tx => {
+        await tx.predictions.lockUnscored('ian-day1', '0600');
+        order.push('second:locked');
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      releaseFirst();
+      await Promise.all([first, second]);
+
+      expect(order).toEqual(['first:locked', 'first:end', 'second:locked']);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for Authentication Utilities
+ * Tests for password hashing, session tokens and username rules
+ */
+
+const {
+  hashPassword,
+  verifyPassword,
+  generateSessionToken,
+  hashSessionToken,
+  getSessionExpiry,
+  generateClaimCode,
+  hashClaimCode,
+  getClaimCodeExpiry,
+  parseBearerToken,
+  safeCompare,
+  validateUsername,
+  validatePassword,
+  SESSION_TTL_DAYS,
+  CLAIM_CODE_TTL_DAYS
+} = require('../../utils/auth');
+
+describe('hashPassword / verifyPassword', () => {
+  test('should verify the original password', async () => {
+    const hash = await hashPassword('correct horse battery');
+    expect(await verifyPassword('correct horse battery', hash)).toBe(true);
+  });
+
+  test('should reject a wrong password', async () => {
+    const hash = await hashPassword('correct horse battery');
+    expect(await verifyPassword('incorrect horse', hash)).toBe(false);
+  });
+
+  test('should never store the plain-text password', async () => {
+    const hash = await hashPassword('hunter2hunter2');
+    expect(hash).not.toContain('hunter2hunter2');
+    expect(hash.startsWith('scrypt$')).toBe(true);
+  });
+
+  test('should salt each hash differently', async () => {
+    const hash1 = await hashPassword('same password');
+    const hash2 = await hashPassword('same password');
+    expect(hash1).not.toBe(hash2);
+  });
+
+  test('should reject missing or malformed hashes', async () => {
+    expect(await verifyPassword('anything', null)).toBe(false);
+    expect(await verifyPassword('anything', 'plaintext')).toBe(false);
+    expect(await verifyPassword('anything', 'md5$abc$def')).toBe(false);
+  });
+});
+
+describe('session tokens', () => {
+  test('should generate unique 64-character hex tokens', () => {
+    const token1 = generateSessionToken();
+    const token2 = generateSessionToken();
+    expect(token1).toMatch(/^[0-9a-f]{64}$/);
+    expect(token1).not.toBe(token2);
+  });
+
+  test('should hash tokens deterministically', () => {
+    const token = generateSessionToken();
+    expect(hashSessionToken(token)).toBe(hashSessionToken(token));
+    expect(hashSessionToken(token)).not.toBe(token);
+  });
+
+  test('should expire sessions after the TTL', () => {
+    const createdAt = new Date('2024-01-01T00:00:00Z');
+    const expiry = getSessionExpiry(createdAt);
+    const days = (expiry - createdAt) / (24 * 60 * 60 * 1000);
+    expect(days).toBe(SESSION_TTL_DAYS);
+  });
+});
+
+describe('claim codes', () => {
+  test('should generate distinct readable codes', () => {
+    const code = generateClaimCode();
+    expect(code).toMatch(/^[0-9A-F]{5}-[0-9A-F]{5}$/);
+    expect(generateClaimCode()).not.toBe(code);
+  });
+
+  test('should hash codes regardless of case, spaces and dashes', () => {
+    expect(hashClaimCode('7f3a9 c21b0')).toBe(hashClaimCode('7F3A9-C21B0'));
+    expect(hashClaimCode('7F3A9-C21B1')).not.toBe(hashClaimCode('7F3A9-C21B0'));
+  });
+
+  test('should expire codes after the TTL', () => {
+    const issuedAt = new Date('2025-01-01T00:00:00Z');
+    const days = (getClaimCodeExpiry(issuedAt) - issuedAt) / (24 * 60 * 60 * 1000);
+    expect(days).toBe(CLAIM_CODE_TTL_DAYS);
+  });
+});
+
+describe('parseBearerToken', () => {
+  test('should extract token from a bearer header', () => {
+    expect(parseBearerToken('Bearer abc123')).toBe('abc123');
+    expect(parseBearerToken('bearer abc123')).toBe('abc123');
+  });
+
+  test('should return null for missing or non-bearer headers', () => {
+    expect(parseBearerToken(undefined)).toBeNull();
+    expect(parseBearerToken('')).toBeNull();
+    expect(parseBearerToken('Basic dXNlcjpwYXNz')).toBeNull();
+    expect(parseBearerToken('Bearer')).toBeNull();
+  });
+});
+
+describe('safeCompare', () => {
+  test('should match identical secrets', () => {
+    expect(safeCompare('s3cret-key', 's3cret-key')).toBe(true);
+  });
+
+  test('should reject different secrets of any length', () => {
+    expect(safeCompare('s3cret-key', 's3cret-kez')).toBe(false);
+    expect(safeCompare('short', 's3cret-key')).toBe(false);
+  });
+
+  test('should never match when the secret is not configured', () => {
+    expect(safeCompare('', '')).toBe(false);
+    expect(safeCompare(undefined, undefined)).toBe(false);
+    expect(safeCompare('anything', undefined)).toBe(false);
+  });
+});
+
+describe('validateUsername', () => {
+  test('should accept ordinary usernames', () => {
+    expect(validateUsername('storm_chaser')).toBeNull();
+    expect(validateUsername('j.doe-99')).toBeNull();
+  });
+
+  test('should reject too short, too long or unusual characters', () => {
+    expect(validateUsername('ab')).not.toBeNull();
+    expect(validateUsername('a'.repeat(31))).not.toBeNull();
+    expect(validateUsername('has space')).not.toBeNull();
+    expect(validateUsername(undefined)).not.toBeNull();
+  });
+
+  test('should reject reserved route aliases', () => {
+    expect(validateUsername('me')).not.toBeNull();
+    expect(validateUsername('Admin')).not.toBeNull();
+  });
+});
+
+describe('validatePassword', () => {
+  test('should require at least 8 characters', () => {
+    expect(validatePassword('short')).not.toBeNull();
+    expect(validatePassword('longenough')).toBeNull();
+    expect(validatePassword(undefined)).not.toBeNull();
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit Tests for Baseline Forecast Utilities
+ * Tests for persistence and CLIPER forecasts, their scores and skill
+ */
+
+const {
+  BASELINES,
+  CLIMATOLOGY_MOTION,
+  persistenceForecast,
+  cliperForecast,
+  getBaselineForecast,
+  scoreBaseline,
+  getMaxScore,
+  calculateSkill,
+  summarizeSkill,
+  computeBaselineRows
+} = require('../../utils/baseline');
+const { getScoringProfile } = require('../../utils/gameLogic');
+
+const storm = {
+  id: 'test-storm',
+  timeframes: [
+    { timeframe: '0000', type: 'base', lat: 20.0, lon: -80.0, windSpeed: 100, pressure: 970, category: 2 },
+    { timeframe: '0600', type: 'prediction', lat: 20.5, lon: -81.0, windSpeed: 110, pressure: 962, category: 2 },
+    { timeframe: '1200', type: 'prediction', lat: 21.0, lon: -82.0, windSpeed: 120, pressure: 955, category: 3 },
+    { timeframe: '1800', type: 'prediction', lat: 21.5, lon: -83.0, windSpeed: 120, pressure: 955, category: 3 }
+  ]
+};
+
+describe('persistenceForecast', () => {
+  test('should repeat the last motion and keep the intensity', () => {
+    expect(persistenceForecast(storm.timeframes.slice(0, 2))).toEqual({
+      lat: 21.0,
+      lon: -82.0,
+      windSpeed: 110,
+      pressure: 962
+    });
+  });
+
+  test('should scale the motion by the hours between points', () => {
+    const history = [
+      { lat: 20.0, lon: -80.0, windSpeed: 100, pressure: 970, hours: 0 },
+      { lat: 21.0, lon: -82.0, windSpeed: 110, pressure: 962, hours: 12 }
+    ];
+    expect(persistenceForecast(history, 18)).toMatchObject({ lat: 21.5, lon: -83.0 });
+    expect(persistenceForecast(history, 24)).toMatchObject({ lat: 22.0, lon: -84.0 });
+  });
+
+  test('should hold the storm in place when only the base point is known', () => {
+    expect(persistenceForecast(storm.timeframes.slice(0, 1))).toEqual({
+      lat: 20.0,
+      lon: -80.0,
+      windSpeed: 100,
+      pressure: 970
+    });
+  });
+});
+
+describe('cliperForecast', () => {
+  test('should move with climatology when only the base point is known', () => {
+    const motion = CLIMATOLOGY_MOTION[0];
+    const forecast = cliperForecast(storm.timeframes.slice(0, 1));
+    expect(forecast.lat).toBeCloseTo(20.0 + motion.dLat, 6);
+    expect(forecast.lon).toBeCloseTo(-80.0 + motion.dLon, 6);
+    expect(forecast.windSpeed).toBe(100);
+  });
+
+  test('should move twice as far with climatology over a 12-hour step', () => {
+    const motion = CLIMATOLOGY_MOTION[0];
+    const forecast = cliperForecast([{ ...storm.timeframes[0], hours: 0 }], 12);
+    expect(forecast.lat).toBeCloseTo(20.0 + 2 * motion.dLat, 6);
+    expect(forecast.lon).toBeCloseTo(-80.0 + 2 * motion.dLon, 6);
+  });
+
+  test('should blend recent motion with climatology', () => {
+    const motion = CLIMATOLOGY_MOTION[0];
+    const forecast = cliperForecast(storm.timeframes.slice(0, 3));
+    // Halfway between persistence (+0.5, -1.0) and climatology, to a tenth of a degree
+    expect(Math.abs(forecast.lat - (21.0 + (0.5 + motion.dLat) / 2))).toBeLessThanOrEqual(0.051);
+    expect(Math.abs(forecast.lon - (-82.0 + (-1.0 + motion.dLon) / 2))).toBeLessThanOrEqual(0.051);
+  });
+
+  test('should carry half of the last intensity change forward', () => {
+    const forecast = cliperForecast(storm.timeframes.slice(0, 2));
+    expect(forecast.windSpeed).toBe(115);
+    expect(forecast.pressure).toBe(958);
+  });
+
+  test('should carry the intensity trend as a rate over 12-hour spacing', () => {
+    const history = storm.timeframes.slice(0, 2).map((tf, i) => ({ ...tf, hours: 12 * i }));
+    // +10 mph over 12 hours, half of it carried 12 hours on
+    expect(cliperForecast(history, 24)).toMatchObject({ windSpeed: 115, pressure: 958 });
+    expect(cliperForecast(history, 18)).toMatchObject({ windSpeed: 113, pressure: 960 });
+  });
+});
+
+describe('getBaselineForecast', () => {
+  test('should only use the points verified before the timeframe', () => {
+    expect(getBaselineForecast(storm, 'persistence', '1800')).toEqual(
+      persistenceForecast(storm.timeframes.slice(0, 3))
+    );
+  });
+
+  test('should time the points by the storm\'s lead hours', () => {
+    const spaced = {
+      ...storm,
+      timeframes: storm.timeframes.map((tf, i) => (i === 0 ? tf : { ...tf, leadHours: [6, 18, 30][i - 1] }))
+    };
+    // 0.5° north and 1° west in the first 6 hours, carried on for 12 hours
+    expect(getBaselineForecast(spaced, 'persistence', '1200')).toMatchObject({ lat: 21.5, lon: -83.0 });
+  });
+
+  test('should return null for unknown timeframes and baselines', () => {
+    expect(getBaselineForecast(storm, 'persistence', '0000')).toBeNull();
+    expect(getBaselineForecast(storm, 'persistence', '2400')).toBeNull();
+    expect(getBaselineForecast(storm, 'oracle', '0600')).toBeNull();
+  });
+});
+
+describe('scoreBaseline', () => {
+  test('should score a baseline like a player prediction', () => {
+    // Steady motion, so persistence is exact for 1200
+    const result = scoreBaseline(storm, 'persistence', '1200', getScoringProfile('v1'));
+    expect(result.distanceError).toBe(0);
+    expect(result.trackScore).toBe(1000);
+    expect(result.windError).toBe(10);
+  });
+
+  test('should return null for a timeframe the storm does not have', () => {
+    expect(scoreBaseline(storm, 'cliper', '2400', getScoringProfile())).toBeNull();
+  });
+});
+
+describe('skill scores', () => {
+  test('should add up the points a profile can award', () => {
+    expect(getMaxScore(getScoringProfile('v1'))).toBe(2000);
+    expect(getMaxScore(getScoringProfile('v3'))).toBe(2200);
+  });
+
+  test('should measure skill as the share of the gap to a perfect score', () => {
+    expect(calculateSkill(1500, 1000, 2000)).toBe(50);
+    expect(calculateSkill(1000, 1000, 2000)).toBe(0);
+    expect(calculateSkill(500, 1000, 2000)).toBe(-50);
+    expect(calculateSkill(2000, 1000, 2000)).toBe(100);
+  });
+
+  test('should have no skill when the baseline was perfect', () => {
+    expect(calculateSkill(2000, 2000, 2000)).toBeNull();
+  });
+
+  test('should pool points before taking the skill', () => {
+    const summary = summarizeSkill([
+      { score: 1900, baselineScore: 1990, maxScore: 2000 },
+      { score: 1600, baselineScore: 1000, maxScore: 2000 }
+    ]);
+    expect(summary.count).toBe(2);
+    expect(summary.avgScore).toBe(1750);
+    expect(summary.avgBaselineScore).toBe(1495);
+    expect(summary.beatBaseline).toBe(1);
+    expect(summary.skill).toBe(50.5);
+  });
+
+  test('should report no skill without scored predictions', () => {
+    expect(summarizeSkill([])).toMatchObject({ count: 0, avgScore: null, skill: null });
+  });
+});
+
+describe('computeBaselineRows', () => {
+  test('should add up each baseline over the scored timeframes', () => {
+    const profile = getScoringProfile();
+    const rows = computeBaselineRows(storm, [
+      { timeframe: '0600', profile },
+      { timeframe: '1200', profile }
+    ]);
+
+    expect(rows).toHaveLength(BASELINES.length);
+    rows.forEach(row => {
+      expect(row.isBaseline).toBe(true);
+      expect(row.predictions_count).toBe(2);
+      expect(row.total_score).toBe(
+        scoreBaseline(storm, row.baseline, '0600', profile).totalScore +
+        scoreBaseline(storm, row.baseline, '1200', profile).totalScore
+      );
+    });
+    expect(rows[0].total_score).toBeGreaterThanOrEqual(rows[1].total_score);
+  });
+
+  test('should score nothing before any timeframe is scored', () => {
+    computeBaselineRows(storm, []).forEach(row => {
+      expect(row.total_score).toBe(0);
+      expect(row.predictions_count).toBe(0);
+    });
+  });
+});
@@ -4,13 +4,46 @@
  */
 
 const {
+  getScoringProfile,
+  listScoringProfiles,
+  scoreTrack,
+  scoreIntensity,
   calculateDistance,
   calculateTrackScore,
   calculateIntensityScore,
+  getSaffirSimpsonCategory,
+  classifyIntensityChange,
+  scoreIntensityChange,
+  scorePrediction,
+  kernelScore,
+  CONE_COVERAGE,
+  summarizeCalibration,
+  getActiveStorms,
   getCurrentStorm,
+  getLeadHours,
   getActiveTimeframe,
+  getTimeframeWindow,
+  getExtendedTimeframes,
+  canRevisePrediction,
+  PREDICTION_ID_MAX_LENGTH,
+  createPredictionId,
+  getDueTimeframes,
+  getUnlockLatencySeconds,
+  isValidTimeZone,
+  getLocalHour,
+  evaluateTimingBadges,
+  getRevealedTimeframes,
+  getPredictionTimeframes,
+  getPreviousTimeframe,
+  summarizePredictionHistory,
+  PERFORMANCE_BADGE_RULES,
+  checkBadgeRule,
+  evaluatePerformanceBadges,
   shouldAwardBadge
 } = require('../../utils/gameLogic');
+const { mockStorms } = require('../fixtures/testData');
+const { USERNAME_MAX_LENGTH } = require('../../utils/auth');
+const { MAX_GAME_ID_LENGTH } = require('../../utils/schedule');
 
 describe('calculateDistance', () => {
   test('should calculate 0 distance for same coordinates', () => {
@@ -165,6 +198,11 @@ describe('Total Score Calculation', () => {
     expect(totalScore).toBe(2000);
   });
 
+  test('should add the intensity-change bonus on top of the 2000 points', () => {
+    const { changeScore } = scoreIntensityChange(getScoringProfile(), 120, { windSpeed: 120 }, { windSpeed: 120 });
+    expect(calculateTrackScore(0) + calculateIntensityScore(0, 0) + changeScore).toBe(2200);
+  });
+
   test('should calculate realistic moderate prediction score', () => {
     // 25 NM distance error, 8 mph wind error, 4 mb pressure error
     const distance = 25;
@@ -187,6 +225,226 @@ describe('Total Score Calculation', () => {
   });
 });
 
+describe('scoring profiles', () => {
+  test('should use v3 as the current profile', () => {
+    const profile = getScoringProfile();
+    expect(profile.version).toBe('v3');
+    expect(profile.track).toEqual({ maxPoints: 1000, decayPerNM: 0.01 });
+  });
+
+  test('should return null for unknown versions', () => {
+    expect(getScoringProfile('v99')).toBeNull();
+    expect(getScoringProfile('__proto__')).toBeNull();
+  });
+
+  test('should list every profile and flag the current one', () => {
+    const profiles = listScoringProfiles();
+    expect(profiles.map(p => p.version)).toContain('v2');
+    expect(profiles.filter(p => p.current).map(p => p.version)).toEqual(['v3']);
+  });
+
+  test('should match the default formulas under the current profile', () => {
+    const profile = getScoringProfile();
+    expect(scoreTrack(profile, 75)).toBe(calculateTrackScore(75));
+    expect(scoreIntensity(profile, 12, 7)).toBe(calculateIntensityScore(12, 7));
+  });
+
+  test('should apply a different profile\'s constants', () => {
+    const v2 = getScoringProfile('v2');
+    expect(scoreTrack(v2, 50)).toBe(Math.round(1000 * Math.exp(-0.007 * 50)));
+    expect(scoreIntensity(v2, 0, 0)).toBe(1000);
+    expect(scoreTrack(v2, 50)).toBeGreaterThan(calculateTrackScore(50));
+  });
+});
+
+describe('scorePrediction', () => {
+  const actual = { lat: 25.0, lon: -80.0, windSpeed: 120, pressure: 960 };
+  const previous = { windSpeed: 118 };
+
+  test('should return the full breakdown for a prediction', () => {
+    const result = scorePrediction({ lat: 25.5, lon: -80.0, windSpeed: 110, pressure: 965 }, actual);
+    expect(result.distanceError).toBeCloseTo(30, 0);
+    expect(result.windError).toBe(10);
+    expect(result.pressureError).toBe(5);
+    expect(result.trackScore).toBe(calculateTrackScore(result.distanceError));
+    expect(result.intensityScore).toBe(calculateIntensityScore(10, 5));
+    expect(result.totalScore).toBe(result.trackScore + result.intensityScore + result.changeScore);
+  });
+
+  test('should score a perfect prediction at 2000 plus the change bonus', () => {
+    const result = scorePrediction(actual, actual, getScoringProfile(), previous);
+    expect(result.trackScore + result.intensityScore).toBe(2000);
+    expect(result.totalScore).toBe(2200);
+  });
+
+  test('should record the profile version used', () => {
+    expect(scorePrediction(actual, actual).scoringVersion).toBe('v3');
+    expect(scorePrediction(actual, actual, getScoringProfile('v2')).scoringVersion).toBe('v2');
+  });
+
+  test('should accept numeric strings from DECIMAL columns', () => {
+    const result = scorePrediction(
+      { lat: '25.000000', lon: '-80.000000', windSpeed: 120, pressure: 960 },
+      actual,
+      getScoringProfile(),
+      previous
+    );
+    expect(result.distanceError).toBe(0);
+    expect(result.totalScore).toBe(2200);
+  });
+
+  test('should score the change call from the middle of a wind range', () => {
+    // Headline 120 mph, but the range 95-105 centres on a Category 2
+    const result = scorePrediction({ ...actual, windMin: 95, windMax: 105 }, actual, getScoringProfile(), previous);
+    expect(result.predictedCategory).toBe(2);
+    expect(result.predictedChange).toBe('weakening');
+  });
+
+  test('should leave the change component out of profiles without one', () => {
+    const result = scorePrediction(actual, actual, getScoringProfile('v1'), previous);
+    expect(result.changeScore).toBe(0);
+    expect(result.totalScore).toBe(2000);
+  });
+});
+
+describe('intensity change scoring', () => {
+  const profile = getScoringProfile();
+
+  test('should map wind speeds to Saffir-Simpson categories', () => {
+    expect([73, 74, 96, 111, 129, 130, 157].map(getSaffirSimpsonCategory)).toEqual([0, 1, 2, 3, 3, 4, 5]);
+  });
+
+  test('should classify changes as steady, gradual or rapid', () => {
+    expect([30, 26, 10, 5, -5, -10, -30].map(change => classifyIntensityChange(profile, change))).toEqual([
+      'rapid_intensification', 'rapid_intensification', 'strengthening', 'steady', 'steady', 'weakening', 'rapid_weakening'
+    ]);
+  });
+
+  test('should award category, direction and size for a correct rapid intensification call', () => {
+    const result = scoreIntensityChange(profile, 165, { windSpeed: 160 }, { windSpeed: 125 });
+    expect(result).toMatchObject({
+      changeScore: 200,
+      predictedCategory: 5,
+      actualCategory: 5,
+      predictedChange: 'rapid_intensification',
+      actualChange: 'rapid_intensification'
+    });
+  });
+
+  test('should give direction but not size points for missing how rapid a change is', () => {
+    const result = scoreIntensityChange(profile, 135, { windSpeed: 160 }, { windSpeed: 125 });
+    expect(result.predictedChange).toBe('strengthening');
+    expect(result.changeScore).toBe(50);
+  });
+
+  test('should give nothing for calling the wrong direction in the wrong category', () => {
+    expect(scoreIntensityChange(profile, 110, { windSpeed: 130 }, { windSpeed: 120 }).changeScore).toBe(0);
+  });
+
+  test('should derive the actual category from the wind, like the predicted one', () => {
+    // storms.json lists some 155 mph points as Category 5; by wind they are Category 4
+    const result = scoreIntensityChange(profile, 155, { windSpeed: 155, category: 5 });
+    expect(result.actualCategory).toBe(4);
+    expect(result.changeScore).toBe(100);
+  });
+
+  test('should only score the category without a previous timeframe', () => {
+    const result = scoreIntensityChange(profile, 120, { windSpeed: 120 });
+    expect(result).toMatchObject({ changeScore: 100, predictedChange: null, actualChange: null });
+  });
+});
+
+describe('uncertainty cones', () => {
+  const profile = getScoringProfile();
+  const actual = { lat: 25.0, lon: -80.0, windSpeed: 120, pressure: 960 };
+
+  // Expected track points when the real errors follow a cone of `trueRadius`
+  const expectedTrackScore = (claimedRadius, trueRadius) => {
+    const sigma = trueRadius / Math.sqrt(-2 * Math.log(1 - CONE_COVERAGE));
+    const n = 400;
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      const distance = sigma * Math.sqrt(-2 * Math.log(1 - (i + 0.5) / n));
+      total += scoreTrack(profile, distance, claimedRadius);
+    }
+    return total / n;
+  };
+
+  test('should score a zero-width forecast exactly like a point', () => {
+    expect(kernelScore(1000, 0.01, 0, 50, 2)).toBe(1000 * Math.exp(-0.5));
+    expect(scoreTrack(profile, 75, 0)).toBe(calculateTrackScore(75));
+    expect(scoreIntensity(profile, 12, 7, 0)).toBe(calculateIntensityScore(12, 7));
+  });
+
+  test('should stay within 0 and the maximum', () => {
+    [[0, 20], [0, 500], [300, 5], [300, 500]].forEach(([distance, radius]) => {
+      const score = scoreTrack(profile, distance, radius);
+      expect(score).toBeGreaterThanOrEqual(0);
+      expect(score).toBeLessThanOrEqual(1000);
+    });
+  });
+
+  test('should cost a little on a direct hit and pay off on a miss', () => {
+    expect(scoreTrack(profile, 0, 60)).toBeLessThan(1000);
+    expect(scoreTrack(profile, 120, 120)).toBeGreaterThan(calculateTrackScore(120));
+  });
+
+  test('should reward the honest radius most on average (proper scoring)', () => {
+    const honest = expectedTrackScore(80, 80);
+    [0, 40, 120, 200].forEach(radius => {
+      expect(expectedTrackScore(radius, 80)).toBeLessThan(honest);
+    });
+  });
+
+  test('should score a wind range around its middle', () => {
+    const ranged = scorePrediction({ ...actual, windSpeed: 100, windMin: 100, windMax: 140 }, actual);
+    const point = scorePrediction({ ...actual, windSpeed: 100 }, actual);
+
+    expect(ranged.windError).toBe(20);
+    expect(ranged.intensityScore).toBeGreaterThan(point.intensityScore);
+  });
+
+  test('should treat missing uncertainty as a point forecast', () => {
+    const forecast = { lat: 25.5, lon: -80.0, windSpeed: 110, pressure: 965 };
+    expect(scorePrediction({ ...forecast, radiusNm: null, windMin: null, windMax: null }, actual))
+      .toEqual(scorePrediction(forecast, actual));
+  });
+});
+
+describe('summarizeCalibration', () => {
+  const cone = (distance, radius) => ({ distance_error_nm: distance, predicted_radius_nm: radius });
+
+  test('should report no data without cones or ranges', () => {
+    const summary = summarizeCalibration([{ distance_error_nm: 40, predicted_radius_nm: null }]);
+    expect(summary.coverage).toBe(CONE_COVERAGE);
+    expect(summary.cone).toEqual({ count: 0, inside: 0, hitRate: null, verdict: 'no_data', avgRadiusNm: null });
+    expect(summary.windRange.verdict).toBe('no_data');
+  });
+
+  test('should count hits and wait for enough cones before judging', () => {
+    const summary = summarizeCalibration([cone(40, 60), cone(80, 60)]);
+    expect(summary.cone).toMatchObject({ count: 2, inside: 1, hitRate: 0.5, verdict: 'too_few', avgRadiusNm: 60 });
+  });
+
+  test('should flag cones that are too small or too large', () => {
+    const tight = Array.from({ length: 10 }, (_, i) => cone(50, i < 2 ? 60 : 20));
+    const loose = Array.from({ length: 30 }, () => cone(50, 200));
+    const honest = Array.from({ length: 12 }, (_, i) => cone(50, i < 8 ? 60 : 40));
+
+    expect(summarizeCalibration(tight).cone.verdict).toBe('overconfident');
+    expect(summarizeCalibration(loose).cone.verdict).toBe('underconfident');
+    expect(summarizeCalibration(honest).cone.verdict).toBe('calibrated');
+  });
+
+  test('should check wind ranges against the verifying wind', () => {
+    const summary = summarizeCalibration([
+      { predicted_wind_min: 100, predicted_wind_max: 130, actual_wind_speed: 120 },
+      { predicted_wind_min: 100, predicted_wind_max: 110, actual_wind_speed: 120 }
+    ]);
+    expect(summary.windRange).toMatchObject({ count: 2, inside: 1, avgWidthMph: 20 });
+  });
+});
+
 describe('getCurrentStorm', () => {
   const mockStorms = [
     {
@@ -232,16 +490,38 @@ describe('getCurrentStorm', () => {
     expect(storm.id).toBe('storm1');
   });
 
-  test('should return fallback to first storm if no match', () => {
+  test('should return null once the schedule has run out', () => {
     const currentTime = new Date('2024-01-10T12:00:00Z'); // After all storms
     const storm = getCurrentStorm(mockStorms, currentTime);
-    expect(storm.id).toBe('storm1');
+    expect(storm).toBeNull();
   });
 
-  test('should handle time before first storm', () => {
+  test('should return null before the first storm', () => {
     const currentTime = new Date('2023-12-31T12:00:00Z');
     const storm = getCurrentStorm(mockStorms, currentTime);
-    expect(storm.id).toBe('storm1'); // Fallback
+    expect(storm).toBeNull();
+  });
+});
+
+describe('getActiveStorms', () => {
+  const storms = [
+    { id: 'atlantic-1', basin: 'atlantic', gameStart: '2024-01-01T06:00:00Z', gameEnd: '2024-01-02T06:00:00Z' },
+    { id: 'epac-1', basin: 'east-pacific', gameStart: '2024-01-01T12:00:00Z', gameEnd: '2024-01-02T12:00:00Z' },
+    { id: 'atlantic-2', basin: 'atlantic', gameStart: '2024-01-02T06:00:00Z', gameEnd: '2024-01-03T06:00:00Z' }
+  ];
+
+  test('should return every game running at once', () => {
+    expect(getActiveStorms(storms, new Date('2024-01-01T18:00:00Z')).map(s => s.id)).toEqual(['atlantic-1', 'epac-1']);
+    expect(getActiveStorms(storms, new Date('2024-01-02T08:00:00Z')).map(s => s.id)).toEqual(['epac-1', 'atlantic-2']);
+  });
+
+  test('should return an empty list between games', () => {
+    expect(getActiveStorms(storms, new Date('2024-01-05T00:00:00Z'))).toEqual([]);
+    expect(getActiveStorms(undefined)).toEqual([]);
+  });
+
+  test('should keep getCurrentStorm returning the first active game', () => {
+    expect(getCurrentStorm(storms, new Date('2024-01-01T18:00:00Z')).id).toBe('atlantic-1');
   });
 });
 
@@ -326,6 +606,80 @@ describe('getActiveTimeframe', () => {
   });
 });
 
+describe('createPredictionId', () => {
+  test('should join the player, game, timeframe and submission time', () => {
+    expect(createPredictionId('alice', 'ian-day1', '0600', new Date('2025-11-22T06:00:00Z')))
+      .toBe('alice-ian-day1-0600-1763791200000');
+  });
+
+  test('should fit the column at the longest username, game id and timeframe', () => {
+    const id = createPredictionId(
+      'u'.repeat(USERNAME_MAX_LENGTH),
+      'g'.repeat(MAX_GAME_ID_LENGTH),
+      't'.repeat(10), // predictions.timeframe is VARCHAR(10)
+      new Date('9999-12-31T23:59:59Z')
+    );
+    expect(id.length).toBeLessThanOrEqual(PREDICTION_ID_MAX_LENGTH);
+  });
+});
+
+describe('getRevealedTimeframes', () => {
+  const storm = mockStorms[0]; // gameStart 2024-01-01T06:00:00Z
+
+  test('should return empty array for null storm', () => {
+    expect(getRevealedTimeframes(null)).toEqual([]);
+  });
+
+  test('should only reveal the base point before the first timeframe is scored', () => {
+    const timeframes = getRevealedTimeframes(storm, []);
+    const revealed = timeframes.filter(tf => !tf.locked);
+
+    expect(revealed).toHaveLength(1);
+    expect(revealed[0].type).toBe('base');
+    expect(revealed[0].lat).toBe(25.4);
+  });
+
+  test('should strip verifying data from locked timeframes', () => {
+    const timeframes = getRevealedTimeframes(storm);
+    const locked = timeframes.filter(tf => tf.locked);
+
+    expect(locked).toHaveLength(4);
+    locked.forEach(tf => {
+      expect(tf).not.toHaveProperty('lat');
+      expect(tf).not.toHaveProperty('lon');
+      expect(tf).not.toHaveProperty('windSpeed');
+      expect(tf).not.toHaveProperty('pressure');
+      expect(tf).not.toHaveProperty('category');
+    });
+  });
+
+  test('should reveal timeframes as they are scored', () => {
+    const timeframes = getRevealedTimeframes(storm, ['0600', '1200']);
+    const revealed = timeframes.filter(tf => !tf.locked).map(tf => tf.timeframe);
+
+    expect(revealed).toEqual(['0000', '0600', '1200']);
+  });
+
+  test('should keep a locked window hidden until it is scored', () => {
+    // 1800 locked at midnight, but scoring hasn't run for it yet
+    const timeframes = getRevealedTimeframes(storm, ['0600', '1200']);
+    expect(timeframes[3]).toMatchObject({ timeframe: '1800', locked: true });
+    expect(timeframes[3]).not.toHaveProperty('lat');
+  });
+
+  test('should reveal the whole track once every timeframe is scored', () => {
+    const timeframes = getRevealedTimeframes(storm, ['0600', '1200', '1800', '0000']);
+    expect(timeframes.every(tf => !tf.locked)).toBe(true);
+    expect(timeframes[4].lat).toBe(29.5);
+  });
+
+  test('should not modify the source storm', () => {
+    getRevealedTimeframes(storm, ['0600']);
+    expect(storm.timeframes[1]).not.toHaveProperty('locked');
+    expect(storm.timeframes[1].lat).toBe(26.1);
+  });
+});
+
 describe('shouldAwardBadge', () => {
   test('should award first_prediction badge on first prediction', () => {
     const stats = { totalPredictions: 1, totalScore: 1500, uniqueStorms: 1, currentScore: 1500 };
@@ -398,3 +752,310 @@ describe('shouldAwardBadge', () => {
     expect(shouldAwardBadge(stats, 'unknown_badge')).toBe(false);
   });
 });
+
+describe('getPredictionTimeframes / getPreviousTimeframe', () => {
+  const storm = mockStorms[0];
+
+  test('should exclude the base point', () => {
+    const timeframes = getPredictionTimeframes(storm);
+    expect(timeframes.map(tf => tf.timeframe)).toEqual(['0600', '1200', '1800', '0000']);
+  });
+
+  test('should return the base point before the first timeframe', () => {
+    expect(getPreviousTimeframe(storm, '0600').type).toBe('base');
+  });
+
+  test('should resolve the final 0000 timeframe to the 1800 point', () => {
+    expect(getPreviousTimeframe(storm, '0000').timeframe).toBe('1800');
+  });
+
+  test('should handle unknown storms and timeframes', () => {
+    expect(getPredictionTimeframes(null)).toEqual([]);
+    expect(getPreviousTimeframe(storm, '0300')).toBeNull();
+    expect(getPreviousTimeframe(null, '0600')).toBeNull();
+  });
+});
+
+describe('summarizePredictionHistory', () => {
+  const row = (predictedLat, predictedWind, actualWind = 100) => ({
+    predicted_lat: String(predictedLat),
+    predicted_lon: '-80.0',
+    actual_lat: '25.0',
+    actual_lon: '-80.0',
+    predicted_wind_speed: predictedWind,
+    actual_wind_speed: actualWind
+  });
+
+  test('should return zero counts for no history', () => {
+    expect(summarizePredictionHistory([])).toEqual({ within50NM: 0, windWithin10: 0, windWithin5: 0 });
+  });
+
+  test('should count predictions meeting each threshold', () => {
+    const summary = summarizePredictionHistory([
+      row(25.0, 100), // 0 NM, perfect wind
+      row(25.5, 108), // ~30 NM, 8 mph off
+      row(27.0, 130) // ~120 NM, 30 mph off
+    ]);
+    expect(summary).toEqual({ within50NM: 2, windWithin10: 2, windWithin5: 1 });
+  });
+});
+
+describe('performance badge rules', () => {
+  test('should define a rule for every performance badge that is not score based', () => {
+    const ids = PERFORMANCE_BADGE_RULES.map(rule => rule.badgeId);
+    expect(ids).toEqual(expect.arrayContaining([
+      'sharpshooter_bronze', 'sharpshooter_silver', 'sharpshooter_gold',
+      'bullseye', 'laser_precision',
+      'intensity_expert_bronze', 'intensity_expert_silver', 'intensity_expert_gold',
+      'pressure_perfect', 'close_call', 'rapid_intensification', 'cat5_survivor'
+    ]));
+  });
+
+  test('should award distance badges at their thresholds', () => {
+    expect(checkBadgeRule('sharpshooter_bronze', { distanceError: 50 })).toBe(true);
+    expect(checkBadgeRule('sharpshooter_bronze', { distanceError: 50.1 })).toBe(false);
+    expect(checkBadgeRule('bullseye', { distanceError: 25 })).toBe(true);
+    expect(checkBadgeRule('bullseye', { distanceError: 26 })).toBe(false);
+    expect(checkBadgeRule('laser_precision', { distanceError: 10 })).toBe(true);
+    expect(checkBadgeRule('laser_precision', { distanceError: 11 })).toBe(false);
+  });
+
+  test('should award count-based sharpshooter badges from history', () => {
+    expect(checkBadgeRule('sharpshooter_silver', { history: { within50NM: 3 } })).toBe(true);
+    expect(checkBadgeRule('sharpshooter_silver', { history: { within50NM: 2 } })).toBe(false);
+    expect(checkBadgeRule('sharpshooter_gold', { history: { within50NM: 10 } })).toBe(true);
+    expect(checkBadgeRule('sharpshooter_gold', { history: { within50NM: 9 } })).toBe(false);
+  });
+
+  test('should award intensity expert badges', () => {
+    expect(checkBadgeRule('intensity_expert_bronze', { windError: 10 })).toBe(true);
+    expect(checkBadgeRule('intensity_expert_bronze', { windError: 11 })).toBe(false);
+    expect(checkBadgeRule('intensity_expert_silver', { history: { windWithin10: 3 } })).toBe(true);
+    expect(checkBadgeRule('intensity_expert_gold', { history: { windWithin5: 5 } })).toBe(true);
+    expect(checkBadgeRule('intensity_expert_gold', { history: { windWithin5: 4, windWithin10: 20 } })).toBe(false);
+  });
+
+  test('should award pressure_perfect within 3 mb', () => {
+    expect(checkBadgeRule('pressure_perfect', { pressureError: 3 })).toBe(true);
+    expect(checkBadgeRule('pressure_perfect', { pressureError: 4 })).toBe(false);
+  });
+
+  test('should award close_call for great track with poor intensity', () => {
+    expect(checkBadgeRule('close_call', { distanceError: 4, windError: 31 })).toBe(true);
+    expect(checkBadgeRule('close_call', { distanceError: 4, windError: 30 })).toBe(false);
+    expect(checkBadgeRule('close_call', { distanceError: 6, windError: 40 })).toBe(false);
+  });
+
+  test('should require both actual and predicted increase for rapid_intensification', () => {
+    expect(checkBadgeRule('rapid_intensification', { actualWindChange: 30, predictedWindChange: 26 })).toBe(true);
+    expect(checkBadgeRule('rapid_intensification', { actualWindChange: 30, predictedWindChange: 20 })).toBe(false);
+    expect(checkBadgeRule('rapid_intensification', { actualWindChange: 20, predictedWindChange: 30 })).toBe(false);
+  });
+
+  test('should award cat5_survivor only for a completed category 5 storm averaging over 1500', () => {
+    const storm = { completed: true, hadCategory5: true, averageScore: 1600 };
+    expect(checkBadgeRule('cat5_survivor', { storm })).toBe(true);
+    expect(checkBadgeRule('cat5_survivor', { storm: { ...storm, completed: false } })).toBe(false);
+    expect(checkBadgeRule('cat5_survivor', { storm: { ...storm, hadCategory5: false } })).toBe(false);
+    expect(checkBadgeRule('cat5_survivor', { storm: { ...storm, averageScore: 1500 } })).toBe(false);
+  });
+
+  test('should return false for unknown badge ids', () => {
+    expect(checkBadgeRule('unknown_badge', { distanceError: 0 })).toBe(false);
+  });
+
+  test('should evaluate all rules for a near-perfect prediction', () => {
+    const earned = evaluatePerformanceBadges({
+      distanceError: 3,
+      windError: 2,
+      pressureError: 1,
+      history: { within50NM: 1, windWithin10: 1, windWithin5: 1 }
+    });
+    expect(earned).toEqual([
+      'sharpshooter_bronze', 'bullseye', 'laser_precision',
+      'intensity_expert_bronze', 'pressure_perfect'
+    ]);
+  });
+
+  test('should award nothing for an empty context', () => {
+    expect(evaluatePerformanceBadges({})).toEqual([]);
+  });
+});
+
+describe('getTimeframeWindow / getUnlockLatencySeconds', () => {
+  const storm = mockStorms[0]; // gameStart 2024-01-01T06:00:00Z
+
+  test('should match the windows used by getActiveTimeframe', () => {
+    const window = getTimeframeWindow(storm, '1200');
+    expect(window.unlockAt.toISOString()).toBe('2024-01-01T12:00:00.000Z');
+    expect(window.lockAt.toISOString()).toBe('2024-01-01T18:00:00.000Z');
+    expect(getActiveTimeframe(storm, window.unlockAt)).toBe('1200');
+  });
+
+  test('should open the first timeframe at game start', () => {
+    expect(getTimeframeWindow(storm, '0600').unlockAt.toISOString()).toBe('2024-01-01T06:00:00.000Z');
+  });
+
+  test('should treat 0000 as the final prediction timeframe', () => {
+    expect(getTimeframeWindow(storm, '0000').lockAt.toISOString()).toBe('2024-01-02T06:00:00.000Z');
+  });
+
+  test('should return null for unknown timeframes', () => {
+    expect(getTimeframeWindow(storm, '0300')).toBeNull();
+    expect(getUnlockLatencySeconds(storm, '0300')).toBeNull();
+  });
+
+  test('should list the later timeframes an extended forecast covers', () => {
+    expect(getExtendedTimeframes(storm, '0600')).toEqual([
+      { timeframe: '1200', leadHours: 12 },
+      { timeframe: '1800', leadHours: 18 },
+      { timeframe: '0000', leadHours: 24 }
+    ]);
+    expect(getExtendedTimeframes(storm, '0000')).toEqual([]);
+    expect(getExtendedTimeframes(storm, '0300')).toEqual([]);
+  });
+
+  test('should measure seconds since unlock', () => {
+    expect(getUnlockLatencySeconds(storm, '1200', new Date('2024-01-01T12:00:45Z'))).toBe(45);
+    expect(getUnlockLatencySeconds(storm, '1200', new Date('2024-01-01T13:30:00Z'))).toBe(5400);
+  });
+});
+
+describe('custom lead times', () => {
+  // 3-hourly, 12-hour game
+  const storm = {
+    gameStart: '2024-01-01T00:00:00Z',
+    timeframes: [
+      { timeframe: '0000', type: 'base' },
+      { timeframe: '0300', type: 'prediction', leadHours: 3 },
+      { timeframe: '0600', type: 'prediction', leadHours: 6 },
+      { timeframe: '0900', type: 'prediction', leadHours: 9 },
+      { timeframe: '1200', type: 'prediction', leadHours: 12 }
+    ]
+  };
+
+  test('should default to 6-hour steps', () => {
+    expect(getLeadHours(mockStorms[0])).toEqual([6, 12, 18, 24]);
+  });
+
+  test('should use the lead hours on each timeframe', () => {
+    expect(getLeadHours(storm)).toEqual([3, 6, 9, 12]);
+  });
+
+  test('should open each timeframe at the previous lead time', () => {
+    const window = getTimeframeWindow(storm, '0600');
+    expect(window.unlockAt.toISOString()).toBe('2024-01-01T03:00:00.000Z');
+    expect(window.lockAt.toISOString()).toBe('2024-01-01T06:00:00.000Z');
+  });
+
+  test('should pick the active timeframe from the lead times', () => {
+    expect(getActiveTimeframe(storm, new Date('2024-01-01T02:59:00Z'))).toBe('0300');
+    expect(getActiveTimeframe(storm, new Date('2024-01-01T10:00:00Z'))).toBe('1200');
+    expect(getActiveTimeframe(storm, new Date('2024-01-01T12:00:00Z'))).toBeNull();
+  });
+
+  test('should measure extended forecast lead times from the issuing unlock', () => {
+    expect(getExtendedTimeframes(storm, '0600')).toEqual([
+      { timeframe: '0900', leadHours: 6 },
+      { timeframe: '1200', leadHours: 9 }
+    ]);
+  });
+
+  test('should score on the lead times and reveal what was scored', () => {
+    const due = getDueTimeframes(storm, new Date('2024-01-01T07:00:00Z')).map(tf => tf.timeframe);
+    expect(due).toEqual(['0300', '0600']);
+    expect(getRevealedTimeframes(storm, due).map(tf => tf.locked)).toEqual([false, false, false, true, true]);
+  });
+});
+
+describe('canRevisePrediction', () => {
+  const storm = mockStorms[0]; // gameStart 2024-01-01T06:00:00Z
+  const prediction = { storm_id: storm.id, timeframe: '0600', score: null };
+
+  test('should allow edits while the timeframe is open', () => {
+    expect(canRevisePrediction(storm, prediction, new Date('2024-01-01T08:00:00Z'))).toBe(true);
+  });
+
+  test('should refuse edits once the timeframe locks', () => {
+    expect(canRevisePrediction(storm, prediction, new Date('2024-01-01T12:00:00Z'))).toBe(false);
+  });
+
+  test('should refuse edits to scored predictions or other storms', () => {
+    const now = new Date('2024-01-01T08:00:00Z');
+    expect(canRevisePrediction(storm, { ...prediction, score: 1200 }, now)).toBe(false);
+    expect(canRevisePrediction(storm, { ...prediction, storm_id: 'other' }, now)).toBe(false);
+    expect(canRevisePrediction(null, prediction, now)).toBe(false);
+  });
+});
+
+describe('getDueTimeframes', () => {
+  const storm = mockStorms[0]; // gameStart 2024-01-01T06:00:00Z
+  const labels = timeframes => timeframes.map(tf => tf.timeframe);
+
+  test('should return nothing before the first window locks', () => {
+    expect(getDueTimeframes(storm, new Date('2024-01-01T11:59:59Z'))).toEqual([]);
+  });
+
+  test('should return each timeframe once its window has locked', () => {
+    expect(labels(getDueTimeframes(storm, new Date('2024-01-01T12:00:00Z')))).toEqual(['0600']);
+    expect(labels(getDueTimeframes(storm, new Date('2024-01-01T19:00:00Z')))).toEqual(['0600', '1200']);
+  });
+
+  test('should catch up on every missed timeframe of an ended storm', () => {
+    const due = getDueTimeframes(storm, new Date('2024-03-01T00:00:00Z'));
+    expect(labels(due)).toEqual(['0600', '1200', '1800', '0000']);
+    expect(due.every(tf => tf.type === 'prediction')).toBe(true);
+  });
+
+  test('should skip timeframes already in the ledger', () => {
+    const due = getDueTimeframes(storm, new Date('2024-03-01T00:00:00Z'), ['0600', '1800']);
+    expect(labels(due)).toEqual(['1200', '0000']);
+  });
+
+  test('should handle a missing storm', () => {
+    expect(getDueTimeframes(null)).toEqual([]);
+  });
+});
+
+describe('time zone helpers', () => {
+  test('should validate IANA time zones', () => {
+    expect(isValidTimeZone('America/Chicago')).toBe(true);
+    expect(isValidTimeZone('Europe/London')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+
+  test('should return the local hour in the given zone', () => {
+    const instant = new Date('2024-07-01T03:30:00Z');
+    expect(getLocalHour(instant, 'UTC')).toBe(3);
+    expect(getLocalHour(instant, 'America/Chicago')).toBe(22); // CDT, UTC-5
+    expect(getLocalHour(instant, 'Asia/Tokyo')).toBe(12);
+  });
+});
+
+describe('evaluateTimingBadges', () => {
+  test('should award speed badges by latency', () => {
+    expect(evaluateTimingBadges({ latencySeconds: 30 })).toEqual(['early_bird', 'speed_demon', 'lightning_fast']);
+    expect(evaluateTimingBadges({ latencySeconds: 90 })).toEqual(['early_bird', 'speed_demon']);
+    expect(evaluateTimingBadges({ latencySeconds: 3600 })).toEqual(['early_bird']);
+    expect(evaluateTimingBadges({ latencySeconds: 3601 })).toEqual([]);
+  });
+
+  test('should award night_owl between 10PM and 6AM local time', () => {
+    expect(evaluateTimingBadges({ localHour: 22 })).toEqual(['night_owl']);
+    expect(evaluateTimingBadges({ localHour: 3 })).toEqual(['night_owl']);
+    expect(evaluateTimingBadges({ localHour: 21 })).toEqual([]);
+  });
+
+  test('should award early_morning between 5AM and 7AM local time', () => {
+    expect(evaluateTimingBadges({ localHour: 5 })).toEqual(['night_owl', 'early_morning']);
+    expect(evaluateTimingBadges({ localHour: 6 })).toEqual(['early_morning']);
+    expect(evaluateTimingBadges({ localHour: 7 })).toEqual([]);
+  });
+
+  test('should skip badges when timing data is unknown', () => {
+    expect(evaluateTimingBadges({})).toEqual([]);
+    expect(evaluateTimingBadges({ latencySeconds: null, localHour: null })).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for Landfall Utilities
+ * Tests for positions along the coastline and landfall scoring
+ */
+
+const {
+  LANDFALL_SCORING,
+  locateOnCoast,
+  alongCoastDistance,
+  isLandfallOpen,
+  scoreLandfall
+} = require('../../utils/landfall');
+const { calculateDistance } = require('../../utils/gameLogic');
+
+// A straight north-south coast along 80°W
+const coast = [[25, -80], [26, -80], [27, -80]];
+
+describe('locateOnCoast', () => {
+  test('should measure coast points from the start of the coast', () => {
+    const spot = locateOnCoast(26, -80, coast);
+    expect(spot.alongNm).toBeCloseTo(calculateDistance(25, -80, 26, -80), 6);
+    expect(spot.offshoreNm).toBe(0);
+  });
+
+  test('should move offshore points to the nearest spot on the coast', () => {
+    const spot = locateOnCoast(26.5, -79.5, coast);
+    expect(spot.lat).toBeCloseTo(26.5, 6);
+    expect(spot.lon).toBe(-80);
+    expect(spot.offshoreNm).toBeGreaterThan(25);
+  });
+
+  test('should clamp points beyond the ends of the coast', () => {
+    expect(locateOnCoast(24, -80, coast).alongNm).toBe(0);
+  });
+});
+
+describe('alongCoastDistance', () => {
+  test('should follow the coast rather than the straight line', () => {
+    // Across Florida: a few hundred NM by sea around the peninsula, far less overland
+    const capeCoral = { lat: 26.6, lon: -82.0 };
+    const palmBeach = { lat: 26.7, lon: -80.03 };
+    const straight = calculateDistance(capeCoral.lat, capeCoral.lon, palmBeach.lat, palmBeach.lon);
+    expect(alongCoastDistance(capeCoral, palmBeach)).toBeGreaterThan(2 * straight);
+  });
+
+  test('should be symmetric and zero for the same point', () => {
+    const a = { lat: 25.4, lon: -80 };
+    const b = { lat: 26.8, lon: -80 };
+    expect(alongCoastDistance(a, b, coast)).toBeCloseTo(alongCoastDistance(b, a, coast), 6);
+    expect(alongCoastDistance(a, a, coast)).toBe(0);
+  });
+});
+
+describe('isLandfallOpen', () => {
+  const storm = { landfallCutoff: '2025-11-22T12:00:00.000Z' };
+
+  test('should be open until the cutoff', () => {
+    expect(isLandfallOpen(storm, new Date('2025-11-22T11:59:59Z'))).toBe(true);
+    expect(isLandfallOpen(storm, new Date('2025-11-22T12:00:00Z'))).toBe(false);
+  });
+
+  test('should be closed for storms without landfalls', () => {
+    expect(isLandfallOpen({ landfallCutoff: null }, new Date('2025-11-22T00:00:00Z'))).toBe(false);
+  });
+});
+
+describe('scoreLandfall', () => {
+  const landfalls = [
+    { place: 'South', hoursAfterBase: 12, lat: 25.5, lon: -80, windSpeed: 150 },
+    { place: 'North', hoursAfterBase: 30, lat: 26.8, lon: -80, windSpeed: 110 }
+  ];
+
+  test('should give full points for an exact call', () => {
+    const result = scoreLandfall({ lat: 25.5, lon: -80, hoursAfterBase: 12, windSpeed: 150 }, landfalls, coast);
+    const max = LANDFALL_SCORING.location.maxPoints + LANDFALL_SCORING.timing.maxPoints + LANDFALL_SCORING.intensity.maxPoints;
+    expect(result).toMatchObject({ landfallIndex: 0, alongCoastErrorNm: 0, timingErrorHours: 0, windError: 0, totalScore: max });
+  });
+
+  test('should combine along-coast, timing and intensity errors', () => {
+    const result = scoreLandfall({ lat: 25.5, lon: -79.5, hoursAfterBase: 18, windSpeed: 140 }, landfalls, coast);
+    expect(result.alongCoastErrorNm).toBeCloseTo(0, 6);
+    expect(result.timingScore).toBe(Math.round(500 * Math.exp(-0.1 * 6)));
+    expect(result.intensityScore).toBe(Math.round(500 * Math.exp(-0.02 * 10)));
+    expect(result.totalScore).toBe(result.locationScore + result.timingScore + result.intensityScore);
+  });
+
+  test('should score a point far out to sea below the same spot on the coast', () => {
+    const onCoast = scoreLandfall({ lat: 25.5, lon: -80, hoursAfterBase: 12, windSpeed: 150 }, landfalls, coast);
+    // About 270 NM east of the landfall, which still projects onto it
+    const farOffshore = scoreLandfall({ lat: 25.5, lon: -75, hoursAfterBase: 12, windSpeed: 150 }, landfalls, coast);
+
+    expect(farOffshore.alongCoastErrorNm).toBeCloseTo(0, 6);
+    expect(farOffshore.offshoreErrorNm).toBeGreaterThan(200);
+    expect(farOffshore.locationScore).toBeLessThan(onCoast.locationScore / 5);
+  });
+
+  test('should not count a point just off the coast as offshore', () => {
+    const result = scoreLandfall({ lat: 25.5, lon: -79.7, hoursAfterBase: 12, windSpeed: 150 }, landfalls, coast);
+    expect(result.offshoreErrorNm).toBe(0);
+    expect(result.locationScore).toBe(LANDFALL_SCORING.location.maxPoints);
+  });
+
+  test('should score against the best-matching landfall', () => {
+    const result = scoreLandfall({ lat: 26.7, lon: -80, hoursAfterBase: 30, windSpeed: 115 }, landfalls, coast);
+    expect(result.landfallIndex).toBe(1);
+  });
+
+  test('should return null without recorded landfalls', () => {
+    expect(scoreLandfall({ lat: 25.5, lon: -80, hoursAfterBase: 12, windSpeed: 150 }, [], coast)).toBeNull();
+  });
+});
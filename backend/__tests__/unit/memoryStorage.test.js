@@ -0,0 +1,195 @@
+/**
+ * Unit Tests for In-Memory Storage
+ * Tests for transactions, unique violations and the aggregate queries
+ */
+
+const { createMemoryStorage, UNIQUE_VIOLATION } = require('../../storage/memory');
+const { createStorage } = require('../../storage');
+
+function prediction(overrides = {}) {
+  return {
+    predictionId: `${overrides.username || 'alice'}-${overrides.timeframe || '0600'}`,
+    username: 'alice',
+    stormId: 'ian-day1',
+    timeframe: '0600',
+    lat: 20.2,
+    lon: -83.2,
+    windSpeed: 135,
+    pressure: 945,
+    submittedAt: new Date('2025-11-22T07:00:00Z'),
+    latencySeconds: 3600,
+    timezone: null,
+    localHour: null,
+    ...overrides
+  };
+}
+
+function scoreUpdate(id, score) {
+  return { id, score, distanceErrorNm: 1, windError: 0, pressureError: 0, trackScore: score / 2, intensityScore: score / 2 };
+}
+
+describe('In-Memory Storage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+  });
+
+  describe('createStorage', () => {
+    test('should pick the backend from STORAGE_BACKEND', () => {
+      expect(createStorage({ STORAGE_BACKEND: 'memory' }).name).toBe('memory');
+    });
+
+    test('should reject unknown backends', () => {
+      expect(() => createStorage({ STORAGE_BACKEND: 'mongo' })).toThrow('Unknown STORAGE_BACKEND');
+    });
+  });
+
+  describe('unique constraints', () => {
+    test('should reject a second prediction for the same timeframe', async () => {
+      await storage.predictions.create(prediction());
+
+      await expect(storage.predictions.create(prediction({ predictionId: 'other' })))
+        .rejects.toMatchObject({ code: UNIQUE_VIOLATION });
+    });
+
+    test('should reject a taken username', async () => {
+      await storage.users.create({ username: 'alice', displayName: 'Alice', passwordHash: 'x' });
+
+      await expect(storage.users.create({ username: 'alice', displayName: 'Alice', passwordHash: 'y' }))
+        .rejects.toMatchObject({ code: UNIQUE_VIOLATION });
+    });
+  });
+
+  describe('transaction', () => {
+    test('should keep changes when the callback succeeds', async () => {
+      const created = await storage.predictions.create(prediction());
+
+      await storage.transaction(async tx => {
+        await tx.predictions.applyScores([scoreUpdate(created.id, 1800)], { scoringVersion: 'v2' });
+      });
+
+      const [scored] = await storage.predictions.listScored();
+      expect(scored.score).toBe(1800);
+    });
+
+    test('should roll back every change when the callback throws', async () => {
+      const created = await storage.predictions.create(prediction());
+
+      await expect(storage.transaction(async tx => {
+        await tx.predictions.applyScores([scoreUpdate(created.id, 1800)], { scoringVersion: 'v2' });
+        await tx.results.recordScored('ian-day1', '0600', 1, 'test');
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(await storage.predictions.listScored()).toEqual([]);
+      expect(await storage.results.getLedger()).toEqual({});
+    });
+
+    test('should run transactions one at a time', async () => {
+      const order = [];
+      const slow = storage.transaction(async () => {
+        order.push('first:start');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        order.push('first:end');
+      });
+      const fast = storage.transaction(async () => {
+        order.push('second');
+      });
+
+      await Promise.all([slow, fast]);
+      expect(order).toEqual(['first:start', 'first:end', 'second']);
+    });
+  });
+
+  describe('aggregates', () => {
+    beforeEach(async () => {
+      const a = await storage.predictions.create(prediction());
+      const b = await storage.predictions.create(prediction({ username: 'bob' }));
+      await storage.predictions.create(prediction({ username: 'bob', timeframe: '1200' }));
+      await storage.predictions.applyScores([scoreUpdate(a.id, 1500), scoreUpdate(b.id, 1700)], { scoringVersion: 'v2' });
+    });
+
+    test('should rank the storm leaderboard by scored total', async () => {
+      const leaderboard = await storage.predictions.getStormLeaderboard('ian-day1');
+
+      expect(leaderboard).toEqual([
+        { username: 'bob', total_score: 1700, predictions_count: 1, scored_count: 1 },
+        { username: 'alice', total_score: 1500, predictions_count: 1, scored_count: 1 }
+      ]);
+    });
+
+    test('should count all submissions in milestone totals unless scoredOnly', async () => {
+      expect(await storage.predictions.getTotals('bob')).toEqual({ totalPredictions: 2, totalScore: 1700, uniqueStorms: 1 });
+      expect((await storage.predictions.getTotals('bob', { scoredOnly: true })).totalPredictions).toBe(1);
+    });
+
+    test('should report user stats and global rank', async () => {
+      const { stats, globalRank, submissionTiming } = await storage.predictions.getUserStats('alice');
+
+      expect(stats.total_score).toBe(1500);
+      expect(globalRank).toEqual({ rank: 2, total_score: 1500 });
+      expect(submissionTiming.avg_unlock_latency_seconds).toBe(3600);
+    });
+
+    test('should return nulls in stats for a player with nothing scored', async () => {
+      const { stats, globalRank } = await storage.predictions.getUserStats('nobody');
+
+      expect(stats.total_score).toBeNull();
+      expect(globalRank).toBeNull();
+    });
+  });
+
+  describe('extended forecasts', () => {
+    const forecast = (timeframe, leadHours) => ({ timeframe, leadHours, lat: 21, lon: -84, windSpeed: 130, pressure: 950 });
+    const issuedAt = new Date('2025-11-22T07:00:00Z');
+
+    test('should replace the forecasts issued with a timeframe', async () => {
+      await storage.extendedForecasts.save('alice', 'ian-day1', '0600', [forecast('1200', 12), forecast('1800', 18)], issuedAt);
+      await storage.extendedForecasts.save('alice', 'ian-day1', '0600', [forecast('1200', 12)], issuedAt);
+
+      const rows = await storage.extendedForecasts.listForUser('alice', 'ian-day1');
+      expect(rows.map(f => [f.timeframe, f.lead_hours])).toEqual([['1200', 12]]);
+      expect(rows[0].predicted_radius_nm).toBeNull();
+    });
+
+    test('should score forecasts by target timeframe', async () => {
+      const [row] = await storage.extendedForecasts.save('alice', 'ian-day1', '0600', [forecast('1200', 12)], issuedAt);
+      await storage.extendedForecasts.save('alice', 'ian-day1', '1200', [forecast('1800', 12)], issuedAt);
+
+      const due = await storage.extendedForecasts.lockUnscored('ian-day1', '1200');
+      expect(due.map(f => f.id)).toEqual([row.id]);
+
+      await storage.extendedForecasts.applyScores([scoreUpdate(row.id, 1200)], {
+        scoringVersion: 'v1',
+        actual: { lat: 21, lon: -84, windSpeed: 130, pressure: 950 }
+      });
+      const scored = await storage.extendedForecasts.listScored({ username: 'alice' });
+      expect(scored).toHaveLength(1);
+      expect(scored[0]).toMatchObject({ score: 1200, actual_lat: 21, scoring_version: 'v1' });
+    });
+  });
+
+  describe('landfalls', () => {
+    const landfall = { lat: 26.7, lon: -82.25, hoursAfterBase: 36, windSpeed: 150 };
+    const submittedAt = new Date('2025-11-22T07:00:00Z');
+
+    test('should keep one landfall prediction per player and storm', async () => {
+      const first = await storage.landfalls.save('alice', 'ian-day1', landfall, submittedAt);
+      const second = await storage.landfalls.save('alice', 'ian-day1', { ...landfall, hoursAfterBase: 40 }, submittedAt);
+
+      expect(second.id).toBe(first.id);
+      expect((await storage.landfalls.findForUser('alice', 'ian-day1')).predicted_hours_after_base).toBe(40);
+      expect(await storage.landfalls.findForUser('bob', 'ian-day1')).toBeNull();
+    });
+
+    test('should list scored landfalls best first', async () => {
+      const a = await storage.landfalls.save('alice', 'ian-day1', landfall, submittedAt);
+      const b = await storage.landfalls.save('bob', 'ian-day1', landfall, submittedAt);
+      await storage.landfalls.applyScores([{ id: a.id, score: 1200 }, { id: b.id, score: 1500 }]);
+
+      expect(await storage.landfalls.lockUnscored('ian-day1')).toEqual([]);
+      expect((await storage.landfalls.listScored('ian-day1')).map(l => l.username)).toEqual(['bob', 'alice']);
+    });
+  });
+});
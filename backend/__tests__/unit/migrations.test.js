@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for Migration Utilities
+ * Tests for migration filenames, checksums, planning and the migration files
+ */
+
+const {
+  parseMigrationFilename,
+  computeChecksum,
+  planMigrations
+} = require('../../utils/migrations');
+const { loadMigrations } = require('../../migrate');
+
+function migration(filename, checksum = 'abc') {
+  return { ...parseMigrationFilename(filename), checksum };
+}
+
+describe('Migration Utilities', () => {
+  describe('parseMigrationFilename', () => {
+    test('should parse numbered migrations', () => {
+      expect(parseMigrationFilename('001_create_predictions.js')).toEqual({
+        version: '001',
+        name: 'create_predictions',
+        repeatable: false
+      });
+    });
+
+    test('should parse repeatable migrations', () => {
+      expect(parseMigrationFilename('R__badge_definitions.js')).toEqual({
+        version: 'R__badge_definitions',
+        name: 'badge_definitions',
+        repeatable: true
+      });
+    });
+
+    test('should ignore files that are not migrations', () => {
+      expect(parseMigrationFilename('README.md')).toBeNull();
+      expect(parseMigrationFilename('create_users.js')).toBeNull();
+      expect(parseMigrationFilename('002_Create-Users.js')).toBeNull();
+    });
+  });
+
+  describe('computeChecksum', () => {
+    test('should be stable for the same content', () => {
+      expect(computeChecksum('CREATE TABLE x')).toBe(computeChecksum('CREATE TABLE x'));
+      expect(computeChecksum('CREATE TABLE x')).toHaveLength(64);
+    });
+
+    test('should change when content changes', () => {
+      expect(computeChecksum('CREATE TABLE x')).not.toBe(computeChecksum('CREATE TABLE y'));
+    });
+  });
+
+  describe('planMigrations', () => {
+    test('should run everything on an empty database, versioned first in numeric order', () => {
+      const available = [
+        migration('R__badge_definitions.js'),
+        migration('010_create_accounts.js'),
+        migration('002_backfill.js'),
+        migration('001_create_predictions.js')
+      ];
+
+      const { pending, warnings } = planMigrations(available, []);
+
+      expect(pending.map(m => m.version)).toEqual(['001', '002', '010', 'R__badge_definitions']);
+      expect(warnings).toEqual([]);
+    });
+
+    test('should skip migrations that are already applied', () => {
+      const available = [migration('001_a.js'), migration('002_b.js')];
+      const applied = [{ version: '001', checksum: 'abc' }];
+
+      expect(planMigrations(available, applied).pending.map(m => m.version)).toEqual(['002']);
+    });
+
+    test('should warn rather than re-run an applied migration that was edited', () => {
+      const available = [migration('001_a.js', 'new')];
+      const applied = [{ version: '001', checksum: 'old' }];
+
+      const { pending, warnings } = planMigrations(available, applied);
+
+      expect(pending).toEqual([]);
+      expect(warnings).toEqual(['Migration 001_a was changed after it was applied']);
+    });
+
+    test('should warn about applied migrations with no file', () => {
+      const { warnings } = planMigrations([], [{ version: '003', checksum: 'abc' }]);
+      expect(warnings).toEqual(['Applied migration 003 has no file']);
+    });
+
+    test('should re-run repeatable migrations only when they change', () => {
+      const applied = [{ version: 'R__badge_definitions', checksum: 'abc' }];
+
+      expect(planMigrations([migration('R__badge_definitions.js', 'abc')], applied).pending).toEqual([]);
+      expect(planMigrations([migration('R__badge_definitions.js', 'def')], applied).pending)
+        .toHaveLength(1);
+    });
+
+    test('should reject two migrations with the same version', () => {
+      expect(() => planMigrations([migration('001_a.js'), migration('1_b.js')], []))
+        .toThrow('Duplicate migration version');
+    });
+  });
+
+  describe('migration files', () => {
+    const migrations = loadMigrations();
+
+    test('should each export an up function', () => {
+      expect(migrations.length).toBeGreaterThan(0);
+      migrations.forEach(m => {
+        expect(typeof require(m.file).up).toBe('function');
+      });
+    });
+
+    test('should plan cleanly with no duplicate versions', () => {
+      expect(() => planMigrations(migrations, [])).not.toThrow();
+    });
+
+    test('should define each badge once', () => {
+      const { BADGE_DEFINITIONS } = require('../../migrations/R__badge_definitions');
+      const ids = BADGE_DEFINITIONS.map(badge => badge.badge_id);
+
+      expect(new Set(ids).size).toBe(ids.length);
+      BADGE_DEFINITIONS.forEach(badge => {
+        expect(badge.name).toBeTruthy();
+        expect(badge.description).toBeTruthy();
+        expect(Number.isInteger(badge.points_value)).toBe(true);
+      });
+    });
+  });
+});
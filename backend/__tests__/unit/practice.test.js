@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for Practice Utilities
+ * Tests for archived storm selection and self-paced timeframe unlocking
+ */
+
+const {
+  getPracticeStorms,
+  getNextPracticeTimeframe,
+  getPracticeTimeframes
+} = require('../../utils/practice');
+const { mockStorms } = require('../fixtures/testData');
+
+const storm = mockStorms[0];
+
+describe('getPracticeStorms', () => {
+  const library = [{ id: 'ian' }, { id: 'irma' }, { id: 'maria' }];
+  const games = [
+    { stormId: 'ian', gameEnd: '2026-06-02T05:00:00Z' },
+    { stormId: 'irma', gameEnd: '2026-06-03T05:00:00Z' },
+    { stormId: 'ian', gameEnd: '2026-09-02T05:00:00Z' }
+  ];
+
+  test('should only offer storms whose game has ended', () => {
+    expect(getPracticeStorms(library, games, new Date('2026-06-01T12:00:00Z'))).toEqual([]);
+    expect(getPracticeStorms(library, games, new Date('2026-10-01T00:00:00Z')).map(s => s.id)).toEqual(['ian', 'irma']);
+  });
+
+  test('should hold back a storm that is scheduled to be played again', () => {
+    expect(getPracticeStorms(library, games, new Date('2026-06-04T00:00:00Z')).map(s => s.id)).toEqual(['irma']);
+  });
+
+  test('should never offer storms that were not scheduled', () => {
+    expect(getPracticeStorms(library, games, new Date('2030-01-01T00:00:00Z')).map(s => s.id)).not.toContain('maria');
+    expect(getPracticeStorms(library, undefined)).toEqual([]);
+  });
+});
+
+describe('getNextPracticeTimeframe', () => {
+  test('should start with the first prediction timeframe', () => {
+    expect(getNextPracticeTimeframe(storm, [])).toBe('0600');
+  });
+
+  test('should unlock the next timeframe as soon as the previous one is in', () => {
+    expect(getNextPracticeTimeframe(storm, ['0600'])).toBe('1200');
+    expect(getNextPracticeTimeframe(storm, ['0600', '1200', '1800'])).toBe('0000');
+  });
+
+  test('should return null when every timeframe is submitted', () => {
+    expect(getNextPracticeTimeframe(storm, ['0600', '1200', '1800', '0000'])).toBeNull();
+  });
+});
+
+describe('getPracticeTimeframes', () => {
+  test('should reveal the base point and submitted timeframes only', () => {
+    const timeframes = getPracticeTimeframes(storm, ['0600']);
+    expect(timeframes[0]).toMatchObject({ type: 'base', lat: storm.timeframes[0].lat, locked: false });
+    expect(timeframes[1]).toMatchObject({ timeframe: '0600', lat: storm.timeframes[1].lat, locked: false });
+    expect(timeframes[2]).toEqual({ timeframe: '1200', type: 'prediction', locked: true });
+  });
+
+  test('should never leak verifying data for unsubmitted timeframes', () => {
+    getPracticeTimeframes(storm, []).filter(tf => tf.locked).forEach(tf => {
+      expect(tf.lat).toBeUndefined();
+      expect(tf.windSpeed).toBeUndefined();
+    });
+  });
+
+  test('should handle a missing storm', () => {
+    expect(getPracticeTimeframes(null, [])).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for Rate Limiting Utilities
+ * Tests for limit config, the memory store, the limiter middleware and burst flags
+ */
+
+const {
+  DEFAULT_RATE_LIMITS,
+  getRateLimitConfig,
+  createMemoryStore,
+  getRetryAfterSeconds,
+  createRateLimiter,
+  createNewUsernameTracker
+} = require('../../utils/rateLimit');
+
+// Minimal Express response double
+function mockResponse() {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  return res;
+}
+
+async function hit(limiter, req) {
+  const res = mockResponse();
+  let passed = false;
+  await limiter(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+describe('getRateLimitConfig', () => {
+  test('should use the defaults without overrides', () => {
+    expect(getRateLimitConfig({})).toEqual(DEFAULT_RATE_LIMITS);
+  });
+
+  test('should read ipMax/userMax/windowSeconds overrides', () => {
+    const config = getRateLimitConfig({ RATE_LIMIT_PREDICTIONS: '120/30/300' });
+    expect(config.predictions).toEqual({ windowMs: 300000, ipMax: 120, userMax: 30 });
+  });
+
+  test('should keep defaults for empty or invalid parts', () => {
+    const config = getRateLimitConfig({ RATE_LIMIT_PROFILE: '/5', RATE_LIMIT_AUTH: 'lots' });
+    expect(config.profile).toEqual({ ...DEFAULT_RATE_LIMITS.profile, userMax: 5 });
+    expect(config.auth).toEqual(DEFAULT_RATE_LIMITS.auth);
+  });
+});
+
+describe('createMemoryStore', () => {
+  test('should count within a window and start over after it', () => {
+    const store = createMemoryStore();
+    expect(store.increment('k', 1000, 0)).toEqual({ count: 1, resetAt: 1000 });
+    expect(store.increment('k', 1000, 500)).toEqual({ count: 2, resetAt: 1000 });
+    expect(store.increment('k', 1000, 1000)).toEqual({ count: 1, resetAt: 2000 });
+  });
+
+  test('should sweep expired windows', () => {
+    const store = createMemoryStore();
+    store.increment('a', 1000, 0);
+    store.increment('b', 1000, 120000);
+    expect(store.size()).toBe(1);
+  });
+});
+
+describe('getRetryAfterSeconds', () => {
+  test('should round up to whole seconds, at least 1', () => {
+    expect(getRetryAfterSeconds(10500, 1000)).toBe(10);
+    expect(getRetryAfterSeconds(1000, 1000)).toBe(1);
+  });
+});
+
+describe('createRateLimiter', () => {
+  const limits = { windowMs: 60000, ipMax: 3, userMax: 2 };
+
+  test('should answer 429 with Retry-After once the IP limit is passed', async () => {
+    const limiter = createRateLimiter('test', limits, createMemoryStore());
+    const req = { ip: '1.2.3.4' };
+
+    for (let i = 0; i < 3; i++) {
+      expect((await hit(limiter, req)).passed).toBe(true);
+    }
+    const { passed, res } = await hit(limiter, req);
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(res.body.retryAfter).toBe(Number(res.headers['Retry-After']));
+  });
+
+  test('should limit a signed-in account across IPs', async () => {
+    const limiter = createRateLimiter('test', limits, createMemoryStore());
+    expect((await hit(limiter, { ip: 'a', user: { username: 'alice' } })).passed).toBe(true);
+    expect((await hit(limiter, { ip: 'b', user: { username: 'alice' } })).passed).toBe(true);
+    expect((await hit(limiter, { ip: 'c', user: { username: 'alice' } })).res.statusCode).toBe(429);
+    expect((await hit(limiter, { ip: 'c', user: { username: 'bob' } })).passed).toBe(true);
+  });
+
+  test('should limit the account being signed in to when given one', async () => {
+    const limiter = createRateLimiter('test', limits, createMemoryStore(), {
+      getAccount: req => req.body.username
+    });
+    expect((await hit(limiter, { ip: 'a', body: { username: 'alice' } })).passed).toBe(true);
+    expect((await hit(limiter, { ip: 'b', body: { username: 'Alice' } })).passed).toBe(true);
+    expect((await hit(limiter, { ip: 'c', body: { username: 'alice' } })).res.statusCode).toBe(429);
+    expect((await hit(limiter, { ip: 'c', body: {} })).passed).toBe(true);
+  });
+
+  test('should let requests through if the store fails', async () => {
+    const brokenStore = { increment: async () => { throw new Error('store down'); } };
+    const limiter = createRateLimiter('test', limits, brokenStore);
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await hit(limiter, { ip: 'a' })).passed).toBe(true);
+    spy.mockRestore();
+  });
+});
+
+describe('createNewUsernameTracker', () => {
+  test('should flag once when an IP reaches the threshold', () => {
+    const tracker = createNewUsernameTracker({ windowMs: 60000, threshold: 3 });
+    expect(tracker.record('ip', 'bot1', 0).flagged).toBe(false);
+    expect(tracker.record('ip', 'bot2', 10).flagged).toBe(false);
+    const third = tracker.record('ip', 'bot3', 20);
+    expect(third).toEqual({ flagged: true, usernames: ['bot1', 'bot2', 'bot3'] });
+    expect(tracker.record('ip', 'bot4', 30).flagged).toBe(false);
+    expect(tracker.record('ip', 'bot3', 40).flagged).toBe(false);
+  });
+
+  test('should forget usernames outside the window and keep IPs apart', () => {
+    const tracker = createNewUsernameTracker({ windowMs: 1000, threshold: 2 });
+    tracker.record('ip', 'a', 0);
+    expect(tracker.record('ip', 'b', 5000).flagged).toBe(false);
+    expect(tracker.record('other', 'c', 5000).flagged).toBe(false);
+  });
+});
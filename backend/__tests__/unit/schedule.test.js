@@ -0,0 +1,228 @@
+/**
+ * Unit Tests for Schedule Utilities
+ * Tests for building game runs from the storm library
+ */
+
+const {
+  getTimeZoneOffsetMinutes,
+  zonedTimeToUtc,
+  getGameId,
+  MAX_GAME_ID_LENGTH,
+  scheduleStorm,
+  buildSchedule,
+  getNextGame
+} = require('../../utils/schedule');
+const { mockStorms } = require('../fixtures/testData');
+
+// Library entries carry no dates; strip the fixture's scheduled fields
+const library = mockStorms.map(({ gameStart, gameEnd, timeframes, ...storm }) => ({
+  ...storm,
+  timeframes: timeframes.map(({ time, ...tf }) => tf)
+}));
+
+describe('time zone conversion', () => {
+  test('should report standard and daylight offsets', () => {
+    expect(getTimeZoneOffsetMinutes(new Date('2026-01-15T12:00:00Z'), 'America/Chicago')).toBe(-360);
+    expect(getTimeZoneOffsetMinutes(new Date('2026-07-15T12:00:00Z'), 'America/Chicago')).toBe(-300);
+    expect(getTimeZoneOffsetMinutes(new Date('2026-07-15T12:00:00Z'), 'Europe/London')).toBe(60);
+    expect(getTimeZoneOffsetMinutes(new Date('2026-07-15T12:00:00Z'), 'America/Puerto_Rico')).toBe(-240);
+  });
+
+  test('should convert local midnight to the right instant either side of DST', () => {
+    expect(zonedTimeToUtc('2025-11-22', '00:00', 'America/Chicago').toISOString()).toBe('2025-11-22T06:00:00.000Z');
+    expect(zonedTimeToUtc('2026-06-01', '00:00', 'America/Chicago').toISOString()).toBe('2026-06-01T05:00:00.000Z');
+  });
+
+  test('should resolve DST edge times', () => {
+    // 01:30 happens twice on the fall-back night: first occurrence (CDT)
+    expect(zonedTimeToUtc('2026-11-01', '01:30', 'America/Chicago').toISOString()).toBe('2026-11-01T06:30:00.000Z');
+    // 02:30 never happens on the spring-forward night: an hour earlier (01:30 CST)
+    expect(zonedTimeToUtc('2026-03-08', '02:30', 'America/Chicago').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+  });
+});
+
+describe('getGameId', () => {
+  test('should keep library ids for runs that preserve them', () => {
+    expect(getGameId({ id: '2025-launch', preserveStormIds: true }, 'ian-day1')).toBe('ian-day1');
+  });
+
+  test('should prefix the run id otherwise', () => {
+    expect(getGameId({ id: '2026', preserveStormIds: false }, 'ian-day1')).toBe('2026-ian-day1');
+  });
+});
+
+describe('scheduleStorm', () => {
+  const run = { id: '2026' };
+  const game = scheduleStorm(library[0], new Date('2026-06-01T05:00:00Z'), run);
+
+  test('should derive game start and end from the start time', () => {
+    expect(game.gameStart).toBe('2026-06-01T05:00:00.000Z');
+    expect(game.gameEnd).toBe('2026-06-02T05:00:00.000Z');
+  });
+
+  test('should place the base point at start and predictions 6 hours apart', () => {
+    expect(game.timeframes.map(tf => tf.time)).toEqual([
+      '2026-06-01T05:00:00.000Z',
+      '2026-06-01T11:00:00.000Z',
+      '2026-06-01T17:00:00.000Z',
+      '2026-06-01T23:00:00.000Z',
+      '2026-06-02T05:00:00.000Z'
+    ]);
+  });
+
+  test('should keep storm data and record where the game came from', () => {
+    expect(game.id).toBe(`2026-${library[0].id}`);
+    expect(game.stormId).toBe(library[0].id);
+    expect(game.runId).toBe('2026');
+    expect(game.name).toBe(library[0].name);
+    expect(game.timeframes[1].lat).toBe(library[0].timeframes[1].lat);
+  });
+});
+
+describe('scheduleStorm lead times', () => {
+  test('should take lead times from the run', () => {
+    const game = scheduleStorm(library[0], new Date('2026-06-01T00:00:00Z'), { id: 'r', leadHours: [12, 24, 36, 48] });
+    expect(game.gameEnd).toBe('2026-06-03T00:00:00.000Z');
+    expect(game.timeframes.filter(tf => tf.type === 'prediction').map(tf => tf.leadHours)).toEqual([12, 24, 36, 48]);
+    expect(game.timeframes[2].time).toBe('2026-06-02T00:00:00.000Z');
+  });
+
+  test('should reject lead times that do not match the storm', () => {
+    const start = new Date('2026-06-01T00:00:00Z');
+    expect(() => scheduleStorm(library[0], start, { id: 'r', leadHours: [6, 12] })).toThrow('lead times');
+    expect(() => scheduleStorm(library[0], start, { id: 'r', leadHours: [6, 6, 12, 18] })).toThrow('increasing');
+  });
+
+  test('should reject repeated prediction labels', () => {
+    const storm = {
+      id: 'twice',
+      timeframes: [
+        { timeframe: '0000', type: 'base' },
+        { timeframe: '0600', type: 'prediction' },
+        { timeframe: '0600', type: 'prediction' }
+      ]
+    };
+    expect(() => scheduleStorm(storm, new Date('2026-06-01T00:00:00Z'), { id: 'r' })).toThrow('unique');
+  });
+});
+
+describe('scheduleStorm landfall cutoff', () => {
+  const start = new Date('2026-06-01T00:00:00Z');
+  const storm = { ...library[0], landfalls: [{ place: 'Somewhere', hoursAfterBase: 30, lat: 26.7, lon: -82.25, windSpeed: 150 }] };
+
+  test('should close landfall predictions when the first timeframe verifies', () => {
+    expect(scheduleStorm(storm, start, { id: 'r' }).landfallCutoff).toBe('2026-06-01T06:00:00.000Z');
+  });
+
+  test('should take the cutoff from the run', () => {
+    expect(scheduleStorm(storm, start, { id: 'r', landfallCutoffHours: 12 }).landfallCutoff).toBe('2026-06-01T12:00:00.000Z');
+    expect(() => scheduleStorm(storm, start, { id: 'r', landfallCutoffHours: 0 })).toThrow('landfallCutoffHours');
+  });
+
+  test('should have no cutoff for storms without recorded landfalls', () => {
+    expect(scheduleStorm(library[0], start, { id: 'r' }).landfallCutoff).toBeNull();
+  });
+});
+
+describe('buildSchedule', () => {
+  const schedule = {
+    timeZone: 'America/Chicago',
+    runs: [
+      { id: '2026', startDate: '2026-06-01', cadenceDays: 1, playlist: [library[1].id, library[0].id] },
+      { id: 'launch', startDate: '2025-11-22', preserveStormIds: true, playlist: [library[0].id] }
+    ]
+  };
+
+  test('should space games by the cadence and sort every run by start', () => {
+    const games = buildSchedule(library, schedule);
+    expect(games.map(g => [g.id, g.gameStart])).toEqual([
+      [library[0].id, '2025-11-22T06:00:00.000Z'],
+      [`2026-${library[1].id}`, '2026-06-01T05:00:00.000Z'],
+      [`2026-${library[0].id}`, '2026-06-02T05:00:00.000Z']
+    ]);
+  });
+
+  test('should keep games at local midnight across a DST change', () => {
+    const games = buildSchedule(library, {
+      timeZone: 'America/Chicago',
+      runs: [{ id: 'spring', startDate: '2026-03-08', playlist: [library[0].id, library[1].id] }]
+    });
+    expect(games.map(g => g.gameStart)).toEqual(['2026-03-08T06:00:00.000Z', '2026-03-09T05:00:00.000Z']);
+    expect(games[0].timeZone).toBe('America/Chicago');
+  });
+
+  test('should honour a run time zone, start time and cadence', () => {
+    const games = buildSchedule(library, {
+      timeZone: 'America/Chicago',
+      runs: [{
+        id: 'eu', timeZone: 'Europe/Madrid', startDate: '2026-06-01', startTime: '18:00', cadenceDays: 2,
+        playlist: [library[0].id, library[1].id]
+      }]
+    });
+    expect(games.map(g => g.gameStart)).toEqual(['2026-06-01T16:00:00.000Z', '2026-06-03T16:00:00.000Z']);
+    expect(games[0].timeZone).toBe('Europe/Madrid');
+  });
+
+  test('should let runs in different basins overlap', () => {
+    const games = buildSchedule(library, {
+      runs: [
+        { id: 'atl', basin: 'atlantic', startDate: '2026-06-01', playlist: [library[0].id] },
+        { id: 'epac', basin: 'east-pacific', startDate: '2026-06-01', startTime: '12:00', playlist: [library[0].id] }
+      ]
+    });
+    expect(games.map(g => [g.id, g.basin])).toEqual([
+      [`atl-${library[0].id}`, 'atlantic'],
+      [`epac-${library[0].id}`, 'east-pacific']
+    ]);
+  });
+
+  test('should default to UTC midnight', () => {
+    const games = buildSchedule(library, { runs: [{ id: 'r', startDate: '2026-06-01', playlist: [library[0].id] }] });
+    expect(games[0].gameStart).toBe('2026-06-01T00:00:00.000Z');
+    expect(games[0].basin).toBe('atlantic');
+  });
+
+  test('should reproduce the same dates for the same schedule', () => {
+    expect(buildSchedule(library, schedule)).toEqual(buildSchedule(library, schedule));
+  });
+
+  test('should reject unknown storms', () => {
+    const bad = { runs: [{ id: 'x', startDate: '2026-01-01', playlist: ['nope'] }] };
+    expect(() => buildSchedule(library, bad)).toThrow('Unknown storm "nope"');
+  });
+
+  test('should reject malformed runs and duplicate games', () => {
+    expect(() => buildSchedule(library, { runs: [{ id: 'x', startDate: 'soon', playlist: [] }] })).toThrow('startDate');
+    expect(() => buildSchedule(library, { runs: [{ id: 'x', startDate: '2026-01-01', startTime: '9am', playlist: [] }] }))
+      .toThrow('startTime');
+    expect(() => buildSchedule(library, { timeZone: 'Mars/Olympus', runs: [{ id: 'x', startDate: '2026-01-01', playlist: [] }] }))
+      .toThrow('time zone');
+    const twice = { runs: [{ id: 'x', startDate: '2026-01-01', playlist: [library[0].id, library[0].id] }] };
+    expect(() => buildSchedule(library, twice)).toThrow('scheduled more than once');
+  });
+
+  test('should reject game ids too long to store', () => {
+    const long = { runs: [{ id: 'r'.repeat(MAX_GAME_ID_LENGTH), startDate: '2026-01-01', playlist: [library[0].id] }] };
+    expect(() => buildSchedule(library, long)).toThrow(`longer than ${MAX_GAME_ID_LENGTH} characters`);
+  });
+
+  test('should return no games for an empty schedule', () => {
+    expect(buildSchedule(library, { runs: [] })).toEqual([]);
+    expect(buildSchedule(library, undefined)).toEqual([]);
+  });
+});
+
+describe('getNextGame', () => {
+  const games = buildSchedule(library, {
+    runs: [{ id: 'r', startDate: '2026-06-01', playlist: library.map(s => s.id) }]
+  });
+
+  test('should return the first game that has not started', () => {
+    expect(getNextGame(games, new Date('2026-06-01T12:00:00Z')).id).toBe(games[1].id);
+    expect(getNextGame(games, new Date('2026-01-01T00:00:00Z')).id).toBe(games[0].id);
+  });
+
+  test('should return null when the schedule has run out', () => {
+    expect(getNextGame(games, new Date('2030-01-01T00:00:00Z'))).toBeNull();
+  });
+});
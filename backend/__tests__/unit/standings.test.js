@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for Standings Utilities
+ * Tests for storm rankings, comebacks and competitive badges
+ */
+
+const {
+  rankStandings,
+  computeFinalStandings,
+  computeLeadTimeStandings,
+  diffStandings,
+  computeStandingsProgression,
+  isComeback,
+  evaluateCompetitiveBadges
+} = require('../../utils/standings');
+
+describe('rankStandings', () => {
+  test('should rank by total score descending', () => {
+    const ranked = rankStandings([
+      { username: 'alice', totalScore: 1500 },
+      { username: 'bob', totalScore: 3000 },
+      { username: 'carol', totalScore: 2000 }
+    ]);
+    expect(ranked.map(e => [e.username, e.rank])).toEqual([['bob', 1], ['carol', 2], ['alice', 3]]);
+  });
+
+  test('should share ranks on ties and skip the next rank', () => {
+    const ranked = rankStandings([
+      { username: 'bob', totalScore: 3000 },
+      { username: 'alice', totalScore: 3000 },
+      { username: 'carol', totalScore: 2000 }
+    ]);
+    expect(ranked.map(e => [e.username, e.rank])).toEqual([['alice', 1], ['bob', 1], ['carol', 3]]);
+  });
+
+  test('should handle empty input', () => {
+    expect(rankStandings([])).toEqual([]);
+    expect(rankStandings(undefined)).toEqual([]);
+  });
+});
+
+describe('computeFinalStandings', () => {
+  test('should total scored predictions per player', () => {
+    const standings = computeFinalStandings([
+      { username: 'alice', score: 1000 },
+      { username: 'alice', score: 1500 },
+      { username: 'bob', score: 1800 }
+    ]);
+    expect(standings).toEqual([
+      { username: 'alice', totalScore: 2500, predictionsCount: 2, avgScore: 1250, rank: 1 },
+      { username: 'bob', totalScore: 1800, predictionsCount: 1, avgScore: 1800, rank: 2 }
+    ]);
+  });
+
+  test('should ignore unscored predictions', () => {
+    const standings = computeFinalStandings([
+      { username: 'alice', score: 1000 },
+      { username: 'bob', score: null }
+    ]);
+    expect(standings.map(e => e.username)).toEqual(['alice']);
+  });
+});
+
+describe('computeLeadTimeStandings', () => {
+  const forecast = (username, leadHours, score, distance = 50) =>
+    ({ username, lead_hours: leadHours, score, distance_error_nm: distance });
+
+  test('should build one board per lead time, shortest first', () => {
+    const boards = computeLeadTimeStandings([
+      forecast('alice', 24, 900),
+      forecast('alice', 12, 1500),
+      forecast('bob', 12, 1400)
+    ]);
+    expect(boards.map(b => b.leadHours)).toEqual([12, 24]);
+    expect(boards[0].standings.map(e => [e.username, e.rank])).toEqual([['alice', 1], ['bob', 2]]);
+  });
+
+  test('should rank by average score so forecast counts do not decide', () => {
+    const [board] = computeLeadTimeStandings([
+      forecast('alice', 12, 1000, 80),
+      forecast('alice', 12, 1200, 40),
+      forecast('bob', 12, 1500, 20)
+    ]);
+    expect(board.standings).toEqual([
+      { username: 'bob', totalScore: 1500, forecastsCount: 1, avgScore: 1500, avgDistanceErrorNm: 20, rank: 1 },
+      { username: 'alice', totalScore: 2200, forecastsCount: 2, avgScore: 1100, avgDistanceErrorNm: 60, rank: 2 }
+    ]);
+  });
+
+  test('should share ranks on equal averages and skip unscored forecasts', () => {
+    const [board] = computeLeadTimeStandings([
+      forecast('alice', 18, 1000),
+      forecast('bob', 18, 1000),
+      forecast('carol', 18, null)
+    ]);
+    expect(board.standings.map(e => e.rank)).toEqual([1, 1]);
+  });
+});
+
+describe('diffStandings', () => {
+  test('should report rank and score changes', () => {
+    const before = computeFinalStandings([
+      { username: 'alice', score: 1800 },
+      { username: 'bob', score: 1500 }
+    ]);
+    const after = computeFinalStandings([
+      { username: 'alice', score: 1400 },
+      { username: 'bob', score: 1600 }
+    ]);
+    expect(diffStandings(before, after)).toEqual([
+      { username: 'bob', oldRank: 2, newRank: 1, rankChange: 1, oldScore: 1500, newScore: 1600 },
+      { username: 'alice', oldRank: 1, newRank: 2, rankChange: -1, oldScore: 1800, newScore: 1400 }
+    ]);
+  });
+
+  test('should mark players missing from the old standings', () => {
+    const diff = diffStandings([], [{ username: 'alice', totalScore: 100, rank: 1 }]);
+    expect(diff[0]).toMatchObject({ oldRank: null, rankChange: null, oldScore: null });
+  });
+});
+
+describe('computeStandingsProgression / isComeback', () => {
+  const order = ['0600', '1200', '1800', '0000'];
+  const predictions = [
+    // alice starts last and finishes first
+    { username: 'alice', timeframe: '0600', score: 200 },
+    { username: 'alice', timeframe: '1200', score: 1900 },
+    { username: 'alice', timeframe: '1800', score: 1900 },
+    { username: 'alice', timeframe: '0000', score: 1900 },
+    ...['bob', 'carol', 'dave'].flatMap(username =>
+      order.map(timeframe => ({ username, timeframe, score: 1000 }))
+    )
+  ];
+
+  test('should build cumulative standings after each timeframe', () => {
+    const progression = computeStandingsProgression(predictions, order);
+    expect(progression).toHaveLength(4);
+    expect(progression[0].find(e => e.username === 'alice').rank).toBe(4);
+    expect(progression[3].find(e => e.username === 'alice').rank).toBe(1);
+    expect(progression[3].find(e => e.username === 'alice').totalScore).toBe(5900);
+  });
+
+  test('should detect a climb from the bottom half to the top quarter', () => {
+    const progression = computeStandingsProgression(predictions, order);
+    expect(isComeback('alice', progression)).toBe(true);
+    expect(isComeback('bob', progression)).toBe(false);
+  });
+
+  test('should not count a player who led throughout', () => {
+    const progression = computeStandingsProgression(
+      predictions.map(p => (p.username === 'alice' ? { ...p, score: 1900 } : p)),
+      order
+    );
+    expect(isComeback('alice', progression)).toBe(false);
+  });
+
+  test('should need at least two checkpoints', () => {
+    expect(isComeback('alice', computeStandingsProgression(predictions, ['0600']))).toBe(false);
+    expect(isComeback('alice', [])).toBe(false);
+  });
+});
+
+describe('evaluateCompetitiveBadges', () => {
+  test('should award placement badges by final rank', () => {
+    expect(evaluateCompetitiveBadges({ finalRank: 11 })).toEqual([]);
+    expect(evaluateCompetitiveBadges({ finalRank: 8 })).toEqual(['top_10']);
+    expect(evaluateCompetitiveBadges({ finalRank: 3 })).toEqual(['top_10', 'top_5', 'podium']);
+    expect(evaluateCompetitiveBadges({ finalRank: 2 })).toEqual(['top_10', 'top_5', 'podium', 'runner_up']);
+    expect(evaluateCompetitiveBadges({ finalRank: 1, championships: 1 }))
+      .toEqual(['top_10', 'top_5', 'podium', 'champion']);
+  });
+
+  test('should award repeat_champion on the third win', () => {
+    expect(evaluateCompetitiveBadges({ finalRank: 1, championships: 2 })).not.toContain('repeat_champion');
+    expect(evaluateCompetitiveBadges({ finalRank: 1, championships: 3 })).toContain('repeat_champion');
+  });
+
+  test('should award comeback_kid for a comeback', () => {
+    expect(evaluateCompetitiveBadges({ finalRank: 1, comeback: true })).toContain('comeback_kid');
+    expect(evaluateCompetitiveBadges({})).toEqual([]);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for Participation Utilities
+ * Tests for daily, weekend and storm attendance streaks
+ */
+
+const {
+  toDateKey,
+  calculateDayStreaks,
+  getWeekendKey,
+  calculateWeekendStreaks,
+  calculateStormStreaks,
+  evaluateConsistencyBadges
+} = require('../../utils/streaks');
+
+describe('toDateKey', () => {
+  test('should format as a UTC calendar day', () => {
+    expect(toDateKey(new Date('2024-03-05T23:59:59Z'))).toBe('2024-03-05');
+    expect(toDateKey(new Date('2024-03-06T00:00:00Z'))).toBe('2024-03-06');
+  });
+
+  test('should use the calendar day in the given time zone', () => {
+    // 9 pm Central is already the next day in UTC
+    expect(toDateKey(new Date('2024-03-06T03:00:00Z'), 'America/Chicago')).toBe('2024-03-05');
+    expect(toDateKey(new Date('2024-03-06T06:00:00Z'), 'America/Chicago')).toBe('2024-03-06');
+  });
+});
+
+describe('calculateDayStreaks', () => {
+  const today = new Date('2024-01-10T12:00:00Z');
+
+  test('should return zeros with no activity', () => {
+    expect(calculateDayStreaks([], today)).toEqual({ current: 0, best: 0 });
+  });
+
+  test('should count a run ending today', () => {
+    const days = ['2024-01-08', '2024-01-09', '2024-01-10'];
+    expect(calculateDayStreaks(days, today)).toEqual({ current: 3, best: 3 });
+  });
+
+  test('should keep the streak current if the last activity was yesterday', () => {
+    const days = ['2024-01-08', '2024-01-09'];
+    expect(calculateDayStreaks(days, today).current).toBe(2);
+  });
+
+  test('should reset the current streak after a missed day', () => {
+    const days = ['2024-01-06', '2024-01-07', '2024-01-08'];
+    expect(calculateDayStreaks(days, today)).toEqual({ current: 0, best: 3 });
+  });
+
+  test('should track best separately from current', () => {
+    const days = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-09', '2024-01-10'];
+    expect(calculateDayStreaks(days, today)).toEqual({ current: 2, best: 4 });
+  });
+
+  test('should ignore duplicate and unsorted days', () => {
+    const days = ['2024-01-10', '2024-01-09', '2024-01-10', '2024-01-08'];
+    expect(calculateDayStreaks(days, today)).toEqual({ current: 3, best: 3 });
+  });
+
+  test('should count across month boundaries', () => {
+    const days = ['2024-01-30', '2024-01-31', '2024-02-01'];
+    expect(calculateDayStreaks(days, new Date('2024-02-01T00:00:00Z')).best).toBe(3);
+  });
+
+  test('should judge today in the game time zone', () => {
+    // 9 pm Central on the 10th, already the 11th in UTC
+    const evening = new Date('2024-01-11T03:00:00Z');
+    expect(calculateDayStreaks(['2024-01-09'], evening, 'America/Chicago').current).toBe(1);
+    expect(calculateDayStreaks(['2024-01-09'], evening).current).toBe(0);
+  });
+});
+
+describe('getWeekendKey', () => {
+  test('should map Saturday and Sunday to the Saturday', () => {
+    expect(getWeekendKey('2024-01-06')).toBe('2024-01-06'); // Saturday
+    expect(getWeekendKey('2024-01-07')).toBe('2024-01-06'); // Sunday
+  });
+
+  test('should return null on weekdays', () => {
+    expect(getWeekendKey('2024-01-08')).toBeNull(); // Monday
+    expect(getWeekendKey('2024-01-05')).toBeNull(); // Friday
+  });
+});
+
+describe('calculateWeekendStreaks', () => {
+  test('should count consecutive weekends', () => {
+    const days = ['2024-01-06', '2024-01-14', '2024-01-20', '2024-01-28'];
+    const streaks = calculateWeekendStreaks(days, new Date('2024-01-29T12:00:00Z'));
+    expect(streaks).toEqual({ current: 4, best: 4 });
+  });
+
+  test('should break on a missed weekend', () => {
+    const days = ['2024-01-06', '2024-01-20', '2024-01-27'];
+    expect(calculateWeekendStreaks(days, new Date('2024-01-27T12:00:00Z'))).toEqual({ current: 2, best: 2 });
+  });
+
+  test('should ignore weekday activity', () => {
+    const days = ['2024-01-08', '2024-01-09', '2024-01-10'];
+    expect(calculateWeekendStreaks(days, new Date('2024-01-10T12:00:00Z'))).toEqual({ current: 0, best: 0 });
+  });
+
+  test('should keep the streak current until the next weekend passes', () => {
+    const days = ['2024-01-06', '2024-01-13'];
+    // Friday after the last weekend played
+    expect(calculateWeekendStreaks(days, new Date('2024-01-19T12:00:00Z')).current).toBe(2);
+    // Monday after a missed weekend
+    expect(calculateWeekendStreaks(days, new Date('2024-01-22T12:00:00Z')).current).toBe(0);
+  });
+
+  test('should judge the weekend in the game time zone', () => {
+    // 8 pm Central on Sunday the 14th, already Monday in UTC
+    const sundayEvening = new Date('2024-01-15T02:00:00Z');
+    expect(calculateWeekendStreaks(['2024-01-06'], sundayEvening, 'America/Chicago').current).toBe(1);
+    expect(calculateWeekendStreaks(['2024-01-06'], sundayEvening).current).toBe(0);
+  });
+});
+
+describe('calculateStormStreaks', () => {
+  const storm = (submitted, ended = true) => ({ stormId: 's', submitted, required: 4, ended });
+
+  test('should return zeros for no storms', () => {
+    expect(calculateStormStreaks([])).toEqual({ current: 0, best: 0, completedStorms: 0 });
+  });
+
+  test('should count consecutive complete storms', () => {
+    expect(calculateStormStreaks([storm(4), storm(4), storm(4)]))
+      .toEqual({ current: 3, best: 3, completedStorms: 3 });
+  });
+
+  test('should break the run on an incomplete or skipped storm', () => {
+    expect(calculateStormStreaks([storm(4), storm(4), storm(2), storm(4)]))
+      .toEqual({ current: 1, best: 2, completedStorms: 3 });
+    expect(calculateStormStreaks([storm(4), storm(0)]))
+      .toEqual({ current: 0, best: 1, completedStorms: 1 });
+  });
+
+  test('should not break the run on a storm still in progress', () => {
+    expect(calculateStormStreaks([storm(4), storm(4), storm(1, false)]))
+      .toEqual({ current: 2, best: 2, completedStorms: 2 });
+  });
+
+  test('should count runs per basin', () => {
+    const inBasin = (basin, submitted) => ({ ...storm(submitted), basin });
+    // Skipping the concurrent Pacific games doesn't break the Atlantic run
+    const storms = [
+      inBasin('atlantic', 4), inBasin('pacific', 0),
+      inBasin('atlantic', 4), inBasin('pacific', 0),
+      inBasin('atlantic', 4)
+    ];
+    expect(calculateStormStreaks(storms)).toEqual({ current: 3, best: 3, completedStorms: 3 });
+    expect(calculateStormStreaks([...storms, inBasin('atlantic', 0)]))
+      .toEqual({ current: 0, best: 3, completedStorms: 3 });
+  });
+});
+
+describe('evaluateConsistencyBadges', () => {
+  const streaks = (days, storms, completedStorms, weekends) => ({
+    days: { current: days, best: days },
+    storms: { current: storms, best: storms, completedStorms },
+    weekends: { current: weekends, best: weekends }
+  });
+
+  test('should award nothing without participation', () => {
+    expect(evaluateConsistencyBadges(streaks(0, 0, 0, 0))).toEqual([]);
+    expect(evaluateConsistencyBadges({})).toEqual([]);
+  });
+
+  test('should award day streak badges at each threshold', () => {
+    expect(evaluateConsistencyBadges(streaks(3, 0, 0, 0))).toEqual(['streak_3']);
+    expect(evaluateConsistencyBadges(streaks(7, 0, 0, 0))).toEqual(['streak_3', 'streak_7']);
+    expect(evaluateConsistencyBadges(streaks(30, 0, 0, 0)))
+      .toEqual(['streak_3', 'streak_7', 'streak_14', 'streak_30', 'dedication']);
+  });
+
+  test('should award storm attendance badges', () => {
+    expect(evaluateConsistencyBadges(streaks(0, 1, 1, 0))).toEqual(['never_miss']);
+    expect(evaluateConsistencyBadges(streaks(0, 3, 3, 0))).toEqual(['never_miss', 'perfect_attendance']);
+    expect(evaluateConsistencyBadges(streaks(0, 5, 5, 0)))
+      .toEqual(['never_miss', 'perfect_attendance', 'iron_will']);
+  });
+
+  test('should award weekend_warrior after 4 consecutive weekends', () => {
+    expect(evaluateConsistencyBadges(streaks(0, 0, 0, 3))).toEqual([]);
+    expect(evaluateConsistencyBadges(streaks(0, 0, 0, 4))).toEqual(['weekend_warrior']);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Validation Utilities
+ * Tests for typed, range-checked prediction and profile payloads
+ */
+
+const {
+  checkNumber,
+  validatePrediction,
+  validateLandfallPrediction,
+  validateExtendedForecasts,
+  validateBasinPositions,
+  validateProfile
+} = require('../../utils/validation');
+
+const validPrediction = { lat: 25.4, lon: -80.2, windSpeed: 120, pressure: 950 };
+
+describe('checkNumber', () => {
+  const rule = { label: 'Pressure', min: 870, max: 1020, integer: true, unit: 'mb' };
+
+  test('should accept values within range', () => {
+    expect(checkNumber(870, rule)).toBeNull();
+    expect(checkNumber(1020, rule)).toBeNull();
+  });
+
+  test('should explain what is wrong', () => {
+    expect(checkNumber(undefined, rule)).toBe('Pressure is required');
+    expect(checkNumber('950', rule)).toBe('Pressure must be a number');
+    expect(checkNumber(NaN, rule)).toBe('Pressure must be a number');
+    expect(checkNumber(950.5, rule)).toBe('Pressure must be a whole number');
+    expect(checkNumber(2000, rule)).toBe('Pressure must be between 870 and 1020 mb');
+  });
+});
+
+describe('validatePrediction', () => {
+  test('should accept a plausible forecast', () => {
+    const { value, errors } = validatePrediction(validPrediction);
+    expect(errors).toBeNull();
+    expect(value).toEqual(validPrediction);
+  });
+
+  test('should accept 0° coordinates', () => {
+    expect(validatePrediction({ ...validPrediction, lat: 0, lon: 0 }).errors).toBeNull();
+  });
+
+  test('should reject out-of-range and implausible values per field', () => {
+    const { errors } = validatePrediction({ lat: 95, lon: -200, windSpeed: -5, pressure: 2000 });
+    expect(Object.keys(errors)).toEqual(['lat', 'lon', 'windSpeed', 'pressure']);
+    expect(errors.windSpeed).toBe('Wind speed must be between 0 and 230 mph');
+  });
+
+  test('should reject strings and fractional winds', () => {
+    const { errors } = validatePrediction({ ...validPrediction, lat: '25.4', windSpeed: 120.5 });
+    expect(errors).toEqual({
+      lat: 'Latitude must be a number',
+      windSpeed: 'Wind speed must be a whole number'
+    });
+  });
+
+  test('should accept an optional cone radius and wind range', () => {
+    const { value, errors } = validatePrediction({ ...validPrediction, radiusNm: 75.5, windMin: 110, windMax: 135 });
+    expect(errors).toBeNull();
+    expect(value).toMatchObject({ radiusNm: 75.5, windMin: 110, windMax: 135 });
+  });
+
+  test('should check the cone radius and wind range', () => {
+    expect(validatePrediction({ ...validPrediction, radiusNm: 0 }).errors)
+      .toEqual({ radiusNm: 'Cone radius must be between 1 and 500 NM' });
+    expect(validatePrediction({ ...validPrediction, windMin: 110 }).errors)
+      .toEqual({ windMax: 'Wind range needs both a minimum and a maximum' });
+    expect(validatePrediction({ ...validPrediction, windMin: 130, windMax: 110 }).errors)
+      .toEqual({ windMax: 'Maximum wind must be at least the minimum' });
+    expect(validatePrediction({ ...validPrediction, windMin: 125, windMax: 140 }).errors)
+      .toEqual({ windSpeed: 'Wind speed must be inside the wind range' });
+  });
+
+  test('should require the extra string fields asked for', () => {
+    const { value, errors } = validatePrediction({ ...validPrediction, stormId: 'ian-day1' }, ['stormId', 'timeframe']);
+    expect(errors).toEqual({ timeframe: 'timeframe is required' });
+    expect(value.stormId).toBe('ian-day1');
+  });
+
+  test('should report every field for an empty body', () => {
+    expect(Object.keys(validatePrediction(undefined).errors)).toEqual(['lat', 'lon', 'windSpeed', 'pressure']);
+  });
+});
+
+describe('validateExtendedForecasts', () => {
+  test('should clean each forecast and its timeframe', () => {
+    const { value, errors } = validateExtendedForecasts([{ ...validPrediction, timeframe: '1200', radiusNm: 90 }]);
+    expect(errors).toBeNull();
+    expect(value).toEqual([{ ...validPrediction, timeframe: '1200', radiusNm: 90 }]);
+  });
+
+  test('should key errors by row and field', () => {
+    const { errors } = validateExtendedForecasts([
+      { ...validPrediction, timeframe: '1200' },
+      { ...validPrediction, pressure: 2000 }
+    ]);
+    expect(errors).toEqual({
+      'extendedForecasts.1.timeframe': 'timeframe is required',
+      'extendedForecasts.1.pressure': 'Pressure must be between 870 and 1020 mb'
+    });
+  });
+
+  test('should require a list', () => {
+    expect(validateExtendedForecasts({}).errors).toEqual({ extendedForecasts: 'Extended forecasts must be a list' });
+  });
+});
+
+describe('validateLandfallPrediction', () => {
+  const landfall = { lat: 26.7, lon: -82.25, hoursAfterBase: 37.5, windSpeed: 150 };
+
+  test('should accept a landfall and drop unknown fields', () => {
+    expect(validateLandfallPrediction({ ...landfall, pressure: 940 })).toEqual({ value: landfall, errors: null });
+  });
+
+  test('should reject times outside the window and fractional winds', () => {
+    const { errors } = validateLandfallPrediction({ ...landfall, hoursAfterBase: 121, windSpeed: 150.5 });
+    expect(errors).toEqual({
+      hoursAfterBase: 'Landfall time must be between 0 and 120 hours',
+      windSpeed: 'Wind speed must be a whole number'
+    });
+  });
+});
+
+describe('validateBasinPositions', () => {
+  test('should accept positions inside the basin', () => {
+    expect(validateBasinPositions('atlantic', validPrediction)).toBeNull();
+  });
+
+  test('should reject positions outside the basin, including extended forecasts', () => {
+    const pacific = { ...validPrediction, lat: 15, lon: 140 };
+    expect(validateBasinPositions('atlantic', pacific)).toEqual({
+      lon: 'Longitude in the Atlantic basin must be between -110 and 10'
+    });
+    expect(validateBasinPositions('atlantic', validPrediction, [validPrediction, { ...validPrediction, lat: -20 }])).toEqual({
+      'extendedForecasts.1.lat': 'Latitude in the Atlantic basin must be between 0 and 65'
+    });
+    expect(validateBasinPositions('western_pacific', pacific)).toBeNull();
+  });
+
+  test('should leave basins without an area to the global bounds', () => {
+    expect(validateBasinPositions('unmapped', { lat: -60, lon: 170 })).toBeNull();
+  });
+});
+
+describe('validateProfile', () => {
+  test('should trim fields and leave omitted ones out', () => {
+    const { value, errors } = validateProfile({ display_name: '  Storm Chaser ', bio: '' });
+    expect(errors).toBeNull();
+    expect(value).toEqual({ display_name: 'Storm Chaser', bio: '' });
+  });
+
+  test('should reject blank display names, non-text and long fields', () => {
+    const { errors } = validateProfile({ display_name: '   ', location: 42, bio: 'x'.repeat(501) });
+    expect(errors).toEqual({
+      display_name: "Display name can't be blank",
+      bio: 'Bio must be at most 500 characters',
+      location: 'Location must be text'
+    });
+  });
+
+  test('should accept an empty update', () => {
+    expect(validateProfile({})).toEqual({ value: {}, errors: null });
+  });
+});
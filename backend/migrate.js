@@ -0,0 +1,159 @@
+/**
+ * Schema migrations
+ * Applies the files in ./migrations (see utils/migrations.js for naming and
+ * ordering) and records each one in schema_migrations. Each migration runs in
+ * its own transaction, and an advisory lock keeps two instances booting at
+ * once from running the same migration twice.
+ *
+ * Usage:
+ *   node migrate.js up       Apply pending migrations
+ *   node migrate.js status   List applied and pending migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  parseMigrationFilename,
+  computeChecksum,
+  planMigrations
+} = require('./utils/migrations');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for pg_advisory_lock, shared by every instance of the game
+const MIGRATION_LOCK_KEY = 7405123;
+
+/**
+ * Read migration files from disk
+ * @param {string} dir - Migrations directory
+ * @returns {Array<Object>} { version, name, repeatable, checksum, file }
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .map(filename => {
+      const parsed = parseMigrationFilename(filename);
+      if (!parsed) return null;
+
+      const file = path.join(dir, filename);
+      return { ...parsed, checksum: computeChecksum(fs.readFileSync(file, 'utf8')), file };
+    })
+    .filter(Boolean);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(100) PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Apply every pending migration
+ * @param {Object} pool - pg Pool
+ * @param {Object} options - { dir } to read migrations from somewhere else
+ * @returns {Promise<Array<string>>} Versions applied, in order
+ */
+async function runMigrations(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const client = await pool.connect();
+  const appliedNow = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+
+    const applied = await client.query('SELECT version, checksum FROM schema_migrations');
+    const { pending, warnings } = planMigrations(loadMigrations(dir), applied.rows);
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+    for (const migration of pending) {
+      console.log(`🔄 Applying migration ${migration.version} (${migration.name})...`);
+
+      try {
+        await client.query('BEGIN');
+        await require(migration.file).up(client);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, applied_at)
+           VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+           ON CONFLICT (version) DO UPDATE SET
+             name = EXCLUDED.name, checksum = EXCLUDED.checksum, applied_at = EXCLUDED.applied_at`,
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+
+      appliedNow.push(migration.version);
+    }
+
+    console.log(appliedNow.length > 0
+      ? `✅ Applied ${appliedNow.length} migration(s)`
+      : '✅ Database schema is up to date');
+    return appliedNow;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * List applied and pending migrations
+ * @param {Object} pool - pg Pool
+ * @param {Object} options - { dir } to read migrations from somewhere else
+ * @returns {Promise<Object>} { applied, pending, warnings }
+ */
+async function getMigrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY applied_at, version');
+    const { pending, warnings } = planMigrations(loadMigrations(dir), applied.rows);
+    return { applied: applied.rows, pending, warnings };
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  runMigrations,
+  getMigrationStatus
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { Pool } = require('pg');
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+  const command = process.argv[2] || 'up';
+
+  const run = async () => {
+    if (command === 'up') {
+      await runMigrations(pool);
+    } else if (command === 'status') {
+      const { applied, pending, warnings } = await getMigrationStatus(pool);
+      applied.forEach(row => console.log(`  applied  ${row.version}  ${row.name}  (${row.applied_at.toISOString()})`));
+      pending.forEach(migration => console.log(`  pending  ${migration.version}  ${migration.name}`));
+      warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+    } else {
+      throw new Error(`Unknown command "${command}" (expected "up" or "status")`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(error => {
+      console.error('❌ Migration error:', error.message);
+      pool.end().finally(() => process.exit(1));
+    });
+}
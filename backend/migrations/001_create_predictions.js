@@ -0,0 +1,58 @@
+/**
+ * Predictions table
+ * Migrations 001-010 capture the schema that used to be created at startup by
+ * the initialize* functions in server.js. They only use IF NOT EXISTS, so
+ * they are safe to run against databases that already have those tables.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS predictions (
+        id SERIAL PRIMARY KEY,
+        prediction_id VARCHAR(50) UNIQUE NOT NULL,
+        username VARCHAR(100) NOT NULL,
+        storm_id VARCHAR(50) NOT NULL,
+        timeframe VARCHAR(10) NOT NULL,
+        predicted_lat DECIMAL(10, 6) NOT NULL,
+        predicted_lon DECIMAL(10, 6) NOT NULL,
+        predicted_wind_speed INTEGER NOT NULL,
+        predicted_pressure INTEGER NOT NULL,
+        actual_lat DECIMAL(10, 6),
+        actual_lon DECIMAL(10, 6),
+        actual_wind_speed INTEGER,
+        actual_pressure INTEGER,
+        score INTEGER,
+        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(username, storm_id, timeframe)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_storm_timeframe ON predictions(storm_id, timeframe);
+      CREATE INDEX IF NOT EXISTS idx_username_storm ON predictions(username, storm_id);
+    `);
+
+    // Submission timing (seconds after unlock and the player's local clock)
+    await client.query(`
+      ALTER TABLE predictions ADD COLUMN IF NOT EXISTS unlock_latency_seconds INTEGER;
+      ALTER TABLE predictions ADD COLUMN IF NOT EXISTS submitted_timezone VARCHAR(64);
+      ALTER TABLE predictions ADD COLUMN IF NOT EXISTS submitted_local_hour SMALLINT;
+    `);
+
+    // Score breakdown, written alongside score so nothing needs recomputing
+    await client.query(`
+      ALTER TABLE predictions ADD COLUMN IF NOT EXISTS distance_error_nm DECIMAL(8, 2);
+      ALTER TABLE predictions ADD COLUMN IF NOT EXISTS wind_error INTEGER;
+      ALTER TABLE predictions ADD COLUMN IF NOT EXISTS pressure_error INTEGER;
+      ALTER TABLE predictions ADD COLUMN IF NOT EXISTS track_score INTEGER;
+      ALTER TABLE predictions ADD COLUMN IF NOT EXISTS intensity_score INTEGER;
+    `);
+
+    // Scoring profile each score was computed under (see scoringProfiles.json);
+    // everything scored before profiles existed used the original v1 formula
+    await client.query(`ALTER TABLE predictions ADD COLUMN IF NOT EXISTS scoring_version VARCHAR(20)`);
+    await client.query(`UPDATE predictions SET scoring_version = 'v1' WHERE score IS NOT NULL AND scoring_version IS NULL`);
+  }
+};
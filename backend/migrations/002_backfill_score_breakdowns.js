@@ -0,0 +1,48 @@
+/**
+ * Fill in score breakdowns for predictions scored before the columns existed
+ */
+
+const { scorePrediction, getScoringProfile } = require('../utils/gameLogic');
+
+module.exports = {
+  async up(client) {
+    const result = await client.query(`
+      SELECT id, predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure,
+        actual_lat, actual_lon, actual_wind_speed, actual_pressure
+      FROM predictions
+      WHERE score IS NOT NULL AND track_score IS NULL AND actual_lat IS NOT NULL
+    `);
+    if (result.rows.length === 0) return;
+
+    const scored = result.rows.map(row => ({
+      id: row.id,
+      ...scorePrediction(
+        { lat: row.predicted_lat, lon: row.predicted_lon, windSpeed: row.predicted_wind_speed, pressure: row.predicted_pressure },
+        { lat: row.actual_lat, lon: row.actual_lon, windSpeed: row.actual_wind_speed, pressure: row.actual_pressure },
+        getScoringProfile('v1')
+      )
+    }));
+
+    await client.query(
+      `UPDATE predictions AS p
+       SET distance_error_nm = v.distance_error_nm,
+           wind_error = v.wind_error,
+           pressure_error = v.pressure_error,
+           track_score = v.track_score,
+           intensity_score = v.intensity_score
+       FROM unnest($1::int[], $2::numeric[], $3::int[], $4::int[], $5::int[], $6::int[])
+         AS v(id, distance_error_nm, wind_error, pressure_error, track_score, intensity_score)
+       WHERE p.id = v.id`,
+      [
+        scored.map(s => s.id),
+        scored.map(s => Math.round(s.distanceError * 100) / 100),
+        scored.map(s => s.windError),
+        scored.map(s => s.pressureError),
+        scored.map(s => s.trackScore),
+        scored.map(s => s.intensityScore)
+      ]
+    );
+
+    console.log(`📝 Backfilled score breakdowns for ${scored.length} predictions`);
+  }
+};
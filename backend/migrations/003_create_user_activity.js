@@ -0,0 +1,25 @@
+/**
+ * Daily participation tracker (one row per player per day with a submission)
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_activity (
+        username VARCHAR(100) NOT NULL,
+        activity_date DATE NOT NULL,
+        predictions_count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (username, activity_date)
+      )
+    `);
+
+    // Backfill from predictions submitted before the tracker existed
+    await client.query(`
+      INSERT INTO user_activity (username, activity_date, predictions_count)
+      SELECT username, DATE(submitted_at), COUNT(*)
+      FROM predictions
+      GROUP BY username, DATE(submitted_at)
+      ON CONFLICT (username, activity_date) DO NOTHING
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Scoring ledger: one row per storm/timeframe that has been scored, so the
+ * scheduler can catch up on anything it missed while the server was down
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scoring_ledger (
+        storm_id VARCHAR(50) NOT NULL,
+        timeframe VARCHAR(10) NOT NULL,
+        predictions_scored INTEGER NOT NULL DEFAULT 0,
+        scored_by VARCHAR(100) NOT NULL,
+        scored_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (storm_id, timeframe)
+      )
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Final standings, frozen once per storm when it ends
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS storm_finalizations (
+        storm_id VARCHAR(50) PRIMARY KEY,
+        participants INTEGER NOT NULL DEFAULT 0,
+        finalized_by VARCHAR(100) NOT NULL,
+        finalized_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS storm_results (
+        storm_id VARCHAR(50) NOT NULL REFERENCES storm_finalizations(storm_id),
+        username VARCHAR(100) NOT NULL,
+        final_rank INTEGER NOT NULL,
+        total_score INTEGER NOT NULL,
+        predictions_count INTEGER NOT NULL,
+        avg_score DECIMAL(10, 1) NOT NULL,
+        PRIMARY KEY (storm_id, username)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_storm_results_username ON storm_results(username, final_rank)`);
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Practice runs: personal replays of archived storms, kept apart from the
+ * competitive predictions table so they never reach leaderboards or badges
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS practice_runs (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(100) NOT NULL,
+        storm_id VARCHAR(50) NOT NULL,
+        total_score INTEGER,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_practice_runs_username ON practice_runs(username, started_at)`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS practice_predictions (
+        run_id INTEGER NOT NULL REFERENCES practice_runs(id) ON DELETE CASCADE,
+        timeframe VARCHAR(10) NOT NULL,
+        predicted_lat DECIMAL(10, 6) NOT NULL,
+        predicted_lon DECIMAL(10, 6) NOT NULL,
+        predicted_wind_speed INTEGER NOT NULL,
+        predicted_pressure INTEGER NOT NULL,
+        actual_lat DECIMAL(10, 6) NOT NULL,
+        actual_lon DECIMAL(10, 6) NOT NULL,
+        actual_wind_speed INTEGER NOT NULL,
+        actual_pressure INTEGER NOT NULL,
+        score INTEGER NOT NULL,
+        distance_error_nm DECIMAL(8, 2),
+        wind_error INTEGER,
+        pressure_error INTEGER,
+        track_score INTEGER,
+        intensity_score INTEGER,
+        scoring_version VARCHAR(20),
+        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (run_id, timeframe)
+      )
+    `);
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Revision history: every version of a prediction, oldest first. The
+ * predictions row holds the latest one, which is what gets scored.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE predictions ADD COLUMN IF NOT EXISTS revised_at TIMESTAMP`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS prediction_revisions (
+        id SERIAL PRIMARY KEY,
+        prediction_id VARCHAR(50) NOT NULL REFERENCES predictions(prediction_id) ON DELETE CASCADE,
+        predicted_lat DECIMAL(10, 6) NOT NULL,
+        predicted_lon DECIMAL(10, 6) NOT NULL,
+        predicted_wind_speed INTEGER NOT NULL,
+        predicted_pressure INTEGER NOT NULL,
+        revised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_prediction_revisions ON prediction_revisions(prediction_id, revised_at)`);
+
+    // Predictions made before revisions existed start their history at submission
+    await client.query(`
+      INSERT INTO prediction_revisions
+        (prediction_id, predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure, revised_at)
+      SELECT prediction_id, predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure, submitted_at
+      FROM predictions p
+      WHERE NOT EXISTS (SELECT 1 FROM prediction_revisions r WHERE r.prediction_id = p.prediction_id)
+    `);
+  }
+};
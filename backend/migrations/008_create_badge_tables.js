@@ -0,0 +1,36 @@
+/**
+ * Badge tables. Definitions are seeded by R__badge_definitions.js.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS badge_definitions (
+        id SERIAL PRIMARY KEY,
+        badge_id VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description TEXT NOT NULL,
+        category VARCHAR(50) NOT NULL,
+        tier VARCHAR(20) NOT NULL,
+        icon VARCHAR(10) NOT NULL,
+        points_value INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_badges (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(100) NOT NULL,
+        badge_id VARCHAR(50) NOT NULL,
+        earned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        metadata JSONB,
+        UNIQUE(username, badge_id)
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_user_badges_username ON user_badges(username)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_user_badges_badge_id ON user_badges(badge_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_badge_definitions_category ON badge_definitions(category)`);
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Player profiles
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(100) UNIQUE NOT NULL,
+        display_name VARCHAR(100),
+        avatar_url TEXT,
+        bio TEXT,
+        location VARCHAR(200),
+        preferred_style VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`);
+  }
+};
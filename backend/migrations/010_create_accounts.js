@@ -0,0 +1,65 @@
+/**
+ * Accounts, sessions, the admin audit trail and abuse flags
+ */
+
+module.exports = {
+  async up(client) {
+    // Accounts live on the existing users table so profiles, predictions and
+    // badges keep joining on username
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'player'`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        username VARCHAR(100) NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_sessions_username ON sessions(username)`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id SERIAL PRIMARY KEY,
+        actor VARCHAR(100) NOT NULL,
+        actor_type VARCHAR(20) NOT NULL,
+        action VARCHAR(100) NOT NULL,
+        target TEXT,
+        details JSONB,
+        ip VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log(created_at DESC)`);
+
+    // Suspicious activity for admins to review (e.g. bursts of new usernames)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS abuse_flags (
+        id SERIAL PRIMARY KEY,
+        ip VARCHAR(64),
+        reason VARCHAR(100) NOT NULL,
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_abuse_flags_created ON abuse_flags(created_at DESC)`);
+
+    // Data created before accounts existed: every username found in
+    // predictions or user_badges gets an unclaimed users row (no password).
+    // The first account registered under that name claims it.
+    const legacy = await client.query(`
+      INSERT INTO users (username, display_name)
+      SELECT username, username FROM predictions
+      UNION
+      SELECT username, username FROM user_badges
+      ON CONFLICT (username) DO NOTHING
+    `);
+
+    if (legacy.rowCount > 0) {
+      console.log(`📝 Created ${legacy.rowCount} unclaimed legacy user rows`);
+    }
+  }
+};
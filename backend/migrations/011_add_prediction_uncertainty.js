@@ -0,0 +1,15 @@
+/**
+ * Optional uncertainty on predictions: a cone radius around the position and a
+ * wind range, on live predictions, their revisions and practice predictions.
+ * NULL means a point forecast.
+ */
+
+module.exports = {
+  async up(client) {
+    for (const table of ['predictions', 'prediction_revisions', 'practice_predictions']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS predicted_radius_nm DECIMAL(5, 1)`);
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS predicted_wind_min INTEGER`);
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS predicted_wind_max INTEGER`);
+    }
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Extended forecasts: at each unlock a player can also forecast every later
+ * timeframe of the storm. Each row is scored on its own when its target
+ * timeframe verifies; lead_hours runs from the issuing timeframe's unlock to
+ * the target's verification.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS extended_forecasts (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(100) NOT NULL,
+        storm_id VARCHAR(50) NOT NULL,
+        issued_timeframe VARCHAR(10) NOT NULL,
+        timeframe VARCHAR(10) NOT NULL,
+        lead_hours INTEGER NOT NULL,
+        predicted_lat DECIMAL(10, 6) NOT NULL,
+        predicted_lon DECIMAL(10, 6) NOT NULL,
+        predicted_wind_speed INTEGER NOT NULL,
+        predicted_pressure INTEGER NOT NULL,
+        predicted_radius_nm DECIMAL(5, 1),
+        predicted_wind_min INTEGER,
+        predicted_wind_max INTEGER,
+        actual_lat DECIMAL(10, 6),
+        actual_lon DECIMAL(10, 6),
+        actual_wind_speed INTEGER,
+        actual_pressure INTEGER,
+        score INTEGER,
+        distance_error_nm DECIMAL(8, 2),
+        wind_error INTEGER,
+        pressure_error INTEGER,
+        track_score INTEGER,
+        intensity_score INTEGER,
+        scoring_version VARCHAR(20),
+        submitted_at TIMESTAMP NOT NULL,
+        UNIQUE(username, storm_id, issued_timeframe, timeframe)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_extended_forecasts_target ON extended_forecasts(storm_id, timeframe)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_extended_forecasts_lead ON extended_forecasts(lead_hours, username)`);
+  }
+};
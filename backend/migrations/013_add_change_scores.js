@@ -0,0 +1,12 @@
+/**
+ * Intensity-change score breakdown (category and change calls) next to the
+ * track and intensity scores. NULL for rows scored before it existed.
+ */
+
+module.exports = {
+  async up(client) {
+    for (const table of ['predictions', 'practice_predictions', 'extended_forecasts']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS change_score INTEGER`);
+    }
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Landfall predictions: one per player and storm, for storms with recorded
+ * landfalls. Resubmitting before the cutoff replaces it. Scored once the
+ * game ends against the best-matching landfall (landfall_index).
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS landfall_predictions (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(100) NOT NULL,
+        storm_id VARCHAR(50) NOT NULL,
+        predicted_lat DECIMAL(10, 6) NOT NULL,
+        predicted_lon DECIMAL(10, 6) NOT NULL,
+        predicted_hours_after_base DECIMAL(5, 1) NOT NULL,
+        predicted_wind_speed INTEGER NOT NULL,
+        score INTEGER,
+        landfall_index INTEGER,
+        along_coast_error_nm DECIMAL(8, 2),
+        timing_error_hours DECIMAL(5, 1),
+        wind_error INTEGER,
+        location_score INTEGER,
+        timing_score INTEGER,
+        intensity_score INTEGER,
+        submitted_at TIMESTAMP NOT NULL,
+        scored_at TIMESTAMP,
+        UNIQUE(username, storm_id)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_landfall_predictions_storm ON landfall_predictions(storm_id, score)`);
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Claim codes for legacy usernames
+ */
+
+module.exports = {
+  async up(client) {
+    // Migration 010 left legacy usernames for the first account registered
+    // under them to claim. From here on an unclaimed legacy username can only
+    // be taken over with a code an admin issued to its player; only the hash
+    // is stored, like session tokens
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS claim_code_hash VARCHAR(64)`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS claim_code_expires_at TIMESTAMP`);
+  }
+};
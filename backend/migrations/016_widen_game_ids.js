@@ -0,0 +1,24 @@
+/**
+ * Room for game ids from non-preserving runs (<runId>-<stormId>) and the
+ * prediction ids built from them. Referenced columns are widened before the
+ * columns that reference them.
+ */
+
+const ID_COLUMNS = [
+  ['predictions', 'prediction_id'],
+  ['prediction_revisions', 'prediction_id'],
+  ['predictions', 'storm_id'],
+  ['scoring_ledger', 'storm_id'],
+  ['storm_finalizations', 'storm_id'],
+  ['storm_results', 'storm_id'],
+  ['extended_forecasts', 'storm_id'],
+  ['landfall_predictions', 'storm_id']
+];
+
+module.exports = {
+  async up(client) {
+    for (const [table, column] of ID_COLUMNS) {
+      await client.query(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE VARCHAR(255)`);
+    }
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * Badge definitions (repeatable)
+ * Re-applied whenever this file changes: new badges are inserted and edited
+ * names, descriptions, tiers, icons or points are updated in place. Badges
+ * removed from this list are left alone, since players may already hold them.
+ */
+
+const BADGE_DEFINITIONS = [
+  // Performance badges
+  { badge_id: 'sharpshooter_bronze', name: 'Sharpshooter I', description: 'Predict within 50 NM of actual position', category: 'performance', tier: 'bronze', icon: '🎯', points_value: 100 },
+  { badge_id: 'sharpshooter_silver', name: 'Sharpshooter II', description: 'Predict within 50 NM three times', category: 'performance', tier: 'silver', icon: '🎯', points_value: 250 },
+  { badge_id: 'sharpshooter_gold', name: 'Sharpshooter III', description: 'Predict within 50 NM ten times', category: 'performance', tier: 'gold', icon: '🎯', points_value: 500 },
+  { badge_id: 'bullseye', name: 'Bullseye', description: 'Predict within 25 NM of actual position', category: 'performance', tier: 'gold', icon: '🎪', points_value: 300 },
+  { badge_id: 'laser_precision', name: 'Laser Precision', description: 'Predict within 10 NM of actual position', category: 'performance', tier: 'platinum', icon: '🔬', points_value: 500 },
+  { badge_id: 'intensity_expert_bronze', name: 'Intensity Expert I', description: 'Wind speed within 10 mph', category: 'performance', tier: 'bronze', icon: '🌡️', points_value: 100 },
+  { badge_id: 'intensity_expert_silver', name: 'Intensity Expert II', description: 'Wind speed within 10 mph three times', category: 'performance', tier: 'silver', icon: '🌡️', points_value: 250 },
+  { badge_id: 'intensity_expert_gold', name: 'Intensity Expert III', description: 'Wind speed within 5 mph five times', category: 'performance', tier: 'gold', icon: '🌡️', points_value: 500 },
+  { badge_id: 'pressure_perfect', name: 'Pressure Perfect', description: 'Pressure within 3 mb', category: 'performance', tier: 'gold', icon: '🎈', points_value: 200 },
+  { badge_id: 'diamond_prediction', name: 'Diamond Prediction', description: 'Score 1900+ points on a single prediction', category: 'performance', tier: 'diamond', icon: '💎', points_value: 1000 },
+  { badge_id: 'oracle', name: 'The Oracle', description: 'Score 1950+ points on a single prediction', category: 'performance', tier: 'platinum', icon: '🔮', points_value: 1500 },
+  { badge_id: 'perfect_storm', name: 'Perfect Storm', description: 'Score exactly 2000 points', category: 'performance', tier: 'diamond', icon: '⭐', points_value: 5000 },
+
+  // Consistency badges
+  { badge_id: 'early_bird', name: 'Early Bird', description: 'Submit prediction within first hour of unlock', category: 'consistency', tier: 'bronze', icon: '🌅', points_value: 50 },
+  { badge_id: 'speed_demon', name: 'Speed Demon', description: 'Submit within 2 minutes of unlock', category: 'consistency', tier: 'silver', icon: '⚡', points_value: 100 },
+  { badge_id: 'lightning_fast', name: 'Lightning Fast', description: 'Submit within 60 seconds of unlock', category: 'consistency', tier: 'gold', icon: '⚡', points_value: 200 },
+  { badge_id: 'never_miss', name: 'Never Miss', description: 'Submit every prediction for a storm', category: 'consistency', tier: 'bronze', icon: '✅', points_value: 150 },
+  { badge_id: 'perfect_attendance', name: 'Perfect Attendance', description: 'Submit all predictions for 3 storms in a row', category: 'consistency', tier: 'silver', icon: '📋', points_value: 300 },
+  { badge_id: 'iron_will', name: 'Iron Will', description: 'Submit all predictions for 5 storms in a row', category: 'consistency', tier: 'gold', icon: '💪', points_value: 600 },
+  { badge_id: 'streak_3', name: '3-Day Streak', description: 'Submit predictions 3 days in a row', category: 'consistency', tier: 'bronze', icon: '🔥', points_value: 100 },
+  { badge_id: 'streak_7', name: '7-Day Streak', description: 'Submit predictions 7 days in a row', category: 'consistency', tier: 'silver', icon: '🔥', points_value: 300 },
+  { badge_id: 'streak_14', name: '14-Day Streak', description: 'Submit predictions 14 days in a row', category: 'consistency', tier: 'gold', icon: '🔥', points_value: 700 },
+  { badge_id: 'streak_30', name: '30-Day Streak', description: 'Submit predictions 30 days in a row', category: 'consistency', tier: 'platinum', icon: '🔥', points_value: 2000 },
+
+  // Milestone badges
+  { badge_id: 'first_prediction', name: 'First Steps', description: 'Submit your first prediction', category: 'milestone', tier: 'bronze', icon: '👶', points_value: 50 },
+  { badge_id: 'veteran_10', name: 'Veteran', description: 'Submit 10 predictions', category: 'milestone', tier: 'bronze', icon: '🎖️', points_value: 100 },
+  { badge_id: 'veteran_50', name: 'Experienced', description: 'Submit 50 predictions', category: 'milestone', tier: 'silver', icon: '🎖️', points_value: 300 },
+  { badge_id: 'veteran_100', name: 'Master Forecaster', description: 'Submit 100 predictions', category: 'milestone', tier: 'gold', icon: '🎖️', points_value: 1000 },
+  { badge_id: 'veteran_500', name: 'Legend', description: 'Submit 500 predictions', category: 'milestone', tier: 'platinum', icon: '🎖️', points_value: 5000 },
+  { badge_id: 'points_5k', name: '5K Club', description: 'Earn 5,000 total points', category: 'milestone', tier: 'bronze', icon: '💯', points_value: 200 },
+  { badge_id: 'points_25k', name: '25K Club', description: 'Earn 25,000 total points', category: 'milestone', tier: 'silver', icon: '💯', points_value: 500 },
+  { badge_id: 'points_50k', name: '50K Club', description: 'Earn 50,000 total points', category: 'milestone', tier: 'gold', icon: '💯', points_value: 1000 },
+  { badge_id: 'points_100k', name: '100K Club', description: 'Earn 100,000 total points', category: 'milestone', tier: 'platinum', icon: '💯', points_value: 3000 },
+  { badge_id: 'storm_survivor_5', name: 'Storm Survivor', description: 'Complete 5 different storms', category: 'milestone', tier: 'bronze', icon: '🌀', points_value: 200 },
+  { badge_id: 'storm_survivor_12', name: 'Storm Veteran', description: 'Complete all 12 storms', category: 'milestone', tier: 'silver', icon: '🌀', points_value: 500 },
+
+  // Competitive badges
+  { badge_id: 'top_10', name: 'Top 10', description: 'Finish in top 10 for any storm', category: 'competitive', tier: 'bronze', icon: '🏅', points_value: 200 },
+  { badge_id: 'top_5', name: 'Top 5', description: 'Finish in top 5 for any storm', category: 'competitive', tier: 'silver', icon: '🥈', points_value: 400 },
+  { badge_id: 'podium', name: 'Podium Finish', description: 'Finish in top 3 for any storm', category: 'competitive', tier: 'gold', icon: '🥉', points_value: 800 },
+  { badge_id: 'runner_up', name: 'Runner-Up', description: 'Finish 2nd place in any storm', category: 'competitive', tier: 'gold', icon: '🥈', points_value: 1200 },
+  { badge_id: 'champion', name: 'Storm Champion', description: 'Finish 1st place in any storm', category: 'competitive', tier: 'platinum', icon: '👑', points_value: 2000 },
+  { badge_id: 'repeat_champion', name: 'Repeat Champion', description: 'Finish 1st place in 3 different storms', category: 'competitive', tier: 'diamond', icon: '👑', points_value: 5000 },
+  { badge_id: 'above_average', name: 'Above Average', description: 'Score above 1500 points five times', category: 'competitive', tier: 'bronze', icon: '📈', points_value: 200 },
+  { badge_id: 'consistently_great', name: 'Consistently Great', description: 'Score above 1700 points ten times', category: 'competitive', tier: 'silver', icon: '📊', points_value: 500 },
+
+  // Special/fun badges
+  { badge_id: 'comeback_kid', name: 'Comeback Kid', description: 'Go from bottom 50% to top 25% within one storm', category: 'special', tier: 'gold', icon: '💪', points_value: 300 },
+  { badge_id: 'night_owl', name: 'Night Owl', description: 'Submit prediction between 10PM-6AM', category: 'special', tier: 'bronze', icon: '🦉', points_value: 50 },
+  { badge_id: 'early_morning', name: 'Early Riser', description: 'Submit prediction between 5AM-7AM', category: 'special', tier: 'bronze', icon: '☀️', points_value: 50 },
+  { badge_id: 'cat5_survivor', name: 'Category 5 Survivor', description: 'Complete a Category 5 storm with score >1500', category: 'special', tier: 'gold', icon: '🌪️', points_value: 500 },
+  { badge_id: 'rapid_intensification', name: 'Rapid Intensification Expert', description: 'Correctly predict >25 mph wind increase', category: 'special', tier: 'gold', icon: '📈', points_value: 400 },
+  { badge_id: 'close_call', name: 'Too Close!', description: 'Predict track within 5 NM but intensity off by >30 mph', category: 'special', tier: 'bronze', icon: '😅', points_value: 100 },
+  { badge_id: 'lucky_number', name: 'Lucky Number', description: 'Score ends in 777', category: 'special', tier: 'bronze', icon: '🎰', points_value: 100 },
+  { badge_id: 'perfect_average', name: 'Perfect Average', description: 'Average exactly 1500 points over 10 predictions', category: 'special', tier: 'silver', icon: '⚖️', points_value: 200 },
+  { badge_id: 'weekend_warrior', name: 'Weekend Warrior', description: 'Submit predictions on 4 consecutive weekends', category: 'special', tier: 'silver', icon: '🎮', points_value: 300 },
+  { badge_id: 'dedication', name: 'True Dedication', description: 'Play for 30 consecutive days', category: 'special', tier: 'platinum', icon: '🏆', points_value: 2000 }
+];
+
+const COLUMNS = ['badge_id', 'name', 'description', 'category', 'tier', 'icon', 'points_value'];
+
+module.exports = {
+  BADGE_DEFINITIONS,
+
+  async up(client) {
+    const params = [];
+    const rows = BADGE_DEFINITIONS.map(badge => {
+      const placeholders = COLUMNS.map(column => {
+        params.push(badge[column]);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const result = await client.query(
+      `INSERT INTO badge_definitions (${COLUMNS.join(', ')})
+       VALUES ${rows.join(',\n')}
+       ON CONFLICT (badge_id) DO UPDATE SET
+         name = EXCLUDED.name,
+         description = EXCLUDED.description,
+         category = EXCLUDED.category,
+         tier = EXCLUDED.tier,
+         icon = EXCLUDED.icon,
+         points_value = EXCLUDED.points_value
+       WHERE (badge_definitions.name, badge_definitions.description, badge_definitions.category,
+              badge_definitions.tier, badge_definitions.icon, badge_definitions.points_value)
+         IS DISTINCT FROM
+             (EXCLUDED.name, EXCLUDED.description, EXCLUDED.category,
+              EXCLUDED.tier, EXCLUDED.icon, EXCLUDED.points_value)`,
+      params
+    );
+
+    console.log(`📝 Badge definitions synced (${result.rowCount} inserted or updated)`);
+  }
+};
@@ -2,7 +2,87 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
-const { Pool } = require('pg');
+const {
+  getActiveStorms,
+  getActiveTimeframe,
+  getTimeframeWindow,
+  getExtendedTimeframes,
+  canRevisePrediction,
+  createPredictionId,
+  getScoringProfile,
+  listScoringProfiles,
+  scorePrediction,
+  summarizeCalibration,
+  getDueTimeframes,
+  getUnlockLatencySeconds,
+  isValidTimeZone,
+  getLocalHour,
+  evaluateTimingBadges,
+  getRevealedTimeframes,
+  getPredictionTimeframes,
+  getPreviousTimeframe,
+  summarizePredictionHistory,
+  evaluatePerformanceBadges
+} = require('./utils/gameLogic');
+const {
+  toDateKey,
+  calculateDayStreaks,
+  calculateWeekendStreaks,
+  calculateStormStreaks,
+  evaluateConsistencyBadges
+} = require('./utils/streaks');
+const {
+  rankStandings,
+  computeFinalStandings,
+  computeLeadTimeStandings,
+  diffStandings,
+  computeStandingsProgression,
+  isComeback,
+  evaluateCompetitiveBadges
+} = require('./utils/standings');
+const { DEFAULT_TIME_ZONE, DEFAULT_BASIN, buildSchedule, getNextGame } = require('./utils/schedule');
+const {
+  getPracticeStorms,
+  getNextPracticeTimeframe,
+  getPracticeTimeframes
+} = require('./utils/practice');
+const { isLandfallOpen, scoreLandfall } = require('./utils/landfall');
+const {
+  SKILL_BASELINE,
+  scoreBaseline,
+  getMaxScore,
+  calculateSkill,
+  summarizeSkill,
+  computeBaselineRows
+} = require('./utils/baseline');
+const {
+  validatePrediction,
+  validateLandfallPrediction,
+  validateExtendedForecasts,
+  validateBasinPositions,
+  validateProfile
+} = require('./utils/validation');
+const { createStorage } = require('./storage');
+const {
+  getRateLimitConfig,
+  createMemoryStore,
+  createRateLimiter,
+  createNewUsernameTracker
+} = require('./utils/rateLimit');
+const {
+  hashPassword,
+  verifyPassword,
+  generateSessionToken,
+  hashSessionToken,
+  getSessionExpiry,
+  generateClaimCode,
+  hashClaimCode,
+  getClaimCodeExpiry,
+  parseBearerToken,
+  safeCompare,
+  validateUsername,
+  validatePassword
+} = require('./utils/auth');
 require('dotenv').config();
 
 const app = express();
@@ -13,289 +93,174 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// PostgreSQL connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+// Behind a proxy (e.g. Heroku's router) set TRUST_PROXY_HOPS=1 so req.ip is
+// the client address rather than the proxy's
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || false);
+
+// Rate limits for write routes, per IP and per account (see utils/rateLimit.js).
+// The in-memory store is per process; plug in a shared store to scale out.
+const RATE_LIMITS = getRateLimitConfig();
+const rateLimitStore = createMemoryStore();
+const rateLimit = (group, options) => createRateLimiter(group, RATE_LIMITS[group], rateLimitStore, options);
+
+// Sign-in routes count attempts against the account being tried as well as the IP
+const rateLimitSignIn = rateLimit('auth', { getAccount: req => (req.body || {}).username });
+
+// Many new usernames from one IP in a short time gets flagged for review
+const newUsernameTracker = createNewUsernameTracker({
+  threshold: parseInt(process.env.NEW_USERNAME_BURST_THRESHOLD) || 5
 });
 
-// Load historical storms from JSON file
-let HISTORICAL_STORMS = [];
+// Database access goes through the configured storage backend (see storage/index.js)
+const storage = createStorage();
+
+// Load the storm library and place it on the calendar from schedule.json
+let STORM_LIBRARY = [];
+let SCHEDULED_STORMS = [];
+// The game day runs midnight to midnight here; streak days follow it
+let GAME_TIME_ZONE = DEFAULT_TIME_ZONE;
 
 function loadStorms() {
   try {
     const stormsPath = path.join(__dirname, 'storms.json');
     const stormsData = fs.readFileSync(stormsPath, 'utf8');
     const parsed = JSON.parse(stormsData);
-    HISTORICAL_STORMS = parsed.storms;
-    console.log(`Loaded ${HISTORICAL_STORMS.length} historical storms from storms.json`);
+    STORM_LIBRARY = parsed.storms;
+    console.log(`Loaded ${STORM_LIBRARY.length} historical storms from storms.json`);
+
+    const schedulePath = path.join(__dirname, 'schedule.json');
+    const schedule = JSON.parse(fs.readFileSync(schedulePath, 'utf8'));
+    SCHEDULED_STORMS = buildSchedule(STORM_LIBRARY, schedule);
+    GAME_TIME_ZONE = schedule.timeZone || DEFAULT_TIME_ZONE;
+    console.log(`Scheduled ${SCHEDULED_STORMS.length} games across ${schedule.runs.length} runs from schedule.json`);
   } catch (error) {
-    console.error('Error loading storms.json:', error.message);
-    HISTORICAL_STORMS = [];
+    console.error('Error loading storms.json/schedule.json:', error.message);
+    SCHEDULED_STORMS = [];
   }
 }
 
 loadStorms();
 
-// Initialize database table
-async function initializeDatabase() {
+// ============================================
+// AUTHENTICATION HELPERS
+// ============================================
+
+async function createSession(username) {
+  const token = generateSessionToken();
+  const expiresAt = getSessionExpiry();
+
+  await storage.sessions.create(hashSessionToken(token), username, expiresAt);
+
+  return { token, expiresAt };
+}
+
+// Record suspicious activity. Like the audit trail, failures are logged, not thrown.
+async function flagAbuse(ip, reason, details = {}) {
   try {
-    // Create table if it doesn't exist (but don't drop existing data)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS predictions (
-        id SERIAL PRIMARY KEY,
-        prediction_id VARCHAR(50) UNIQUE NOT NULL,
-        username VARCHAR(100) NOT NULL,
-        storm_id VARCHAR(50) NOT NULL,
-        timeframe VARCHAR(10) NOT NULL,
-        predicted_lat DECIMAL(10, 6) NOT NULL,
-        predicted_lon DECIMAL(10, 6) NOT NULL,
-        predicted_wind_speed INTEGER NOT NULL,
-        predicted_pressure INTEGER NOT NULL,
-        actual_lat DECIMAL(10, 6),
-        actual_lon DECIMAL(10, 6),
-        actual_wind_speed INTEGER,
-        actual_pressure INTEGER,
-        score INTEGER,
-        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(username, storm_id, timeframe)
-      )
-    `);
-    
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_storm_timeframe ON predictions(storm_id, timeframe);
-      CREATE INDEX IF NOT EXISTS idx_username_storm ON predictions(username, storm_id);
-    `);
-    
-    console.log('Database table ready (existing data preserved)');
+    await storage.abuseFlags.record(ip, reason, details);
+    console.warn(`⚠️ Abuse flag (${reason}) for ${ip}:`, details);
   } catch (error) {
-    console.error('Error initializing database:', error.message);
+    console.error('Error recording abuse flag:', error);
   }
 }
 
-initializeDatabase();
+// Resolve the account behind an `Authorization: Bearer <token>` header
+async function getSessionUser(req) {
+  const token = parseBearerToken(req.headers.authorization);
+  if (!token) return null;
 
-// ============================================
-// BADGE SYSTEM - AUTO INITIALIZATION
-// ============================================
+  return storage.sessions.findUser(hashSessionToken(token));
+}
 
-async function initializeBadgeTables() {
+async function requireAuth(req, res, next) {
   try {
-    console.log('🔄 Initializing badge tables...');
-    
-    // Create badge_definitions table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS badge_definitions (
-        id SERIAL PRIMARY KEY,
-        badge_id VARCHAR(50) UNIQUE NOT NULL,
-        name VARCHAR(100) NOT NULL,
-        description TEXT NOT NULL,
-        category VARCHAR(50) NOT NULL,
-        tier VARCHAR(20) NOT NULL,
-        icon VARCHAR(10) NOT NULL,
-        points_value INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    console.log('✅ badge_definitions table ready');
-    
-    // Create user_badges table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS user_badges (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(100) NOT NULL,
-        badge_id VARCHAR(50) NOT NULL,
-        earned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        metadata JSONB,
-        UNIQUE(username, badge_id)
-      )
-    `);
-    
-    console.log('✅ user_badges table ready');
-    
-    // Create indexes
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_user_badges_username ON user_badges(username)`);
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_user_badges_badge_id ON user_badges(badge_id)`);
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_badge_definitions_category ON badge_definitions(category)`);
-    
-    console.log('✅ Indexes created');
-    
-    // Check if badges already exist
-    const checkBadges = await pool.query(`SELECT COUNT(*) FROM badge_definitions`);
-    const badgeCount = parseInt(checkBadges.rows[0].count);
-    
-    if (badgeCount === 0) {
-      console.log('📝 Inserting badge definitions...');
-      
-      // Insert ALL badge definitions
-      await pool.query(`
-        INSERT INTO badge_definitions (badge_id, name, description, category, tier, icon, points_value) VALUES
-        
-        -- PERFORMANCE BADGES
-        ('sharpshooter_bronze', 'Sharpshooter I', 'Predict within 50 NM of actual position', 'performance', 'bronze', '🎯', 100),
-        ('sharpshooter_silver', 'Sharpshooter II', 'Predict within 50 NM three times', 'performance', 'silver', '🎯', 250),
-        ('sharpshooter_gold', 'Sharpshooter III', 'Predict within 50 NM ten times', 'performance', 'gold', '🎯', 500),
-        ('bullseye', 'Bullseye', 'Predict within 25 NM of actual position', 'performance', 'gold', '🎪', 300),
-        ('laser_precision', 'Laser Precision', 'Predict within 10 NM of actual position', 'performance', 'platinum', '🔬', 500),
-        ('intensity_expert_bronze', 'Intensity Expert I', 'Wind speed within 10 mph', 'performance', 'bronze', '🌡️', 100),
-        ('intensity_expert_silver', 'Intensity Expert II', 'Wind speed within 10 mph three times', 'performance', 'silver', '🌡️', 250),
-        ('intensity_expert_gold', 'Intensity Expert III', 'Wind speed within 5 mph five times', 'performance', 'gold', '🌡️', 500),
-        ('pressure_perfect', 'Pressure Perfect', 'Pressure within 3 mb', 'performance', 'gold', '🎈', 200),
-        ('diamond_prediction', 'Diamond Prediction', 'Score 1900+ points on a single prediction', 'performance', 'diamond', '💎', 1000),
-        ('oracle', 'The Oracle', 'Score 1950+ points on a single prediction', 'performance', 'platinum', '🔮', 1500),
-        ('perfect_storm', 'Perfect Storm', 'Score exactly 2000 points', 'performance', 'diamond', '⭐', 5000),
-        
-        -- CONSISTENCY BADGES
-        ('early_bird', 'Early Bird', 'Submit prediction within first hour of unlock', 'consistency', 'bronze', '🌅', 50),
-        ('speed_demon', 'Speed Demon', 'Submit within 2 minutes of unlock', 'consistency', 'silver', '⚡', 100),
-        ('lightning_fast', 'Lightning Fast', 'Submit within 60 seconds of unlock', 'consistency', 'gold', '⚡', 200),
-        ('never_miss', 'Never Miss', 'Submit all 4 predictions for a storm', 'consistency', 'bronze', '✅', 150),
-        ('perfect_attendance', 'Perfect Attendance', 'Submit all predictions for 3 storms in a row', 'consistency', 'silver', '📋', 300),
-        ('iron_will', 'Iron Will', 'Submit all predictions for 5 storms in a row', 'consistency', 'gold', '💪', 600),
-        ('streak_3', '3-Day Streak', 'Submit predictions 3 days in a row', 'consistency', 'bronze', '🔥', 100),
-        ('streak_7', '7-Day Streak', 'Submit predictions 7 days in a row', 'consistency', 'silver', '🔥', 300),
-        ('streak_14', '14-Day Streak', 'Submit predictions 14 days in a row', 'consistency', 'gold', '🔥', 700),
-        ('streak_30', '30-Day Streak', 'Submit predictions 30 days in a row', 'consistency', 'platinum', '🔥', 2000),
-        
-        -- MILESTONE BADGES
-        ('first_prediction', 'First Steps', 'Submit your first prediction', 'milestone', 'bronze', '👶', 50),
-        ('veteran_10', 'Veteran', 'Submit 10 predictions', 'milestone', 'bronze', '🎖️', 100),
-        ('veteran_50', 'Experienced', 'Submit 50 predictions', 'milestone', 'silver', '🎖️', 300),
-        ('veteran_100', 'Master Forecaster', 'Submit 100 predictions', 'milestone', 'gold', '🎖️', 1000),
-        ('veteran_500', 'Legend', 'Submit 500 predictions', 'milestone', 'platinum', '🎖️', 5000),
-        ('points_5k', '5K Club', 'Earn 5,000 total points', 'milestone', 'bronze', '💯', 200),
-        ('points_25k', '25K Club', 'Earn 25,000 total points', 'milestone', 'silver', '💯', 500),
-        ('points_50k', '50K Club', 'Earn 50,000 total points', 'milestone', 'gold', '💯', 1000),
-        ('points_100k', '100K Club', 'Earn 100,000 total points', 'milestone', 'platinum', '💯', 3000),
-        ('storm_survivor_5', 'Storm Survivor', 'Complete 5 different storms', 'milestone', 'bronze', '🌀', 200),
-        ('storm_survivor_12', 'Storm Veteran', 'Complete all 12 storms', 'milestone', 'silver', '🌀', 500),
-        
-        -- COMPETITIVE BADGES
-        ('top_10', 'Top 10', 'Finish in top 10 for any storm', 'competitive', 'bronze', '🏅', 200),
-        ('top_5', 'Top 5', 'Finish in top 5 for any storm', 'competitive', 'silver', '🥈', 400),
-        ('podium', 'Podium Finish', 'Finish in top 3 for any storm', 'competitive', 'gold', '🥉', 800),
-        ('runner_up', 'Runner-Up', 'Finish 2nd place in any storm', 'competitive', 'gold', '🥈', 1200),
-        ('champion', 'Storm Champion', 'Finish 1st place in any storm', 'competitive', 'platinum', '👑', 2000),
-        ('repeat_champion', 'Repeat Champion', 'Finish 1st place in 3 different storms', 'competitive', 'diamond', '👑', 5000),
-        ('above_average', 'Above Average', 'Score above 1500 points five times', 'competitive', 'bronze', '📈', 200),
-        ('consistently_great', 'Consistently Great', 'Score above 1700 points ten times', 'competitive', 'silver', '📊', 500),
-        
-        -- SPECIAL/FUN BADGES
-        ('comeback_kid', 'Comeback Kid', 'Go from bottom 50% to top 25% within one storm', 'special', 'gold', '💪', 300),
-        ('night_owl', 'Night Owl', 'Submit prediction between 10PM-6AM', 'special', 'bronze', '🦉', 50),
-        ('early_morning', 'Early Riser', 'Submit prediction between 5AM-7AM', 'special', 'bronze', '☀️', 50),
-        ('cat5_survivor', 'Category 5 Survivor', 'Complete a Category 5 storm with score >1500', 'special', 'gold', '🌪️', 500),
-        ('rapid_intensification', 'Rapid Intensification Expert', 'Correctly predict >25 mph wind increase', 'special', 'gold', '📈', 400),
-        ('close_call', 'Too Close!', 'Predict track within 5 NM but intensity off by >30 mph', 'special', 'bronze', '😅', 100),
-        ('lucky_number', 'Lucky Number', 'Score ends in 777', 'special', 'bronze', '🎰', 100),
-        ('perfect_average', 'Perfect Average', 'Average exactly 1500 points over 10 predictions', 'special', 'silver', '⚖️', 200),
-        ('weekend_warrior', 'Weekend Warrior', 'Submit predictions on 4 consecutive weekends', 'special', 'silver', '🎮', 300),
-        ('dedication', 'True Dedication', 'Play for 30 consecutive days', 'special', 'platinum', '🏆', 2000)
-      `);
-      
-      console.log(`✅ Inserted 50 badge definitions`);
-    } else {
-      console.log(`ℹ️  ${badgeCount} badges already exist, skipping insert`);
+    if (!req.user) {
+      req.user = await getSessionUser(req);
     }
-    
-    console.log('🎉 Badge system initialization complete!');
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
   } catch (error) {
-    console.error('❌ Error initializing badge tables:', error);
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
   }
 }
 
-initializeBadgeTables();
+// Admin routes accept either the configured ADMIN_API_KEY (X-Admin-Key header)
+// or a session belonging to a user with the admin role
+async function requireAdmin(req, res, next) {
+  try {
+    const apiKey = req.headers['x-admin-key'];
+    if (apiKey) {
+      if (!safeCompare(apiKey, process.env.ADMIN_API_KEY)) {
+        return res.status(401).json({ error: 'Invalid admin key' });
+      }
+      req.admin = { actor: 'api-key', type: 'api_key' };
+      return next();
+    }
 
-// ============================================
-// USER PROFILE SYSTEM - AUTO INITIALIZATION
-// ============================================
+    const user = req.user || await getSessionUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
 
-async function initializeUserProfileTable() {
-  try {
-    console.log('🔄 Initializing user profile table...');
-
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(100) UNIQUE NOT NULL,
-        display_name VARCHAR(100),
-        avatar_url TEXT,
-        bio TEXT,
-        location VARCHAR(200),
-        preferred_style VARCHAR(50),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    console.log('✅ users table ready');
-
-    // Create indexes
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`);
-
-    console.log('✅ User profile system initialization complete!');
+    req.user = user;
+    req.admin = { actor: user.username, type: 'user' };
+    next();
   } catch (error) {
-    console.error('❌ Error initializing user profile table:', error);
+    console.error('Error authorizing admin request:', error);
+    res.status(500).json({ error: 'Failed to authorize' });
   }
 }
 
-initializeUserProfileTable();
-
-// Calculate great-circle distance between two points (Haversine formula)
-// Returns distance in nautical miles
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 3440.065; // Earth's radius in nautical miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+// Append an entry to the admin audit trail. Failures are logged, not thrown,
+// so a logging problem never masks the result of the action itself.
+async function recordAdminAction(req, action, target, details = {}) {
+  try {
+    await storage.audit.record({
+      actor: req.admin.actor,
+      actorType: req.admin.type,
+      action,
+      target,
+      details,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Error recording admin action:', error);
+  }
 }
 
-// Calculate Track Score (0-1000 pts based on distance error)
-function calculateTrackScore(distanceErrorNM) {
-  // Exponential decay: heavily penalize distance errors
-  // 0 NM = 1000 pts, 50 NM = ~600 pts, 100 NM = ~368 pts, 200 NM = ~135 pts
-  const score = 1000 * Math.exp(-0.01 * distanceErrorNM);
-  return Math.round(Math.max(0, score));
-}
+// `me` in any :username route refers to the signed-in player
+app.param('username', async (req, res, next, username) => {
+  if (username !== 'me') return next();
 
-// Calculate Intensity Score (0-1000 pts based on wind + pressure errors)
-function calculateIntensityScore(windError, pressureError) {
-  // Weight: winds are harder to predict than pressure
-  // Wind contributes 60%, pressure 40%
-  const windScore = 600 * Math.exp(-0.02 * Math.abs(windError));
-  const pressureScore = 400 * Math.exp(-0.05 * Math.abs(pressureError));
-  const totalScore = windScore + pressureScore;
-  return Math.round(Math.max(0, totalScore));
-}
+  try {
+    req.user = await getSessionUser(req);
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.params.username = req.user.username;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // ============================================
 // BADGE HELPER FUNCTIONS
 // ============================================
 
 async function hasBadge(username, badge_id) {
-  const result = await pool.query(
-    `SELECT 1 FROM user_badges WHERE username = $1 AND badge_id = $2`,
-    [username, badge_id]
-  );
-  return result.rows.length > 0;
+  return storage.badges.has(username, badge_id);
 }
 
 async function awardBadge(username, badge_id, metadata = {}) {
   try {
-    await pool.query(
-      `INSERT INTO user_badges (username, badge_id, metadata)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (username, badge_id) DO NOTHING`,
-      [username, badge_id, JSON.stringify(metadata)]
-    );
+    await storage.badges.award(username, badge_id, metadata);
     console.log(`🏅 ${username} earned badge: ${badge_id}`);
   } catch (error) {
     console.error('Error awarding badge:', error);
@@ -306,19 +271,7 @@ async function awardBadge(username, badge_id, metadata = {}) {
 async function checkAndAwardBadges(username, prediction) {
   try {
     // Get user's total stats
-    const statsResult = await pool.query(
-      `SELECT 
-        COUNT(*) as total_predictions, 
-        SUM(COALESCE(score, 0)) as total_score,
-        COUNT(DISTINCT storm_id) as unique_storms
-       FROM predictions 
-       WHERE username = $1 AND score IS NOT NULL`,
-      [username]
-    );
-    
-    const totalPredictions = parseInt(statsResult.rows[0].total_predictions);
-    const totalScore = parseInt(statsResult.rows[0].total_score);
-    const uniqueStorms = parseInt(statsResult.rows[0].unique_storms);
+    const { totalPredictions, totalScore, uniqueStorms } = await storage.predictions.getTotals(username, { scoredOnly: true });
     
     // MILESTONE BADGES - First prediction
     if (totalPredictions === 1 && !await hasBadge(username, 'first_prediction')) {
@@ -386,89 +339,273 @@ async function checkAndAwardBadges(username, prediction) {
   }
 }
 
-// Score all predictions for a specific storm and timeframe
-async function scorePredictions(stormId, timeframe, actualData) {
-  try {
-    // Get all predictions for this storm/timeframe that haven't been scored
-    const predictions = await pool.query(
-      `SELECT * FROM predictions 
-       WHERE storm_id = $1 AND timeframe = $2 AND score IS NULL`,
-      [stormId, timeframe]
-    );
-
-    console.log(`📊 Scoring ${predictions.rows.length} predictions for ${stormId} ${timeframe}`);
+// ============================================
+// PARTICIPATION & STREAKS
+// ============================================
 
-    for (const pred of predictions.rows) {
-      // Calculate distance error
-      const distanceError = calculateDistance(
-        pred.predicted_lat,
-        pred.predicted_lon,
-        actualData.lat,
-        actualData.lon
-      );
+// Compute a player's daily, weekend and storm-attendance streaks
+async function getParticipation(username, now = new Date()) {
+  const days = await storage.activity.listDays(username);
+  const submittedByStorm = await storage.predictions.countByStorm(username);
+
+  // Every storm that has started, in schedule order
+  const storms = SCHEDULED_STORMS
+    .filter(storm => new Date(storm.gameStart) <= now)
+    .sort((a, b) => new Date(a.gameStart) - new Date(b.gameStart))
+    .map(storm => ({
+      stormId: storm.id,
+      basin: storm.basin,
+      submitted: submittedByStorm[storm.id] || 0,
+      required: getPredictionTimeframes(storm).length,
+      ended: new Date(storm.gameEnd) <= now
+    }));
+
+  return {
+    activeDays: days.length,
+    days: calculateDayStreaks(days, now, GAME_TIME_ZONE),
+    weekends: calculateWeekendStreaks(days, now, GAME_TIME_ZONE),
+    storms: calculateStormStreaks(storms)
+  };
+}
 
-      // Calculate wind and pressure errors
-      const windError = Math.abs(pred.predicted_wind_speed - actualData.windSpeed);
-      const pressureError = Math.abs(pred.predicted_pressure - actualData.pressure);
-
-      // Calculate scores
-      const trackScore = calculateTrackScore(distanceError);
-      const intensityScore = calculateIntensityScore(windError, pressureError);
-      const totalScore = trackScore + intensityScore;
-
-      // Update prediction with scores and actual data
-      await pool.query(
-        `UPDATE predictions 
-         SET score = $1, 
-             actual_lat = $2, 
-             actual_lon = $3,
-             actual_wind_speed = $4,
-             actual_pressure = $5
-         WHERE id = $6`,
-        [totalScore, actualData.lat, actualData.lon, actualData.windSpeed, actualData.pressure, pred.id]
-      );
+// Record today's activity and award any consistency badges now earned
+async function updateParticipation(username) {
+  try {
+    await storage.activity.record(username, toDateKey(new Date(), GAME_TIME_ZONE));
 
-      // Check and award badges
-      await checkAndAwardBadges(pred.username, { ...pred, score: totalScore });
+    const participation = await getParticipation(username);
 
-      console.log(`  ${pred.username}: ${totalScore} pts (Track: ${trackScore}, Intensity: ${intensityScore}, Distance: ${distanceError.toFixed(1)} NM)`);
+    for (const badgeId of evaluateConsistencyBadges(participation)) {
+      if (!await hasBadge(username, badgeId)) {
+        await awardBadge(username, badgeId, {
+          dayStreak: participation.days.best,
+          stormStreak: participation.storms.best,
+          weekendStreak: participation.weekends.best
+        });
+      }
     }
+  } catch (error) {
+    console.error('Error updating participation:', error);
+  }
+}
 
-    console.log(`Scoring complete for ${stormId} ${timeframe}`);
+// Award badges for how quickly (and at what local hour) a prediction was submitted
+async function checkTimingBadges(username, submission) {
+  try {
+    const earned = evaluateTimingBadges({
+      latencySeconds: submission.latencySeconds,
+      localHour: submission.localHour
+    });
+
+    for (const badgeId of earned) {
+      if (!await hasBadge(username, badgeId)) {
+        await awardBadge(username, badgeId, submission);
+      }
+    }
   } catch (error) {
-    console.error('Error scoring predictions:', error);
+    console.error('Error checking timing badges:', error);
   }
 }
 
-// Automatic scoring when timeframe passes
-async function checkAndScore() {
+// Evaluate the accuracy-based performance badges for one scored prediction
+async function checkPerformanceBadges(username, stormId, timeframe, scored) {
   try {
-    const currentStorm = getCurrentStorm();
-    if (!currentStorm) return;
+    const storm = SCHEDULED_STORMS.find(s => s.id === stormId);
+    const previous = getPreviousTimeframe(storm, timeframe);
 
-    const now = new Date();
-    const gameStart = new Date(currentStorm.gameStart);
-    const hoursSinceStart = (now - gameStart) / (1000 * 60 * 60);
+    const history = await storage.predictions.listScored({ username });
 
-    // Check each timeframe and score if it just passed
-    const timeframesToScore = [];
-    
-    if (hoursSinceStart >= 6 && hoursSinceStart < 7) {
-      timeframesToScore.push({ tf: '0600', data: currentStorm.timeframes.find(t => t.timeframe === '0600') });
-    }
-    if (hoursSinceStart >= 12 && hoursSinceStart < 13) {
-      timeframesToScore.push({ tf: '1200', data: currentStorm.timeframes.find(t => t.timeframe === '1200') });
-    }
-    if (hoursSinceStart >= 18 && hoursSinceStart < 19) {
-      timeframesToScore.push({ tf: '1800', data: currentStorm.timeframes.find(t => t.timeframe === '1800') });
+    const stormRows = history.filter(row => row.storm_id === stormId);
+    const stormTotal = stormRows.reduce((sum, row) => sum + row.score, 0);
+
+    const earned = evaluatePerformanceBadges({
+      distanceError: scored.distanceError,
+      windError: scored.windError,
+      pressureError: scored.pressureError,
+      actualWindChange: previous ? scored.actualWindSpeed - previous.windSpeed : 0,
+      predictedWindChange: previous ? scored.predictedWindSpeed - previous.windSpeed : 0,
+      history: summarizePredictionHistory(history),
+      storm: {
+        completed: !!storm && stormRows.length === getPredictionTimeframes(storm).length,
+        hadCategory5: !!storm && storm.timeframes.some(tf => tf.category === 5),
+        averageScore: stormRows.length > 0 ? stormTotal / stormRows.length : 0
+      }
+    });
+
+    for (const badgeId of earned) {
+      if (!await hasBadge(username, badgeId)) {
+        await awardBadge(username, badgeId, {
+          stormId,
+          timeframe,
+          distanceError: Math.round(scored.distanceError * 10) / 10,
+          windError: scored.windError,
+          pressureError: scored.pressureError
+        });
+      }
     }
-    if (hoursSinceStart >= 24 && hoursSinceStart < 25) {
-      timeframesToScore.push({ tf: '0000', data: currentStorm.timeframes.find(t => t.timeframe === '0000' && t.type === 'prediction') });
+  } catch (error) {
+    console.error('Error checking performance badges:', error);
+  }
+}
+
+// A scored prediction next to the skill baseline's forecast for the same
+// timeframe, scored under the same profile. Null until the prediction is scored.
+function getBaselineComparison(row) {
+  if (row.score === null || row.score === undefined) return null;
+
+  const profile = getScoringProfile(row.scoring_version) || getScoringProfile();
+  const storm = SCHEDULED_STORMS.find(s => s.id === row.storm_id);
+  const baseline = scoreBaseline(storm, SKILL_BASELINE, row.timeframe, profile);
+  if (!baseline) return null;
+
+  return { score: Number(row.score), baselineScore: baseline.totalScore, maxScore: getMaxScore(profile) };
+}
+
+// A prediction row with the baseline's points and the player's skill against them
+function withSkill(row) {
+  const comparison = getBaselineComparison(row);
+  return {
+    ...row,
+    baselineScore: comparison ? comparison.baselineScore : null,
+    skill: comparison ? calculateSkill(comparison.score, comparison.baselineScore, comparison.maxScore) : null
+  };
+}
+
+// Bot rows for a storm leaderboard: each baseline over the timeframes scored so
+// far, under the profile that timeframe's predictions were scored with
+async function getBaselineRows(stormId) {
+  const storm = SCHEDULED_STORMS.find(s => s.id === stormId);
+  if (!storm) return [];
+
+  const ledger = await storage.results.getLedger();
+  const versions = {};
+  (await storage.predictions.listScored({ stormId })).forEach(row => {
+    versions[row.timeframe] = row.scoring_version;
+  });
+
+  return computeBaselineRows(storm, (ledger[stormId] || []).map(timeframe => ({
+    timeframe,
+    profile: getScoringProfile(versions[timeframe]) || getScoringProfile()
+  })));
+}
+
+// A stored prediction row as the forecast scorePrediction() takes
+function toForecast(row) {
+  return {
+    lat: row.predicted_lat,
+    lon: row.predicted_lon,
+    windSpeed: row.predicted_wind_speed,
+    pressure: row.predicted_pressure,
+    radiusNm: row.predicted_radius_nm,
+    windMin: row.predicted_wind_min,
+    windMax: row.predicted_wind_max
+  };
+}
+
+// Check that validated extended forecasts cover each timeframe after the
+// issuing one exactly once, and attach their lead times
+function matchExtendedForecasts(storm, issuedTimeframe, forecasts) {
+  const targets = getExtendedTimeframes(storm, issuedTimeframe);
+  const timeframes = forecasts.map(f => f.timeframe);
+  const covered = timeframes.length === targets.length &&
+    targets.every(target => timeframes.filter(tf => tf === target.timeframe).length === 1);
+
+  if (forecasts.length > 0 && !covered) {
+    const expected = targets.map(target => target.timeframe).join(', ') || 'none';
+    return { error: `Extended forecasts must cover each remaining timeframe once (${expected})` };
+  }
+
+  return {
+    forecasts: forecasts.map(f => ({ ...f, leadHours: targets.find(t => t.timeframe === f.timeframe).leadHours }))
+  };
+}
+
+// A scorePrediction() result as the score columns to store for a prediction
+function toScoreUpdate(result) {
+  return {
+    score: result.totalScore,
+    distanceErrorNm: Math.round(result.distanceError * 100) / 100,
+    windError: result.windError,
+    pressureError: result.pressureError,
+    trackScore: result.trackScore,
+    intensityScore: result.intensityScore,
+    changeScore: result.changeScore
+  };
+}
+
+// Score all predictions for a specific storm and timeframe in one transaction:
+// every prediction and the ledger entry are written together or not at all.
+// Badges are evaluated after commit. Returns how many predictions were scored.
+async function scorePredictions(stormId, timeframe, actualData, scoredBy = 'scheduler') {
+  const profile = getScoringProfile();
+  // Intensity changes are called from the timeframe before this one
+  const previous = getPreviousTimeframe(SCHEDULED_STORMS.find(s => s.id === stormId), timeframe);
+
+  const scored = await storage.transaction(async tx => {
+    // Locks the unscored rows so overlapping runs cannot score them twice
+    const predictions = await tx.predictions.lockUnscored(stormId, timeframe);
+
+    console.log(`📊 Scoring ${predictions.length} predictions for ${stormId} ${timeframe}`);
+
+    const results = predictions.map(pred => ({
+      pred,
+      ...scorePrediction(toForecast(pred), actualData, profile, previous)
+    }));
+
+    await tx.predictions.applyScores(results.map(s => ({ id: s.pred.id, ...toScoreUpdate(s) })), {
+      scoringVersion: profile.version,
+      actual: actualData
+    });
+    // Extended forecasts made earlier for this timeframe verify now as well
+    const extended = await tx.extendedForecasts.lockUnscored(stormId, timeframe);
+    await tx.extendedForecasts.applyScores(
+      extended.map(f => ({ id: f.id, ...toScoreUpdate(scorePrediction(toForecast(f), actualData, profile, previous)) })),
+      { scoringVersion: profile.version, actual: actualData }
+    );
+    if (extended.length > 0) {
+      console.log(`🔭 Scored ${extended.length} extended forecasts for ${stormId} ${timeframe}`);
     }
 
-    for (const { tf, data } of timeframesToScore) {
-      if (data) {
-        await scorePredictions(currentStorm.id, tf, data);
+    await tx.results.recordScored(stormId, timeframe, results.length, scoredBy);
+    return results;
+  });
+
+  for (const s of scored) {
+    console.log(`  ${s.pred.username}: ${s.totalScore} pts (Track: ${s.trackScore}, Intensity: ${s.intensityScore}, Change: ${s.changeScore}, Distance: ${s.distanceError.toFixed(1)} NM)`);
+
+    // Check and award badges. Score badges are on the 2000-point track and
+    // intensity scale, so the change bonus can't carry a forecast over 1900.
+    await checkAndAwardBadges(s.pred.username, { ...s.pred, score: s.trackScore + s.intensityScore });
+    await checkPerformanceBadges(s.pred.username, stormId, timeframe, {
+      distanceError: s.distanceError,
+      windError: s.windError,
+      pressureError: s.pressureError,
+      predictedWindSpeed: s.pred.predicted_wind_speed,
+      actualWindSpeed: actualData.windSpeed
+    });
+  }
+
+  console.log(`Scoring complete for ${stormId} ${timeframe}`);
+  return scored.length;
+}
+
+// Automatic scoring: score every passed timeframe of every storm, current or
+// past, that has no ledger entry yet. Nothing is lost if a tick is missed.
+async function checkAndScore() {
+  try {
+    const now = new Date();
+    const ledger = await storage.results.getLedger();
+
+    for (const storm of SCHEDULED_STORMS) {
+      const due = getDueTimeframes(storm, now, ledger[storm.id]);
+
+      for (const data of due) {
+        try {
+          await scorePredictions(storm.id, data.timeframe, data);
+        } catch (error) {
+          // Left out of the ledger, so the next tick retries it
+          console.error(`Error scoring ${storm.id} ${data.timeframe}:`, error);
+        }
       }
     }
   } catch (error) {
@@ -476,93 +613,150 @@ async function checkAndScore() {
   }
 }
 
-// Run scoring check every minute
-setInterval(checkAndScore, 60000);
-
-// Get current active storm (24-hour rotation in UTC-6/Central Time)
-function getCurrentStorm() {
-  if (HISTORICAL_STORMS.length === 0) return null;
-  
-  // Get current time in UTC-6 (Central Time)
-  const now = new Date();
-  const utcMinus6 = new Date(now.getTime() - (6 * 60 * 60 * 1000));
-  
-  // Find which storm should be active based on gameStart times
-  // Note: gameStart/gameEnd in storms.json are in UTC, but represent midnight UTC-6
-  for (const storm of HISTORICAL_STORMS) {
-    const stormStart = new Date(storm.gameStart);
-    const stormEnd = new Date(storm.gameEnd);
-    
-    if (now >= stormStart && now < stormEnd) {
-      return storm;
+// ============================================
+// STORM FINALIZATION
+// ============================================
+
+// Award competitive badges from a storm's frozen standings
+async function awardCompetitiveBadges(stormId, standings, progression) {
+  for (const entry of standings) {
+    try {
+      const earned = evaluateCompetitiveBadges({
+        finalRank: entry.rank,
+        championships: await storage.results.countChampionships(entry.username),
+        comeback: isComeback(entry.username, progression)
+      });
+
+      for (const badgeId of earned) {
+        if (!await hasBadge(entry.username, badgeId)) {
+          await awardBadge(entry.username, badgeId, {
+            stormId,
+            finalRank: entry.rank,
+            participants: standings.length
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Error awarding competitive badges:', error);
+    }
+  }
+}
+
+// Freeze a storm's final standings into storm_results and award competitive
+// badges. Only the first call for a storm does anything; later calls return null.
+async function finalizeStorm(stormId, finalizedBy = 'scheduler') {
+  const storm = SCHEDULED_STORMS.find(s => s.id === stormId);
+
+  const predictions = await storage.predictions.listScored({ stormId });
+  const standings = computeFinalStandings(predictions);
+
+  // Claiming the finalization row is what makes this idempotent
+  const claimed = await storage.transaction(async tx => {
+    if (!await tx.results.claimFinalization(stormId, standings.length, finalizedBy)) {
+      return false;
+    }
+    await tx.results.writeStandings(stormId, standings);
+    return true;
+  });
+
+  if (!claimed) {
+    return null;
+  }
+
+  console.log(`🏁 Finalized ${stormId}: ${standings.length} players ranked`);
+
+  const timeframeOrder = getPredictionTimeframes(storm).map(tf => tf.timeframe);
+  const progression = computeStandingsProgression(predictions, timeframeOrder);
+  await awardCompetitiveBadges(stormId, standings, progression);
+
+  return standings;
+}
+
+// Finalize every storm whose game has ended and whose timeframes are all in
+// the scoring ledger
+async function finalizeEndedStorms() {
+  try {
+    const now = new Date();
+    const ledger = await storage.results.getLedger();
+    const done = new Set(await storage.results.listFinalizedIds());
+
+    for (const storm of SCHEDULED_STORMS) {
+      if (done.has(storm.id) || new Date(storm.gameEnd) > now) continue;
+      if (getDueTimeframes(storm, now, ledger[storm.id]).length > 0) continue;
+      if (await storage.predictions.countUnscored(storm.id) > 0) continue;
+
+      await finalizeStorm(storm.id);
     }
+  } catch (error) {
+    console.error('Error finalizing storms:', error);
   }
-  
-  // If no storm matches, return the first one as fallback
-  return HISTORICAL_STORMS[0];
 }
 
-// Determine which timeframe is currently active
-function getActiveTimeframe(storm) {
-  if (!storm || !storm.timeframes) return null;
-  
-  const now = new Date();
-  const gameStart = new Date(storm.gameStart);
-  
-  // Calculate hours since game start
-  const hoursSinceStart = (now - gameStart) / (1000 * 60 * 60);
-  
-  // Determine active timeframe based on time
-  if (hoursSinceStart < 0) {
-    return null; // Game hasn't started yet
-  } else if (hoursSinceStart < 6) {
-    return '0600'; // 0000-0559: predict 0600
-  } else if (hoursSinceStart < 12) {
-    return '1200'; // 0600-1159: predict 1200
-  } else if (hoursSinceStart < 18) {
-    return '1800'; // 1200-1759: predict 1800
-  } else if (hoursSinceStart < 24) {
-    return '0000'; // 1800-2359: predict next 0000
-  } else {
-    return null; // Game ended
+// Scoring check, then freeze any storm that has ended. Runs every minute once
+// the server starts; a catch-up pass can outlast one interval, so ticks never overlap.
+let schedulerRunning = false;
+
+async function runScheduler() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+  try {
+    await checkAndScore();
+    await finalizeEndedStorms();
+    await scoreEndedLandfalls();
+  } finally {
+    schedulerRunning = false;
   }
 }
 
+// Public fields of a scheduled game
+function summarizeGame(storm) {
+  return {
+    id: storm.id,
+    name: storm.name,
+    year: storm.year,
+    basin: storm.basin,
+    runId: storm.runId,
+    timeZone: storm.timeZone,
+    gameStart: storm.gameStart,
+    gameEnd: storm.gameEnd,
+    landfallCutoff: storm.landfallCutoff
+  };
+}
+
 // Get game state
-app.get('/api/game/state', (req, res) => {
+// Several games can run at once (one per basin run); ?stormId= picks one,
+// otherwise the first active game is returned. `games` lists all of them.
+app.get('/api/game/state', async (req, res) => {
   try {
-    const currentStorm = getCurrentStorm();
+    const now = new Date();
+    const activeStorms = getActiveStorms(SCHEDULED_STORMS, now);
+    const currentStorm = activeStorms.find(s => s.id === req.query.stormId) || activeStorms[0];
     
     if (!currentStorm) {
-      return res.status(404).json({ error: 'No active storm' });
+      const nextStorm = getNextGame(SCHEDULED_STORMS, now);
+      return res.status(404).json({
+        error: 'No active storm',
+        nextStorm: nextStorm ? { id: nextStorm.id, name: nextStorm.name, gameStart: nextStorm.gameStart } : null
+      });
     }
     
-    const activeTimeframe = getActiveTimeframe(currentStorm);
-    const now = new Date();
+    const activeTimeframe = getActiveTimeframe(currentStorm, now);
+    const ledger = await storage.results.getLedger();
     const gameStart = new Date(currentStorm.gameStart);
     const hoursSinceStart = (now - gameStart) / (1000 * 60 * 60);
     
-    // Calculate time until next timeframe unlocks
+    // Calculate time until next timeframe unlocks (when the active one locks)
     let nextUnlockHours = 0;
-    if (hoursSinceStart < 6) {
-      nextUnlockHours = 6 - hoursSinceStart;
-    } else if (hoursSinceStart < 12) {
-      nextUnlockHours = 12 - hoursSinceStart;
-    } else if (hoursSinceStart < 18) {
-      nextUnlockHours = 18 - hoursSinceStart;
-    } else if (hoursSinceStart < 24) {
-      nextUnlockHours = 24 - hoursSinceStart;
+    if (activeTimeframe) {
+      const window = getTimeframeWindow(currentStorm, activeTimeframe);
+      nextUnlockHours = (window.lockAt - now) / (1000 * 60 * 60);
     }
     
     res.json({
-      storm: {
-        id: currentStorm.id,
-        name: currentStorm.name,
-        year: currentStorm.year,
-        gameStart: currentStorm.gameStart,
-        gameEnd: currentStorm.gameEnd
-      },
-      timeframes: currentStorm.timeframes,
+      storm: summarizeGame(currentStorm),
+      games: activeStorms.map(summarizeGame),
+      // Never send verifying data for timeframes that haven't been scored yet
+      timeframes: getRevealedTimeframes(currentStorm, ledger[currentStorm.id]),
       activeTimeframe: activeTimeframe,
       hoursSinceStart: hoursSinceStart.toFixed(1),
       nextUnlockHours: nextUnlockHours.toFixed(1)
@@ -574,49 +768,74 @@ app.get('/api/game/state', (req, res) => {
 });
 
 // Submit prediction for a timeframe
-app.post('/api/predictions', async (req, res) => {
+app.post('/api/predictions', requireAuth, rateLimit('predictions'), async (req, res) => {
   try {
-    const {
-      username,
-      stormId,
-      timeframe,
-      lat,
-      lon,
-      windSpeed,
-      pressure
-    } = req.body;
-    
-    if (!username || !stormId || !timeframe || !lat || !lon || !windSpeed || !pressure) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const { username } = req.user;
+    const { timezone } = req.body;
+
+    const { value, errors } = validatePrediction(req.body, ['stormId', 'timeframe']);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid prediction', fields: errors });
+    }
+    const { stormId, timeframe, lat, lon, windSpeed, pressure, radiusNm = null, windMin = null, windMax = null } = value;
+
+    const extended = validateExtendedForecasts(req.body.extendedForecasts || []);
+    if (extended.errors) {
+      return res.status(400).json({ error: 'Invalid extended forecast', fields: extended.errors });
     }
     
     // Verify this timeframe is currently active
-    const currentStorm = getCurrentStorm();
-    if (!currentStorm || currentStorm.id !== stormId) {
+    const submittedAt = new Date();
+    const currentStorm = getActiveStorms(SCHEDULED_STORMS, submittedAt).find(s => s.id === stormId);
+    if (!currentStorm) {
       return res.status(400).json({ error: 'Storm not active' });
     }
+
+    const outsideBasin = validateBasinPositions(currentStorm.basin, value, extended.value);
+    if (outsideBasin) {
+      return res.status(400).json({ error: 'Invalid prediction', fields: outsideBasin });
+    }
     
-    const activeTimeframe = getActiveTimeframe(currentStorm);
+    const activeTimeframe = getActiveTimeframe(currentStorm, submittedAt);
     if (activeTimeframe !== timeframe) {
       return res.status(400).json({ error: `Timeframe ${timeframe} is not currently active. Active: ${activeTimeframe}` });
     }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone', fields: { timezone: 'Unknown time zone' } });
+    }
+
+    const matched = matchExtendedForecasts(currentStorm, timeframe, extended.value);
+    if (matched.error) {
+      return res.status(400).json({ error: matched.error });
+    }
+
+    const latencySeconds = getUnlockLatencySeconds(currentStorm, timeframe, submittedAt);
+    const localHour = timezone ? getLocalHour(submittedAt, timezone) : null;
     
-    const predictionId = `${username}-${stormId}-${timeframe}-${Date.now()}`;
+    const predictionId = createPredictionId(username, stormId, timeframe, submittedAt);
     
-    // Insert prediction
-    const result = await pool.query(
-      `INSERT INTO predictions 
-      (prediction_id, username, storm_id, timeframe, predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *`,
-      [predictionId, username, stormId, timeframe, lat, lon, windSpeed, pressure]
-    );
+    // Saved along with the first entry of its revision history and any extended forecasts
+    const { prediction, extendedForecasts } = await storage.transaction(async tx => {
+      const created = await tx.predictions.create({
+        predictionId, username, stormId, timeframe, lat, lon, windSpeed, pressure, radiusNm, windMin, windMax,
+        submittedAt, latencySeconds, timezone: timezone || null, localHour
+      });
+      return {
+        prediction: created,
+        extendedForecasts: await tx.extendedForecasts.save(username, stormId, timeframe, matched.forecasts, submittedAt)
+      };
+    });
     
     console.log(`👤 Saved prediction: ${username} - ${stormId} - ${timeframe}`);
+
+    await updateParticipation(username);
+    await checkTimingBadges(username, { stormId, timeframe, latencySeconds, localHour, timezone });
     
     res.status(201).json({
       success: true,
-      prediction: result.rows[0],
+      prediction,
+      extendedForecasts,
       message: 'Prediction submitted successfully'
     });
   } catch (error) {
@@ -628,27 +847,115 @@ app.post('/api/predictions', async (req, res) => {
   }
 });
 
-// Get user's predictions for current storm
-app.get('/api/predictions/user/:username', async (req, res) => {
+// Revise a prediction while its timeframe is still open. The row keeps its
+// original submission timing; the new values are appended to its history.
+app.put('/api/predictions/:id', requireAuth, rateLimit('predictions'), async (req, res) => {
+  const { username } = req.user;
+
+  const { value, errors } = validatePrediction(req.body);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid prediction', fields: errors });
+  }
+  const { lat, lon, windSpeed, pressure, radiusNm = null, windMin = null, windMax = null } = value;
+
+  // Sent extended forecasts replace the ones issued with this prediction; omitted, they're kept
+  const replaceExtended = req.body.extendedForecasts !== undefined;
+  const extended = validateExtendedForecasts(replaceExtended ? req.body.extendedForecasts : []);
+  if (extended.errors) {
+    return res.status(400).json({ error: 'Invalid extended forecast', fields: extended.errors });
+  }
+
+  try {
+    const outcome = await storage.transaction(async tx => {
+      // Locks the row so a scoring run can't score it halfway through an edit
+      const prediction = await tx.predictions.findOwnedForUpdate(req.params.id, username);
+      if (!prediction) {
+        return { status: 404, error: 'Prediction not found' };
+      }
+
+      const revisedAt = new Date();
+      const storm = SCHEDULED_STORMS.find(s => s.id === prediction.storm_id);
+      if (!canRevisePrediction(storm, prediction, revisedAt)) {
+        return { status: 400, error: `Timeframe ${prediction.timeframe} is locked and can no longer be edited` };
+      }
+
+      const outsideBasin = validateBasinPositions(storm.basin, value, extended.value);
+      if (outsideBasin) {
+        return { status: 400, error: 'Invalid prediction', fields: outsideBasin };
+      }
+
+      const matched = matchExtendedForecasts(storm, prediction.timeframe, extended.value);
+      if (matched.error) {
+        return { status: 400, error: matched.error };
+      }
+
+      const revised = await tx.predictions.revise(
+        prediction.prediction_id,
+        { lat, lon, windSpeed, pressure, radiusNm, windMin, windMax },
+        revisedAt
+      );
+      const extendedForecasts = replaceExtended
+        ? await tx.extendedForecasts.save(username, revised.storm_id, revised.timeframe, matched.forecasts, revisedAt)
+        : (await tx.extendedForecasts.listForUser(username, revised.storm_id))
+          .filter(f => f.issued_timeframe === revised.timeframe);
+
+      return { prediction: revised, extendedForecasts };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error, fields: outcome.fields });
+    }
+
+    console.log(`✏️ Revised prediction: ${username} - ${outcome.prediction.storm_id} - ${outcome.prediction.timeframe}`);
+
+    res.json({
+      success: true,
+      prediction: outcome.prediction,
+      extendedForecasts: outcome.extendedForecasts,
+      message: 'Prediction updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating prediction:', error);
+    res.status(500).json({ error: 'Failed to update prediction' });
+  }
+});
+
+// Get the revision history of one of your predictions
+app.get('/api/predictions/:id/revisions', requireAuth, async (req, res) => {
+  try {
+    const revisions = await storage.predictions.listRevisions(req.params.id, req.user.username);
+
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'Prediction not found' });
+    }
+
+    res.json({ predictionId: req.params.id, revisions });
+  } catch (error) {
+    console.error('Error fetching prediction revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch prediction revisions' });
+  }
+});
+
+// Get user's predictions for one game (?stormId=, default the first active game)
+// Unscored predictions are private, so players can only read their own
+app.get('/api/predictions/user/:username', requireAuth, async (req, res) => {
   try {
     const { username } = req.params;
-    const currentStorm = getCurrentStorm();
+    if (username !== req.user.username) {
+      return res.status(403).json({ error: 'You can only view your own predictions' });
+    }
+
+    const stormId = req.query.stormId || (getActiveStorms(SCHEDULED_STORMS)[0] || {}).id;
     
-    if (!currentStorm) {
+    if (!stormId) {
       return res.json({ predictions: [] });
     }
     
-    const result = await pool.query(
-      `SELECT * FROM predictions
-      WHERE username = $1 AND storm_id = $2
-      ORDER BY timeframe ASC`,
-      [username, currentStorm.id]
-    );
-    
     res.json({
       username,
-      stormId: currentStorm.id,
-      predictions: result.rows
+      stormId,
+      predictions: (await storage.predictions.listForUser(username, stormId)).map(withSkill),
+      extendedForecasts: await storage.extendedForecasts.listForUser(username, stormId)
     });
   } catch (error) {
     console.error('Error fetching user predictions:', error);
@@ -657,29 +964,16 @@ app.get('/api/predictions/user/:username', async (req, res) => {
 });
 
 // Get leaderboard (cumulative scores)
+// Baselines come back separately as reference rows; they are never ranked
 app.get('/api/leaderboard/:stormId', async (req, res) => {
   try {
     const { stormId } = req.params;
     
-    // Only sum scores that are not null (timeframes that have closed and been scored)
-    const result = await pool.query(
-      `SELECT 
-        username,
-        SUM(COALESCE(score, 0)) as total_score,
-        COUNT(*) as predictions_count,
-        COUNT(score) as scored_count
-      FROM predictions
-      WHERE storm_id = $1 AND score IS NOT NULL
-      GROUP BY username
-      HAVING COUNT(score) > 0
-      ORDER BY total_score DESC
-      LIMIT 100`,
-      [stormId]
-    );
-    
+    // Only scored predictions count (timeframes that have closed)
     res.json({
       stormId,
-      leaderboard: result.rows
+      leaderboard: await storage.predictions.getStormLeaderboard(stormId),
+      baselines: await getBaselineRows(stormId)
     });
   } catch (error) {
     console.error('Error fetching leaderboard:', error);
@@ -692,22 +986,12 @@ app.get('/api/participants/:stormId', async (req, res) => {
   try {
     const { stormId } = req.params;
     
-    const result = await pool.query(
-      `SELECT 
-        username,
-        COUNT(*) as predictions_count,
-        MIN(submitted_at) as first_prediction
-      FROM predictions
-      WHERE storm_id = $1
-      GROUP BY username
-      ORDER BY first_prediction ASC`,
-      [stormId]
-    );
+    const participants = await storage.predictions.getParticipants(stormId);
     
     res.json({
       stormId,
-      participants: result.rows,
-      totalParticipants: result.rows.length
+      participants,
+      totalParticipants: participants.length
     });
   } catch (error) {
     console.error('Error fetching participants:', error);
@@ -718,25 +1002,8 @@ app.get('/api/participants/:stormId', async (req, res) => {
 // Get all-time leaderboard (cumulative across all storms)
 app.get('/api/leaderboard/all-time/global', async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT 
-        username,
-        SUM(COALESCE(score, 0)) as total_score,
-        COUNT(DISTINCT storm_id) as storms_played,
-        COUNT(*) as total_predictions,
-        COUNT(score) as scored_predictions,
-        ROUND(AVG(COALESCE(score, 0))::numeric, 1) as avg_score,
-        MAX(score) as best_prediction
-      FROM predictions
-      WHERE score IS NOT NULL
-      GROUP BY username
-      HAVING COUNT(score) > 0
-      ORDER BY total_score DESC
-      LIMIT 100`
-    );
-    
     res.json({
-      leaderboard: result.rows
+      leaderboard: await storage.predictions.getAllTimeLeaderboard()
     });
   } catch (error) {
     console.error('Error fetching all-time leaderboard:', error);
@@ -744,46 +1011,56 @@ app.get('/api/leaderboard/all-time/global', async (req, res) => {
   }
 });
 
-// Get leaderboard by storm history (all past storms with scores)
+// Lead-time leaderboards: extended forecasts ranked separately at each lead
+// time, across every storm or for one (the regular boards rank the next-timeframe predictions)
+app.get('/api/leaderboard/all-time/lead-times', async (req, res) => {
+  try {
+    res.json({
+      leadTimes: computeLeadTimeStandings(await storage.extendedForecasts.listScored())
+    });
+  } catch (error) {
+    console.error('Error fetching lead-time leaderboards:', error);
+    res.status(500).json({ error: 'Failed to fetch lead-time leaderboards' });
+  }
+});
+
+app.get('/api/leaderboard/:stormId/lead-times', async (req, res) => {
+  try {
+    const { stormId } = req.params;
+
+    res.json({
+      stormId,
+      leadTimes: computeLeadTimeStandings(await storage.extendedForecasts.listScored({ stormId }))
+    });
+  } catch (error) {
+    console.error('Error fetching lead-time leaderboards:', error);
+    res.status(500).json({ error: 'Failed to fetch lead-time leaderboards' });
+  }
+});
+
+// Get leaderboard by storm history (final standings of finalized storms)
 app.get('/api/leaderboard/by-storm/all', async (req, res) => {
   try {
-    // Get unique storms that have scored predictions
-    const stormsResult = await pool.query(
-      `SELECT DISTINCT storm_id
-       FROM predictions
-       WHERE score IS NOT NULL
-       ORDER BY storm_id DESC`
-    );
+    const finalizations = await storage.results.listFinalizations();
     
     const stormLeaderboards = [];
     
-    for (const stormRow of stormsResult.rows) {
+    for (const stormRow of finalizations) {
       const stormId = stormRow.storm_id;
       
-      // Get leaderboard for this storm
-      const leaderboardResult = await pool.query(
-        `SELECT 
-          username,
-          SUM(COALESCE(score, 0)) as total_score,
-          COUNT(*) as predictions_count,
-          ROUND(AVG(COALESCE(score, 0))::numeric, 1) as avg_score
-        FROM predictions
-        WHERE storm_id = $1 AND score IS NOT NULL
-        GROUP BY username
-        HAVING COUNT(score) > 0
-        ORDER BY total_score DESC
-        LIMIT 10`,
-        [stormId]
-      );
+      // Get frozen standings for this storm
+      const leaderboard = await storage.results.getStandings(stormId, 10);
       
       // Get storm info from loaded storms
-      const stormInfo = HISTORICAL_STORMS.find(s => s.id === stormId);
+      const stormInfo = SCHEDULED_STORMS.find(s => s.id === stormId);
       
       stormLeaderboards.push({
         stormId,
         stormName: stormInfo ? stormInfo.name : stormId,
         stormYear: stormInfo ? stormInfo.year : null,
-        leaderboard: leaderboardResult.rows
+        participants: stormRow.participants,
+        finalizedAt: stormRow.finalized_at,
+        leaderboard
       });
     }
     
@@ -801,74 +1078,39 @@ app.get('/api/user/:username/stats', async (req, res) => {
   try {
     const { username } = req.params;
     
-    // Get overall stats
-    const statsResult = await pool.query(
-      `SELECT 
-        COUNT(DISTINCT storm_id) as storms_played,
-        COUNT(*) as total_predictions,
-        COUNT(score) as scored_predictions,
-        SUM(COALESCE(score, 0)) as total_score,
-        ROUND(AVG(COALESCE(score, 0))::numeric, 1) as avg_score,
-        MAX(score) as best_score,
-        MIN(score) as worst_score
-      FROM predictions
-      WHERE username = $1 AND score IS NOT NULL`,
-      [username]
-    );
-    
-    // Get best predictions
-    const bestPredictionsResult = await pool.query(
-      `SELECT 
-        storm_id,
-        timeframe,
-        score,
-        predicted_lat,
-        predicted_lon,
-        predicted_wind_speed,
-        predicted_pressure,
-        actual_lat,
-        actual_lon,
-        actual_wind_speed,
-        actual_pressure,
-        submitted_at
-      FROM predictions
-      WHERE username = $1 AND score IS NOT NULL
-      ORDER BY score DESC
-      LIMIT 5`,
-      [username]
-    );
+    const { stats, bestPredictions: best, submissionTiming, globalRank } = await storage.predictions.getUserStats(username);
+    const scored = await storage.predictions.listScored({ username });
+    // How often the verifying position fell inside the player's cones
+    const calibration = summarizeCalibration(scored);
+    // Points against the baseline forecast over every scored prediction
+    const skill = summarizeSkill(scored.map(getBaselineComparison).filter(Boolean));
+    // The player's line on each all-time lead-time board
+    const leadTimes = computeLeadTimeStandings(await storage.extendedForecasts.listScored())
+      .map(board => ({
+        leadHours: board.leadHours,
+        players: board.standings.length,
+        ...board.standings.find(entry => entry.username === username)
+      }))
+      .filter(board => board.username);
     
     // Add storm names to best predictions
-    const bestPredictions = bestPredictionsResult.rows.map(pred => {
-      const stormInfo = HISTORICAL_STORMS.find(s => s.id === pred.storm_id);
+    const bestPredictions = best.map(pred => {
+      const stormInfo = SCHEDULED_STORMS.find(s => s.id === pred.storm_id);
       return {
-        ...pred,
+        ...withSkill(pred),
         stormName: stormInfo ? stormInfo.name : pred.storm_id
       };
     });
     
-    // Get rank in all-time leaderboard
-    const rankResult = await pool.query(
-      `WITH ranked_users AS (
-        SELECT 
-          username,
-          SUM(COALESCE(score, 0)) as total_score,
-          RANK() OVER (ORDER BY SUM(COALESCE(score, 0)) DESC) as rank
-        FROM predictions
-        WHERE score IS NOT NULL
-        GROUP BY username
-      )
-      SELECT rank, total_score
-      FROM ranked_users
-      WHERE username = $1`,
-      [username]
-    );
-    
     res.json({
       username,
-      stats: statsResult.rows[0] || {},
+      stats,
       bestPredictions,
-      globalRank: rankResult.rows[0] || { rank: null, total_score: 0 }
+      submissionTiming,
+      calibration,
+      skill,
+      leadTimes,
+      globalRank: globalRank || { rank: null, total_score: 0 }
     });
   } catch (error) {
     console.error('Error fetching user stats:', error);
@@ -876,17 +1118,349 @@ app.get('/api/user/:username/stats', async (req, res) => {
   }
 });
 
-// Health check
-app.get('/api/health', async (req, res) => {
+// ============================================
+// LANDFALL PREDICTIONS
+// ============================================
+
+// Score a storm's landfall predictions in one transaction. Returns how many were scored.
+async function scoreLandfallPredictions(storm) {
+  const scored = await storage.transaction(async tx => {
+    const predictions = await tx.landfalls.lockUnscored(storm.id);
+
+    const results = predictions.map(pred => ({
+      pred,
+      ...scoreLandfall({
+        lat: pred.predicted_lat,
+        lon: pred.predicted_lon,
+        hoursAfterBase: pred.predicted_hours_after_base,
+        windSpeed: pred.predicted_wind_speed
+      }, storm.landfalls)
+    }));
+
+    await tx.landfalls.applyScores(results.map(s => ({
+      id: s.pred.id,
+      score: s.totalScore,
+      landfallIndex: s.landfallIndex,
+      alongCoastErrorNm: Math.round(s.alongCoastErrorNm * 100) / 100,
+      timingErrorHours: Math.round(s.timingErrorHours * 10) / 10,
+      windError: s.windError,
+      locationScore: s.locationScore,
+      timingScore: s.timingScore,
+      intensityScore: s.intensityScore
+    })));
+    return results;
+  });
+
+  if (scored.length > 0) {
+    console.log(`🏝️ Scored ${scored.length} landfall predictions for ${storm.id}`);
+  }
+  return scored.length;
+}
+
+// Landfalls often come after the last timeframe, so landfall predictions are
+// scored once a game has ended. Only unscored rows are picked up, so every
+// tick can run this.
+async function scoreEndedLandfalls() {
   try {
-    const result = await pool.query('SELECT COUNT(*) FROM predictions');
-    const predictionsCount = parseInt(result.rows[0].count);
-    
-    res.json({ 
-      status: 'healthy', 
+    const now = new Date();
+
+    for (const storm of SCHEDULED_STORMS) {
+      if (!storm.landfallCutoff || new Date(storm.gameEnd) > now) continue;
+
+      try {
+        await scoreLandfallPredictions(storm);
+      } catch (error) {
+        console.error(`Error scoring landfalls for ${storm.id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error in landfall scoring:', error);
+  }
+}
+
+// Find a scheduled game that takes landfall predictions
+function findLandfallStorm(stormId) {
+  const storm = SCHEDULED_STORMS.find(s => s.id === stormId);
+  return storm && storm.landfallCutoff ? storm : null;
+}
+
+// Submit or replace your landfall prediction for a storm, until its cutoff
+app.post('/api/landfall/:stormId', requireAuth, rateLimit('predictions'), async (req, res) => {
+  try {
+    const { username } = req.user;
+
+    const { value, errors } = validateLandfallPrediction(req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid landfall prediction', fields: errors });
+    }
+
+    const storm = findLandfallStorm(req.params.stormId);
+    if (!storm) {
+      return res.status(404).json({ error: 'No landfall prediction for this storm' });
+    }
+
+    const outsideBasin = validateBasinPositions(storm.basin, value);
+    if (outsideBasin) {
+      return res.status(400).json({ error: 'Invalid landfall prediction', fields: outsideBasin });
+    }
+
+    const submittedAt = new Date();
+    if (!isLandfallOpen(storm, submittedAt)) {
+      return res.status(400).json({ error: `Landfall predictions closed at ${storm.landfallCutoff}` });
+    }
+
+    const landfall = await storage.landfalls.save(username, storm.id, value, submittedAt);
+    console.log(`🏝️ Saved landfall prediction: ${username} - ${storm.id}`);
+
+    res.json({ success: true, landfall });
+  } catch (error) {
+    console.error('Error submitting landfall prediction:', error);
+    res.status(500).json({ error: 'Failed to submit landfall prediction' });
+  }
+});
+
+// Get your landfall prediction for a storm (private until scored, like predictions)
+app.get('/api/landfall/:stormId/user/:username', requireAuth, async (req, res) => {
+  try {
+    const { username } = req.params;
+    if (username !== req.user.username) {
+      return res.status(403).json({ error: 'You can only view your own landfall prediction' });
+    }
+
+    const storm = findLandfallStorm(req.params.stormId);
+    if (!storm) {
+      return res.status(404).json({ error: 'No landfall prediction for this storm' });
+    }
+
+    res.json({
+      stormId: storm.id,
+      cutoff: storm.landfallCutoff,
+      open: isLandfallOpen(storm),
+      landfall: await storage.landfalls.findForUser(username, storm.id)
+    });
+  } catch (error) {
+    console.error('Error fetching landfall prediction:', error);
+    res.status(500).json({ error: 'Failed to fetch landfall prediction' });
+  }
+});
+
+// Landfall leaderboard for a storm; the recorded landfalls are revealed once the game ends
+app.get('/api/leaderboard/:stormId/landfall', async (req, res) => {
+  try {
+    const storm = findLandfallStorm(req.params.stormId);
+    if (!storm) {
+      return res.status(404).json({ error: 'No landfall prediction for this storm' });
+    }
+
+    const revealed = new Date(storm.gameEnd) <= new Date();
+    const rows = await storage.landfalls.listScored(storm.id);
+    const leaderboard = rankStandings(rows.map(row => ({
+      username: row.username,
+      totalScore: row.score,
+      landfall: storm.landfalls[row.landfall_index].place,
+      predictedLat: Number(row.predicted_lat),
+      predictedLon: Number(row.predicted_lon),
+      predictedHoursAfterBase: Number(row.predicted_hours_after_base),
+      predictedWindSpeed: row.predicted_wind_speed,
+      alongCoastErrorNm: Number(row.along_coast_error_nm),
+      timingErrorHours: Number(row.timing_error_hours),
+      windError: row.wind_error,
+      locationScore: row.location_score,
+      timingScore: row.timing_score,
+      intensityScore: row.intensity_score
+    })));
+
+    res.json({
+      stormId: storm.id,
+      landfalls: revealed ? storm.landfalls : [],
+      leaderboard
+    });
+  } catch (error) {
+    console.error('Error fetching landfall leaderboard:', error);
+    res.status(500).json({ error: 'Failed to fetch landfall leaderboard' });
+  }
+});
+
+// ============================================
+// PRACTICE MODE
+// ============================================
+
+// Load a player's practice run with its predictions and what to show next
+async function getPracticeRunState(runId, username) {
+  if (!Number.isInteger(runId)) return null;
+
+  const run = await storage.practice.findRun(runId, username);
+  if (!run) return null;
+
+  const predictions = await storage.practice.listPredictions(run.id);
+  const storm = STORM_LIBRARY.find(s => s.id === run.storm_id);
+  const submitted = predictions.map(p => p.timeframe);
+
+  return {
+    run: {
+      id: run.id,
+      stormId: run.storm_id,
+      stormName: storm ? storm.name : run.storm_id,
+      year: storm ? storm.year : null,
+      totalScore: run.total_score,
+      startedAt: run.started_at,
+      completedAt: run.completed_at
+    },
+    timeframes: storm ? getPracticeTimeframes(storm, submitted) : [],
+    activeTimeframe: storm ? getNextPracticeTimeframe(storm, submitted) : null,
+    predictions
+  };
+}
+
+// Storms available for practice (any storm whose game has ended)
+app.get('/api/practice/storms', (req, res) => {
+  try {
+    const storms = getPracticeStorms(STORM_LIBRARY, SCHEDULED_STORMS).map(storm => ({
+      id: storm.id,
+      name: storm.name,
+      year: storm.year,
+      timeframeCount: getPredictionTimeframes(storm).length
+    }));
+
+    res.json({ storms });
+  } catch (error) {
+    console.error('Error fetching practice storms:', error);
+    res.status(500).json({ error: 'Failed to fetch practice storms' });
+  }
+});
+
+// Start a practice run
+app.post('/api/practice/runs', requireAuth, rateLimit('predictions'), async (req, res) => {
+  try {
+    const { username } = req.user;
+    const { stormId } = req.body;
+
+    if (!stormId) {
+      return res.status(400).json({ error: 'stormId is required' });
+    }
+    if (!getPracticeStorms(STORM_LIBRARY, SCHEDULED_STORMS).some(s => s.id === stormId)) {
+      return res.status(404).json({ error: 'Storm not available for practice' });
+    }
+
+    const runId = await storage.practice.createRun(username, stormId);
+
+    console.log(`🎯 Practice run started: ${username} - ${stormId}`);
+    res.status(201).json(await getPracticeRunState(runId, username));
+  } catch (error) {
+    console.error('Error starting practice run:', error);
+    res.status(500).json({ error: 'Failed to start practice run' });
+  }
+});
+
+// Get one of your practice runs
+app.get('/api/practice/runs/:runId', requireAuth, async (req, res) => {
+  try {
+    const state = await getPracticeRunState(parseInt(req.params.runId), req.user.username);
+    if (!state) {
+      return res.status(404).json({ error: 'Practice run not found' });
+    }
+
+    res.json(state);
+  } catch (error) {
+    console.error('Error fetching practice run:', error);
+    res.status(500).json({ error: 'Failed to fetch practice run' });
+  }
+});
+
+// Submit the next timeframe of a practice run; it is scored immediately with
+// the same functions as the live game and the next timeframe unlocks
+app.post('/api/practice/runs/:runId/predictions', requireAuth, rateLimit('predictions'), async (req, res) => {
+  try {
+    const { username } = req.user;
+
+    const { value, errors } = validatePrediction(req.body, ['timeframe']);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid prediction', fields: errors });
+    }
+    const { timeframe, lat, lon, windSpeed, pressure, radiusNm = null, windMin = null, windMax = null } = value;
+
+    const state = await getPracticeRunState(parseInt(req.params.runId), username);
+    if (!state) {
+      return res.status(404).json({ error: 'Practice run not found' });
+    }
+    if (state.activeTimeframe !== timeframe) {
+      return res.status(400).json({ error: `Timeframe ${timeframe} is not next. Next: ${state.activeTimeframe}` });
+    }
+
+    const storm = STORM_LIBRARY.find(s => s.id === state.run.stormId);
+    // Library storms carry no basin of their own; practice plays them in the default one
+    const outsideBasin = validateBasinPositions(storm.basin || DEFAULT_BASIN, value);
+    if (outsideBasin) {
+      return res.status(400).json({ error: 'Invalid prediction', fields: outsideBasin });
+    }
+
+    // The final timeframe shares its label ("0000") with the base point
+    const actual = getPredictionTimeframes(storm).find(tf => tf.timeframe === timeframe);
+    const result = scorePrediction(
+      { lat, lon, windSpeed, pressure, radiusNm, windMin, windMax },
+      actual,
+      getScoringProfile(),
+      getPreviousTimeframe(storm, timeframe)
+    );
+
+    await storage.practice.addPrediction(state.run.id, {
+      timeframe, lat, lon, windSpeed, pressure, radiusNm, windMin, windMax, actual,
+      ...toScoreUpdate(result),
+      scoringVersion: result.scoringVersion
+    });
+
+    // Last timeframe in: close the run with its total
+    if (getNextPracticeTimeframe(storm, [...state.predictions.map(p => p.timeframe), timeframe]) === null) {
+      await storage.practice.completeRun(state.run.id);
+      console.log(`🎯 Practice run completed: ${username} - ${storm.id}`);
+    }
+
+    res.status(201).json({
+      score: result,
+      ...await getPracticeRunState(state.run.id, username)
+    });
+  } catch (error) {
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: 'You have already submitted this timeframe' });
+    }
+    console.error('Error submitting practice prediction:', error);
+    res.status(500).json({ error: 'Failed to submit practice prediction' });
+  }
+});
+
+// Get a player's practice history (separate from competitive stats)
+app.get('/api/user/:username/practice', async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    const runs = (await storage.practice.listRuns(username)).map(run => {
+      const storm = STORM_LIBRARY.find(s => s.id === run.storm_id);
+      return {
+        ...run,
+        stormName: storm ? storm.name : run.storm_id,
+        timeframeCount: storm ? getPredictionTimeframes(storm).length : null
+      };
+    });
+
+    res.json({ username, runs });
+  } catch (error) {
+    console.error('Error fetching practice history:', error);
+    res.status(500).json({ error: 'Failed to fetch practice history' });
+  }
+});
+
+// Health check
+app.get('/api/health', async (req, res) => {
+  try {
+    const predictionsCount = await storage.predictions.count();
+    
+    res.json({ 
+      status: 'healthy', 
       timestamp: new Date().toISOString(),
       predictionsCount: predictionsCount,
-      stormsLoaded: HISTORICAL_STORMS.length,
+      stormsLoaded: STORM_LIBRARY.length,
+      gamesScheduled: SCHEDULED_STORMS.length,
+      storage: storage.name,
       database: 'connected'
     });
   } catch (error) {
@@ -899,12 +1473,20 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// ============================================
+// ADMIN API ENDPOINTS
+// ============================================
+
+// Every /api/admin/* route below requires an admin key or admin session.
+// The limiter runs first so that rejected keys are counted too.
+app.use('/api/admin', rateLimit('admin'), requireAdmin);
+
 // Manual scoring endpoint (for admin/testing)
 app.post('/api/admin/score/:stormId/:timeframe', async (req, res) => {
   try {
     const { stormId, timeframe } = req.params;
     
-    const storm = HISTORICAL_STORMS.find(s => s.id === stormId);
+    const storm = SCHEDULED_STORMS.find(s => s.id === stormId);
     if (!storm) {
       return res.status(404).json({ error: 'Storm not found' });
     }
@@ -913,12 +1495,21 @@ app.post('/api/admin/score/:stormId/:timeframe', async (req, res) => {
     if (!actualData) {
       return res.status(404).json({ error: 'Timeframe not found' });
     }
+
+    // Scoring writes the ledger entry, so an open window would never be scored
+    // again for predictions that arrive after this (nor the storm finalized)
+    const { lockAt } = getTimeframeWindow(storm, timeframe);
+    if (lockAt > new Date()) {
+      return res.status(409).json({ error: `Timeframe ${timeframe} is still open until ${lockAt.toISOString()}` });
+    }
     
-    await scorePredictions(stormId, timeframe, actualData);
+    const scoredCount = await scorePredictions(stormId, timeframe, actualData, req.admin.actor);
+    await recordAdminAction(req, 'score_timeframe', `${stormId}/${timeframe}`, { scoredCount });
     
     res.json({
       success: true,
-      message: `Scored all predictions for ${stormId} ${timeframe}`
+      message: `Scored all predictions for ${stormId} ${timeframe}`,
+      scoredCount
     });
   } catch (error) {
     console.error('Error in manual scoring:', error);
@@ -926,6 +1517,227 @@ app.post('/api/admin/score/:stormId/:timeframe', async (req, res) => {
   }
 });
 
+// Finalize a storm by hand (normally done by the scheduler after gameEnd)
+app.post('/api/admin/finalize/:stormId', async (req, res) => {
+  try {
+    const { stormId } = req.params;
+
+    const storm = SCHEDULED_STORMS.find(s => s.id === stormId);
+    if (!storm) {
+      return res.status(404).json({ error: 'Storm not found' });
+    }
+
+    if (new Date(storm.gameEnd) > new Date()) {
+      return res.status(400).json({ error: 'Storm has not ended yet' });
+    }
+
+    const unscored = await storage.predictions.countUnscored(stormId);
+    if (unscored > 0) {
+      return res.status(409).json({ error: `${unscored} predictions are still unscored` });
+    }
+
+    const standings = await finalizeStorm(stormId, req.admin.actor);
+
+    if (!standings) {
+      return res.json({
+        success: true,
+        alreadyFinalized: true,
+        message: `${stormId} was already finalized`
+      });
+    }
+
+    await recordAdminAction(req, 'finalize_storm', stormId, { participants: standings.length });
+
+    res.json({
+      success: true,
+      alreadyFinalized: false,
+      participants: standings.length,
+      podium: standings.filter(entry => entry.rank <= 3)
+    });
+  } catch (error) {
+    console.error('Error finalizing storm:', error);
+    res.status(500).json({ error: 'Failed to finalize storm' });
+  }
+});
+
+// List scoring profiles available for rescoring
+app.get('/api/admin/scoring-profiles', (req, res) => {
+  res.json({ profiles: listScoringProfiles() });
+});
+
+// Rescore one storm (or the whole archive) under a scoring profile.
+// With dryRun nothing is written; the response shows how ranks would change.
+// Badges already earned are kept either way.
+app.post('/api/admin/rescore', async (req, res) => {
+  try {
+    const { profile: version, stormId, dryRun = false } = req.body;
+
+    const profile = getScoringProfile(version);
+    if (!profile) {
+      return res.status(400).json({ error: `Unknown scoring profile: ${version}` });
+    }
+
+    if (stormId && !SCHEDULED_STORMS.some(s => s.id === stormId)) {
+      return res.status(404).json({ error: 'Storm not found' });
+    }
+
+    // Only predictions with verifying data can be scored again; the rest keep their score
+    const scoredRows = await storage.predictions.listScored({ stormId: stormId || null });
+    const rows = scoredRows.filter(row => row.actual_lat !== null);
+
+    // Category and the previous timeframe come from the storm, as when first scored
+    const rescore = row => {
+      const storm = SCHEDULED_STORMS.find(s => s.id === row.storm_id);
+      const verified = getPredictionTimeframes(storm).find(tf => tf.timeframe === row.timeframe);
+      return {
+        row,
+        ...scorePrediction(
+          toForecast(row),
+          {
+            lat: row.actual_lat,
+            lon: row.actual_lon,
+            windSpeed: row.actual_wind_speed,
+            pressure: row.actual_pressure,
+            category: verified ? verified.category : null
+          },
+          profile,
+          getPreviousTimeframe(storm, row.timeframe)
+        )
+      };
+    };
+    const rescored = rows.map(rescore);
+    // Extended forecasts follow the same profile but don't affect storm rankings
+    const rescoredExtended = (await storage.extendedForecasts.listScored({ stormId: stormId || null }))
+      .filter(row => row.actual_lat !== null)
+      .map(rescore);
+
+    // Standings cover every scored prediction: recomputed rows take their new
+    // score and skipped rows keep the one they have, so no player drops out
+    const rescoredById = new Map(rescored.map(r => [r.row.id, r]));
+    const ranked = scoredRows.map(row => rescoredById.get(row.id) || { row, totalScore: row.score });
+
+    // Rank changes per storm, plus all-time when rescoring the whole archive
+    const rankings = rows => ({
+      before: computeFinalStandings(rows.map(r => ({ username: r.row.username, score: r.row.score }))),
+      after: computeFinalStandings(rows.map(r => ({ username: r.row.username, score: r.totalScore })))
+    });
+
+    const stormIds = [...new Set(ranked.map(r => r.row.storm_id))].sort();
+    const storms = stormIds.map(id => {
+      const { before, after } = rankings(ranked.filter(r => r.row.storm_id === id));
+      return { stormId: id, standings: after, changes: diffStandings(before, after) };
+    });
+
+    let overall = null;
+    if (!stormId) {
+      const { before, after } = rankings(ranked);
+      overall = diffStandings(before, after);
+    }
+
+    const summary = {
+      profile: profile.version,
+      dryRun: !!dryRun,
+      predictionsRescored: rescored.length,
+      extendedForecastsRescored: rescoredExtended.length,
+      storms: storms.map(({ stormId: id, changes }) => ({
+        stormId: id,
+        ranksChanged: changes.filter(c => c.rankChange !== 0).length,
+        changes
+      })),
+      overall
+    };
+
+    if (dryRun) {
+      return res.json(summary);
+    }
+
+    await storage.transaction(async tx => {
+      await tx.predictions.applyScores(rescored.map(r => ({ id: r.row.id, ...toScoreUpdate(r) })), {
+        scoringVersion: profile.version
+      });
+      await tx.extendedForecasts.applyScores(rescoredExtended.map(r => ({ id: r.row.id, ...toScoreUpdate(r) })), {
+        scoringVersion: profile.version
+      });
+
+      // Keep frozen standings of finalized storms in line with the new scores
+      for (const id of await tx.results.listFinalizedIds(stormIds)) {
+        await tx.results.writeStandings(id, storms.find(s => s.stormId === id).standings);
+      }
+    });
+
+    await recordAdminAction(req, 'rescore', stormId || 'all', {
+      profile: profile.version,
+      predictionsRescored: rescored.length,
+      extendedForecastsRescored: rescoredExtended.length
+    });
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error rescoring predictions:', error);
+    res.status(500).json({ error: 'Failed to rescore predictions' });
+  }
+});
+
+// Issue a claim code for an unclaimed legacy username, once the player has shown
+// it is theirs. It replaces any earlier code and is returned only this once.
+app.post('/api/admin/users/:username/claim-code', async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    const user = await storage.users.findByUsername(username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const claimCode = generateClaimCode();
+    const expiresAt = getClaimCodeExpiry();
+    if (user.password_hash || !await storage.users.setClaimCode(username, hashClaimCode(claimCode), expiresAt)) {
+      return res.status(409).json({ error: 'Username already claimed' });
+    }
+
+    await recordAdminAction(req, 'issue_claim_code', username, { expiresAt });
+
+    res.status(201).json({ username, claimCode, expiresAt });
+  } catch (error) {
+    console.error('Error issuing claim code:', error);
+    res.status(500).json({ error: 'Failed to issue claim code' });
+  }
+});
+
+// Get recent admin audit entries
+app.get('/api/admin/audit', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const entries = await storage.audit.list(limit);
+
+    res.json({
+      entries,
+      total: entries.length
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Abuse flags, newest first
+app.get('/api/admin/abuse-flags', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const flags = await storage.abuseFlags.list(limit);
+
+    res.json({
+      flags,
+      total: flags.length
+    });
+  } catch (error) {
+    console.error('Error fetching abuse flags:', error);
+    res.status(500).json({ error: 'Failed to fetch abuse flags' });
+  }
+});
+
 // ============================================
 // BADGE API ENDPOINTS
 // ============================================
@@ -935,19 +1747,12 @@ app.get('/api/user/:username/badges', async (req, res) => {
   try {
     const { username } = req.params;
     
-    const result = await pool.query(
-      `SELECT ub.*, bd.name, bd.description, bd.icon, bd.tier, bd.category, bd.points_value
-       FROM user_badges ub
-       JOIN badge_definitions bd ON ub.badge_id = bd.badge_id
-       WHERE ub.username = $1
-       ORDER BY ub.earned_at DESC`,
-      [username]
-    );
+    const badges = await storage.badges.listForUser(username);
     
     res.json({
       username,
-      badges: result.rows,
-      total_badges: result.rows.length
+      badges,
+      total_badges: badges.length
     });
   } catch (error) {
     console.error('Error fetching badges:', error);
@@ -958,13 +1763,11 @@ app.get('/api/user/:username/badges', async (req, res) => {
 // Get all badge definitions
 app.get('/api/badges/definitions', async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT * FROM badge_definitions ORDER BY category, tier, name`
-    );
+    const badges = await storage.badges.listDefinitions();
     
     res.json({
-      badges: result.rows,
-      total: result.rows.length
+      badges,
+      total: badges.length
     });
   } catch (error) {
     console.error('Error fetching badge definitions:', error);
@@ -972,26 +1775,31 @@ app.get('/api/badges/definitions', async (req, res) => {
   }
 });
 
+// Get current and best streaks for user
+app.get('/api/user/:username/streaks', async (req, res) => {
+  try {
+    const { username } = req.params;
+    const participation = await getParticipation(username);
+
+    res.json({ username, ...participation });
+  } catch (error) {
+    console.error('Error fetching streaks:', error);
+    res.status(500).json({ error: 'Failed to fetch streaks' });
+  }
+});
+
 // Get badge progress for user
 app.get('/api/user/:username/badge-progress', async (req, res) => {
   try {
     const { username } = req.params;
 
-    const stats = await pool.query(
-      `SELECT
-        COUNT(*) as total_predictions,
-        SUM(COALESCE(score, 0)) as total_score,
-        COUNT(DISTINCT storm_id) as unique_storms
-       FROM predictions
-       WHERE username = $1`,
-      [username]
-    );
+    const totals = await storage.predictions.getTotals(username);
 
     const progress = {
       milestones: {
-        predictions: parseInt(stats.rows[0].total_predictions || 0),
-        points: parseInt(stats.rows[0].total_score || 0),
-        storms: parseInt(stats.rows[0].unique_storms || 0)
+        predictions: totals.totalPredictions,
+        points: totals.totalScore,
+        storms: totals.uniqueStorms
       }
     };
 
@@ -1002,6 +1810,138 @@ app.get('/api/user/:username/badge-progress', async (req, res) => {
   }
 });
 
+// ============================================
+// ACCOUNT API ENDPOINTS
+// ============================================
+
+// Strip credential columns before sending a users row to a client
+function toPublicProfile(user) {
+  const { password_hash, ...profile } = user;
+  return { ...profile, claimed: Boolean(password_hash) };
+}
+
+// Register a new account (or claim a legacy username with an admin-issued claim code)
+app.post('/api/auth/register', rateLimitSignIn, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const usernameError = validateUsername(username);
+    if (usernameError) {
+      return res.status(400).json({ error: usernameError, fields: { username: usernameError } });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError, fields: { password: passwordError } });
+    }
+    const profile = validateProfile({ display_name: req.body.display_name });
+    if (profile.errors) {
+      return res.status(400).json({ error: profile.errors.display_name, fields: profile.errors });
+    }
+    const { display_name } = profile.value;
+
+    const passwordHash = await hashPassword(password);
+
+    const existing = await storage.users.findByUsername(username);
+
+    let claimedLegacy = false;
+
+    if (existing) {
+      if (existing.password_hash) {
+        return res.status(409).json({ error: 'Username already taken' });
+      }
+
+      // Legacy username: its predictions and badges (all keyed by username)
+      // go to whoever claims it, so that takes a claim code an admin issued
+      // to its player. A wrong, expired or already-used code is refused.
+      const { claimCode } = req.body;
+      if (!claimCode) {
+        const error = 'This username belongs to an earlier player. Ask an admin for a claim code to take it over.';
+        return res.status(409).json({ error, fields: { claimCode: error } });
+      }
+      if (!await storage.users.claim(username, passwordHash, display_name, hashClaimCode(claimCode))) {
+        const error = 'Invalid or expired claim code';
+        return res.status(403).json({ error, fields: { claimCode: error } });
+      }
+
+      claimedLegacy = true;
+      console.log(`🔑 Legacy username claimed: ${username}`);
+    } else {
+      await storage.users.create({ username, displayName: display_name || username, passwordHash });
+      console.log(`🔑 New account registered: ${username}`);
+
+      const burst = newUsernameTracker.record(req.ip, username);
+      if (burst.flagged) {
+        await flagAbuse(req.ip, 'new_username_burst', { usernames: burst.usernames });
+      }
+    }
+
+    const session = await createSession(username);
+
+    res.status(201).json({
+      success: true,
+      username,
+      claimedLegacy,
+      token: session.token,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+    console.error('Error registering account:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// Log in and receive a bearer token
+app.post('/api/auth/login', rateLimitSignIn, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Missing username or password' });
+    }
+
+    const user = await storage.users.findByUsername(username);
+    if (!user || !await verifyPassword(password, user.password_hash)) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const session = await createSession(user.username);
+
+    res.json({
+      success: true,
+      username: user.username,
+      token: session.token,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Revoke the current session token
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    const token = parseBearerToken(req.headers.authorization);
+    await storage.sessions.delete(hashSessionToken(token));
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Get the signed-in account
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({
+    username: req.user.username,
+    display_name: req.user.display_name
+  });
+});
+
 // ============================================
 // USER PROFILE API ENDPOINTS
 // ============================================
@@ -1011,32 +1951,14 @@ app.get('/api/profile/:username', async (req, res) => {
   try {
     const { username } = req.params;
 
-    // Get profile data
-    const profileResult = await pool.query(
-      `SELECT * FROM users WHERE username = $1`,
-      [username]
-    );
-
-    // If profile doesn't exist, create a default one
-    if (profileResult.rows.length === 0) {
-      await pool.query(
-        `INSERT INTO users (username, display_name) VALUES ($1, $1) RETURNING *`,
-        [username]
-      );
-
-      const newProfile = await pool.query(
-        `SELECT * FROM users WHERE username = $1`,
-        [username]
-      );
+    const user = await storage.users.findByUsername(username);
 
-      return res.json({
-        profile: newProfile.rows[0],
-        predictionStyle: await calculatePredictionStyle(username)
-      });
+    if (!user) {
+      return res.status(404).json({ error: 'Profile not found' });
     }
 
     res.json({
-      profile: profileResult.rows[0],
+      profile: toPublicProfile(user),
       predictionStyle: await calculatePredictionStyle(username)
     });
   } catch (error) {
@@ -1045,49 +1967,20 @@ app.get('/api/profile/:username', async (req, res) => {
   }
 });
 
-// Update user profile
-app.put('/api/profile/:username', async (req, res) => {
+// Update the signed-in user's profile
+app.put('/api/profile', requireAuth, rateLimit('profile'), async (req, res) => {
   try {
-    const { username } = req.params;
-    const { display_name, avatar_url, bio, location } = req.body;
-
-    // Check if profile exists
-    const existingProfile = await pool.query(
-      `SELECT * FROM users WHERE username = $1`,
-      [username]
-    );
-
-    if (existingProfile.rows.length === 0) {
-      // Create new profile
-      const result = await pool.query(
-        `INSERT INTO users (username, display_name, avatar_url, bio, location, updated_at)
-         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
-         RETURNING *`,
-        [username, display_name || username, avatar_url, bio, location]
-      );
+    const { username } = req.user;
 
-      return res.json({
-        success: true,
-        profile: result.rows[0]
-      });
+    const { value, errors } = validateProfile(req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid profile', fields: errors });
     }
-
-    // Update existing profile
-    const result = await pool.query(
-      `UPDATE users
-       SET display_name = COALESCE($2, display_name),
-           avatar_url = COALESCE($3, avatar_url),
-           bio = COALESCE($4, bio),
-           location = COALESCE($5, location),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE username = $1
-       RETURNING *`,
-      [username, display_name, avatar_url, bio, location]
-    );
+    const user = await storage.users.updateProfile(username, value);
 
     res.json({
       success: true,
-      profile: result.rows[0]
+      profile: toPublicProfile(user)
     });
   } catch (error) {
     console.error('Error updating profile:', error);
@@ -1099,18 +1992,9 @@ app.put('/api/profile/:username', async (req, res) => {
 async function calculatePredictionStyle(username) {
   try {
     // Get all scored predictions for the user
-    const predictions = await pool.query(
-      `SELECT
-        predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure,
-        actual_lat, actual_lon, actual_wind_speed, actual_pressure,
-        score, timeframe
-       FROM predictions
-       WHERE username = $1 AND score IS NOT NULL
-       ORDER BY submitted_at ASC`,
-      [username]
-    );
+    const predictions = await storage.predictions.listScored({ username });
 
-    if (predictions.rows.length === 0) {
+    if (predictions.length === 0) {
       return {
         totalPredictions: 0,
         style: 'Unknown',
@@ -1133,33 +2017,25 @@ async function calculatePredictionStyle(username) {
     let totalWindError = 0;
     let totalPressureError = 0;
     let trackScores = 0;
+    let changeScores = 0;
     let intensityScores = 0;
-    const timeframeCounts = { '0600': 0, '1200': 0, '1800': 0, '0000': 0 };
+    const timeframeCounts = {};
 
     let latBias = 0; // positive = north bias, negative = south bias
     let lonBias = 0; // positive = east bias, negative = west bias
     let windBias = 0; // positive = overpredict, negative = underpredict
     let pressureBias = 0;
 
-    predictions.rows.forEach(pred => {
-      // Calculate distance
-      const distance = calculateDistance(
-        pred.predicted_lat, pred.predicted_lon,
-        pred.actual_lat, pred.actual_lon
-      );
-      totalDistance += distance;
-
-      // Calculate errors
-      const windError = Math.abs(pred.predicted_wind_speed - pred.actual_wind_speed);
-      const pressureError = Math.abs(pred.predicted_pressure - pred.actual_pressure);
-      totalWindError += windError;
-      totalPressureError += pressureError;
+    predictions.forEach(pred => {
+      // Errors and component scores stored at scoring time
+      totalDistance += Number(pred.distance_error_nm);
+      totalWindError += pred.wind_error;
+      totalPressureError += pred.pressure_error;
 
       // Track vs Intensity performance
-      const trackScore = calculateTrackScore(distance);
-      const intensityScore = calculateIntensityScore(windError, pressureError);
-      trackScores += trackScore;
-      intensityScores += intensityScore;
+      trackScores += pred.track_score;
+      intensityScores += pred.intensity_score;
+      changeScores += pred.change_score || 0; // NULL before the change component existed
 
       // Calculate biases
       latBias += (pred.predicted_lat - pred.actual_lat);
@@ -1168,17 +2044,16 @@ async function calculatePredictionStyle(username) {
       pressureBias += (pred.predicted_pressure - pred.actual_pressure);
 
       // Timeframe counts
-      if (timeframeCounts.hasOwnProperty(pred.timeframe)) {
-        timeframeCounts[pred.timeframe]++;
-      }
+      timeframeCounts[pred.timeframe] = (timeframeCounts[pred.timeframe] || 0) + 1;
     });
 
-    const count = predictions.rows.length;
+    const count = predictions.length;
     const avgDistance = totalDistance / count;
     const avgWindError = totalWindError / count;
     const avgPressureError = totalPressureError / count;
     const avgTrackScore = trackScores / count;
     const avgIntensityScore = intensityScores / count;
+    const avgChangeScore = changeScores / count;
 
     // Determine prediction style
     let style = 'Balanced';
@@ -1215,7 +2090,7 @@ async function calculatePredictionStyle(username) {
                          windBias / count < -5 ? 'underestimates intensity' : 'neutral';
 
     // Calculate consistency (standard deviation of scores)
-    const scores = predictions.rows.map(p => p.score);
+    const scores = predictions.map(p => p.score);
     const avgScore = scores.reduce((a, b) => a + b, 0) / scores.length;
     const variance = scores.reduce((sum, score) => sum + Math.pow(score - avgScore, 2), 0) / scores.length;
     const stdDev = Math.sqrt(variance);
@@ -1234,6 +2109,7 @@ async function calculatePredictionStyle(username) {
       avgPressureError: Math.round(avgPressureError * 10) / 10,
       avgTrackScore: Math.round(avgTrackScore),
       avgIntensityScore: Math.round(avgIntensityScore),
+      avgChangeScore: Math.round(avgChangeScore),
       favoriteTimeframe,
       timeframeCounts,
       tendencies: {
@@ -1268,9 +2144,58 @@ app.get('/api/user/:username/prediction-style', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🌀 Hurricane Prediction Game API running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📊📊 Database: ${process.env.DATABASE_URL ? 'Connected' : 'Not configured'}`);
-});
+// ============================================
+// DATABASE SETUP
+// ============================================
+
+// Promote the usernames in ADMIN_USERNAMES (comma-separated) to admins.
+// Configuration rather than schema, so it runs on every boot.
+async function bootstrapAdmins() {
+  const adminUsernames = (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  await storage.users.promoteAdmins(adminUsernames);
+}
+
+// Apply pending migrations (unless MIGRATE_ON_BOOT=false, for deployments
+// that run `npm run migrate` as a release step) and bootstrap admins
+async function prepareDatabase() {
+  if (process.env.MIGRATE_ON_BOOT !== 'false') {
+    await storage.migrate();
+  }
+  await bootstrapAdmins();
+}
+
+// Start server once the schema is ready, along with the scoring scheduler
+function start() {
+  return prepareDatabase()
+    .then(() => {
+      setInterval(runScheduler, 60000);
+
+      app.listen(PORT, () => {
+        console.log(`🌀 Hurricane Prediction Game API running on port ${PORT}`);
+        console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`📊 Storage: ${storage.name}${storage.name === 'postgres' && !process.env.DATABASE_URL ? ' (DATABASE_URL not configured)' : ''}`);
+      });
+    })
+    .catch(error => {
+      console.error('❌ Error preparing database:', error.message);
+      process.exit(1);
+    });
+}
+
+if (require.main === module) {
+  start();
+}
+
+// Exported for tests, which drive the app and the scheduler without listening
+module.exports = {
+  app,
+  storage,
+  prepareDatabase,
+  checkAndScore,
+  finalizeEndedStorms,
+  scoreEndedLandfalls
+};
@@ -0,0 +1,55 @@
+/**
+ * Storage
+ * Picks the storage backend from configuration. Both backends expose the same
+ * repositories, so server.js never sees SQL:
+ *
+ *   predictions  submissions, revisions, scoring and leaderboards
+ *   extendedForecasts  forecasts for later timeframes, scored per lead time
+ *   landfalls    per-storm landfall predictions and their scores
+ *   users        accounts and profiles
+ *   sessions     bearer-token sessions
+ *   badges       badge definitions and awards
+ *   activity     days with a submission (streaks)
+ *   results      scoring ledger, finalizations and frozen standings
+ *   practice     practice runs and their predictions
+ *   audit        admin audit trail
+ *   abuseFlags   suspicious activity for review
+ *
+ * plus transaction(fn), which runs fn(repositories) atomically, migrate() to
+ * bring the schema up to date and close(). Unique violations surface as
+ * errors with code '23505' on both backends.
+ *
+ * STORAGE_BACKEND=postgres (default) uses DATABASE_URL; STORAGE_BACKEND=memory
+ * needs no database and forgets everything on restart.
+ */
+
+const { createPostgresStorage } = require('./postgres');
+const { createMemoryStorage } = require('./memory');
+
+const STORAGE_BACKENDS = ['postgres', 'memory'];
+
+/**
+ * Create the configured storage backend
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Storage
+ */
+function createStorage(env = process.env) {
+  const backend = env.STORAGE_BACKEND || 'postgres';
+
+  if (backend === 'memory') {
+    return createMemoryStorage();
+  }
+  if (backend === 'postgres') {
+    return createPostgresStorage({
+      connectionString: env.DATABASE_URL,
+      ssl: env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage
+};
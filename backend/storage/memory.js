@@ -0,0 +1,908 @@
+/**
+ * In-Memory Storage
+ * Keeps every table in plain arrays so the full game runs with no database:
+ * for local play and for integration tests. Rows have the same columns as
+ * the Postgres tables. Nothing survives a restart, and it is single-process
+ * only. Unique violations throw errors with Postgres' SQLSTATE (23505) so
+ * callers handle both backends the same way.
+ */
+
+const { BADGE_DEFINITIONS } = require('../migrations/R__badge_definitions');
+
+const UNIQUE_VIOLATION = '23505';
+
+function uniqueViolation(constraint) {
+  const error = new Error(`duplicate key value violates unique constraint "${constraint}"`);
+  error.code = UNIQUE_VIOLATION;
+  return error;
+}
+
+function createEmptyState() {
+  return {
+    sequences: {},
+    predictions: [],
+    predictionRevisions: [],
+    extendedForecasts: [],
+    landfallPredictions: [],
+    users: [],
+    sessions: [],
+    badgeDefinitions: [],
+    userBadges: [],
+    userActivity: [],
+    scoringLedger: [],
+    stormFinalizations: [],
+    stormResults: [],
+    practiceRuns: [],
+    practicePredictions: [],
+    adminAuditLog: [],
+    abuseFlags: []
+  };
+}
+
+// Rows leave the store as copies so callers can't change it behind its back
+const copy = row => (row ? { ...row } : null);
+
+// Omitted optional values are stored as NULL, as pg does with undefined parameters
+const orNull = value => (value === undefined ? null : value);
+
+// Round half away from zero like Postgres ROUND(numeric, places)
+function round(value, places = 0) {
+  const factor = Math.pow(10, places);
+  return Math.sign(value) * Math.round(Math.abs(value) * factor) / factor;
+}
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+const average = values => (values.length > 0 ? sum(values) / values.length : null);
+
+// Write scores and breakdowns to rows by id; `actual` is only set when first scoring
+function applyScores(rows, scores, { scoringVersion, actual = null }) {
+  scores.forEach(s => {
+    const row = rows.find(r => r.id === s.id);
+    if (!row) return;
+
+    Object.assign(row, {
+      score: s.score,
+      distance_error_nm: s.distanceErrorNm,
+      wind_error: s.windError,
+      pressure_error: s.pressureError,
+      track_score: s.trackScore,
+      intensity_score: s.intensityScore,
+      change_score: orNull(s.changeScore),
+      scoring_version: scoringVersion
+    });
+    if (actual) {
+      Object.assign(row, {
+        actual_lat: actual.lat,
+        actual_lon: actual.lon,
+        actual_wind_speed: actual.windSpeed,
+        actual_pressure: actual.pressure
+      });
+    }
+  });
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  });
+  return groups;
+}
+
+// Newest first, falling back to insertion order for equal timestamps
+const byNewest = field => (a, b) => (b[field] - a[field]) || (b.id - a.id);
+
+/**
+ * Build the repositories on top of a state object
+ * @param {Object} state - Tables (see createEmptyState)
+ * @returns {Object} Repositories
+ */
+function createRepositories(state) {
+  const nextId = table => {
+    state.sequences[table] = (state.sequences[table] || 0) + 1;
+    return state.sequences[table];
+  };
+
+  const scoredPredictions = (filter = () => true) =>
+    state.predictions.filter(p => p.score !== null && filter(p));
+
+  // Per-player totals over scored predictions, highest first
+  const scoreTotals = () => {
+    const totals = [];
+    groupBy(scoredPredictions(), 'username').forEach((rows, username) => {
+      totals.push({ username, rows, total: sum(rows.map(r => r.score)) });
+    });
+    return totals.sort((a, b) => b.total - a.total);
+  };
+
+  const predictions = {
+    async create(p) {
+      if (state.predictions.some(row => row.prediction_id === p.predictionId)) {
+        throw uniqueViolation('predictions_prediction_id_key');
+      }
+      if (state.predictions.some(row =>
+        row.username === p.username && row.storm_id === p.stormId && row.timeframe === p.timeframe)) {
+        throw uniqueViolation('predictions_username_storm_id_timeframe_key');
+      }
+
+      const row = {
+        id: nextId('predictions'),
+        prediction_id: p.predictionId,
+        username: p.username,
+        storm_id: p.stormId,
+        timeframe: p.timeframe,
+        predicted_lat: p.lat,
+        predicted_lon: p.lon,
+        predicted_wind_speed: p.windSpeed,
+        predicted_pressure: p.pressure,
+        predicted_radius_nm: orNull(p.radiusNm),
+        predicted_wind_min: orNull(p.windMin),
+        predicted_wind_max: orNull(p.windMax),
+        actual_lat: null,
+        actual_lon: null,
+        actual_wind_speed: null,
+        actual_pressure: null,
+        score: null,
+        submitted_at: p.submittedAt,
+        created_at: new Date(),
+        unlock_latency_seconds: p.latencySeconds,
+        submitted_timezone: p.timezone,
+        submitted_local_hour: p.localHour,
+        distance_error_nm: null,
+        wind_error: null,
+        pressure_error: null,
+        track_score: null,
+        intensity_score: null,
+        change_score: null,
+        scoring_version: null,
+        revised_at: null
+      };
+      state.predictions.push(row);
+      state.predictionRevisions.push({
+        id: nextId('predictionRevisions'),
+        prediction_id: row.prediction_id,
+        predicted_lat: row.predicted_lat,
+        predicted_lon: row.predicted_lon,
+        predicted_wind_speed: row.predicted_wind_speed,
+        predicted_pressure: row.predicted_pressure,
+        predicted_radius_nm: row.predicted_radius_nm,
+        predicted_wind_min: row.predicted_wind_min,
+        predicted_wind_max: row.predicted_wind_max,
+        revised_at: row.submitted_at
+      });
+      return copy(row);
+    },
+
+    async listForUser(username, stormId) {
+      return state.predictions
+        .filter(p => p.username === username && p.storm_id === stormId)
+        .sort((a, b) => a.timeframe.localeCompare(b.timeframe))
+        .map(copy);
+    },
+
+    async findOwnedForUpdate(predictionId, username) {
+      return copy(state.predictions.find(p => p.prediction_id === predictionId && p.username === username));
+    },
+
+    async revise(predictionId, { lat, lon, windSpeed, pressure, radiusNm, windMin, windMax }, revisedAt) {
+      const row = state.predictions.find(p => p.prediction_id === predictionId);
+      if (!row) return null;
+
+      const predicted = {
+        predicted_lat: lat,
+        predicted_lon: lon,
+        predicted_wind_speed: windSpeed,
+        predicted_pressure: pressure,
+        predicted_radius_nm: orNull(radiusNm),
+        predicted_wind_min: orNull(windMin),
+        predicted_wind_max: orNull(windMax)
+      };
+      Object.assign(row, { ...predicted, revised_at: revisedAt });
+      state.predictionRevisions.push({
+        id: nextId('predictionRevisions'),
+        prediction_id: predictionId,
+        ...predicted,
+        revised_at: revisedAt
+      });
+      return copy(row);
+    },
+
+    async listRevisions(predictionId, username) {
+      if (!state.predictions.some(p => p.prediction_id === predictionId && p.username === username)) {
+        return [];
+      }
+
+      return state.predictionRevisions
+        .filter(r => r.prediction_id === predictionId)
+        .sort((a, b) => (a.revised_at - b.revised_at) || (a.id - b.id))
+        .map(({ id, prediction_id, ...revision }) => revision);
+    },
+
+    async lockUnscored(stormId, timeframe) {
+      return state.predictions
+        .filter(p => p.storm_id === stormId && p.timeframe === timeframe && p.score === null)
+        .map(copy);
+    },
+
+    async applyScores(scores, options) {
+      applyScores(state.predictions, scores, options);
+    },
+
+    async listScored({ username = null, stormId = null } = {}) {
+      return scoredPredictions(p =>
+        (username === null || p.username === username) && (stormId === null || p.storm_id === stormId))
+        .sort((a, b) => (a.submitted_at - b.submitted_at) || (a.id - b.id))
+        .map(copy);
+    },
+
+    async countUnscored(stormId) {
+      return state.predictions.filter(p => p.storm_id === stormId && p.score === null).length;
+    },
+
+    async count() {
+      return state.predictions.length;
+    },
+
+    async countByStorm(username) {
+      const counts = {};
+      state.predictions
+        .filter(p => p.username === username)
+        .forEach(p => {
+          counts[p.storm_id] = (counts[p.storm_id] || 0) + 1;
+        });
+      return counts;
+    },
+
+    async getTotals(username, { scoredOnly = false } = {}) {
+      const rows = state.predictions.filter(p => p.username === username && (!scoredOnly || p.score !== null));
+      return {
+        totalPredictions: rows.length,
+        totalScore: sum(rows.map(p => p.score || 0)),
+        uniqueStorms: new Set(rows.map(p => p.storm_id)).size
+      };
+    },
+
+    async getStormLeaderboard(stormId, limit = 100) {
+      const leaderboard = [];
+      groupBy(scoredPredictions(p => p.storm_id === stormId), 'username').forEach((rows, username) => {
+        leaderboard.push({
+          username,
+          total_score: sum(rows.map(p => p.score)),
+          predictions_count: rows.length,
+          scored_count: rows.length
+        });
+      });
+      return leaderboard.sort((a, b) => b.total_score - a.total_score).slice(0, limit);
+    },
+
+    async getParticipants(stormId) {
+      const participants = [];
+      groupBy(state.predictions.filter(p => p.storm_id === stormId), 'username').forEach((rows, username) => {
+        participants.push({
+          username,
+          predictions_count: rows.length,
+          first_prediction: new Date(Math.min(...rows.map(p => p.submitted_at)))
+        });
+      });
+      return participants.sort((a, b) => a.first_prediction - b.first_prediction);
+    },
+
+    async getAllTimeLeaderboard(limit = 100) {
+      return scoreTotals().slice(0, limit).map(({ username, rows, total }) => ({
+        username,
+        total_score: total,
+        storms_played: new Set(rows.map(p => p.storm_id)).size,
+        total_predictions: rows.length,
+        scored_predictions: rows.length,
+        avg_score: round(total / rows.length, 1),
+        best_prediction: Math.max(...rows.map(p => p.score))
+      }));
+    },
+
+    async getUserStats(username) {
+      const scored = scoredPredictions(p => p.username === username);
+      const scores = scored.map(p => p.score);
+      const latencies = state.predictions
+        .filter(p => p.username === username && p.unlock_latency_seconds !== null)
+        .map(p => p.unlock_latency_seconds);
+
+      const totals = scoreTotals();
+      const mine = totals.find(t => t.username === username);
+
+      return {
+        stats: {
+          storms_played: new Set(scored.map(p => p.storm_id)).size,
+          total_predictions: scored.length,
+          scored_predictions: scored.length,
+          total_score: scored.length > 0 ? sum(scores) : null,
+          avg_score: scored.length > 0 ? round(average(scores), 1) : null,
+          best_score: scored.length > 0 ? Math.max(...scores) : null,
+          worst_score: scored.length > 0 ? Math.min(...scores) : null
+        },
+        bestPredictions: [...scored]
+          .sort((a, b) => b.score - a.score)
+          .slice(0, 5)
+          .map(p => ({
+            storm_id: p.storm_id,
+            timeframe: p.timeframe,
+            score: p.score,
+            predicted_lat: p.predicted_lat,
+            predicted_lon: p.predicted_lon,
+            predicted_wind_speed: p.predicted_wind_speed,
+            predicted_pressure: p.predicted_pressure,
+            actual_lat: p.actual_lat,
+            actual_lon: p.actual_lon,
+            actual_wind_speed: p.actual_wind_speed,
+            actual_pressure: p.actual_pressure,
+            track_score: p.track_score,
+            intensity_score: p.intensity_score,
+            change_score: p.change_score,
+            scoring_version: p.scoring_version,
+            submitted_at: p.submitted_at
+          })),
+        submissionTiming: {
+          timed_predictions: latencies.length,
+          avg_unlock_latency_seconds: latencies.length > 0 ? round(average(latencies)) : null,
+          fastest_unlock_latency_seconds: latencies.length > 0 ? Math.min(...latencies) : null
+        },
+        globalRank: mine
+          ? { rank: 1 + totals.filter(t => t.total > mine.total).length, total_score: mine.total }
+          : null
+      };
+    }
+  };
+
+  const extendedForecasts = {
+    async save(username, stormId, issuedTimeframe, forecasts, submittedAt) {
+      state.extendedForecasts = state.extendedForecasts.filter(f =>
+        !(f.username === username && f.storm_id === stormId && f.issued_timeframe === issuedTimeframe));
+
+      return forecasts.map(f => {
+        const row = {
+          id: nextId('extendedForecasts'),
+          username,
+          storm_id: stormId,
+          issued_timeframe: issuedTimeframe,
+          timeframe: f.timeframe,
+          lead_hours: f.leadHours,
+          predicted_lat: f.lat,
+          predicted_lon: f.lon,
+          predicted_wind_speed: f.windSpeed,
+          predicted_pressure: f.pressure,
+          predicted_radius_nm: orNull(f.radiusNm),
+          predicted_wind_min: orNull(f.windMin),
+          predicted_wind_max: orNull(f.windMax),
+          actual_lat: null,
+          actual_lon: null,
+          actual_wind_speed: null,
+          actual_pressure: null,
+          score: null,
+          distance_error_nm: null,
+          wind_error: null,
+          pressure_error: null,
+          track_score: null,
+          intensity_score: null,
+          change_score: null,
+          scoring_version: null,
+          submitted_at: submittedAt
+        };
+        state.extendedForecasts.push(row);
+        return copy(row);
+      });
+    },
+
+    async listForUser(username, stormId) {
+      return state.extendedForecasts
+        .filter(f => f.username === username && f.storm_id === stormId)
+        .sort((a, b) => (a.submitted_at - b.submitted_at) || (a.lead_hours - b.lead_hours))
+        .map(copy);
+    },
+
+    async lockUnscored(stormId, timeframe) {
+      return state.extendedForecasts
+        .filter(f => f.storm_id === stormId && f.timeframe === timeframe && f.score === null)
+        .map(copy);
+    },
+
+    async applyScores(scores, options) {
+      applyScores(state.extendedForecasts, scores, options);
+    },
+
+    async listScored({ username = null, stormId = null } = {}) {
+      return state.extendedForecasts
+        .filter(f => f.score !== null &&
+          (username === null || f.username === username) && (stormId === null || f.storm_id === stormId))
+        .sort((a, b) => (a.submitted_at - b.submitted_at) || (a.id - b.id))
+        .map(copy);
+    }
+  };
+
+  const landfalls = {
+    async save(username, stormId, p, submittedAt) {
+      let row = state.landfallPredictions.find(l => l.username === username && l.storm_id === stormId);
+      if (!row) {
+        row = {
+          id: nextId('landfallPredictions'),
+          username,
+          storm_id: stormId,
+          score: null,
+          landfall_index: null,
+          along_coast_error_nm: null,
+          timing_error_hours: null,
+          wind_error: null,
+          location_score: null,
+          timing_score: null,
+          intensity_score: null,
+          scored_at: null
+        };
+        state.landfallPredictions.push(row);
+      }
+
+      Object.assign(row, {
+        predicted_lat: p.lat,
+        predicted_lon: p.lon,
+        predicted_hours_after_base: p.hoursAfterBase,
+        predicted_wind_speed: p.windSpeed,
+        submitted_at: submittedAt
+      });
+      return copy(row);
+    },
+
+    async findForUser(username, stormId) {
+      return copy(state.landfallPredictions.find(l => l.username === username && l.storm_id === stormId));
+    },
+
+    async lockUnscored(stormId) {
+      return state.landfallPredictions
+        .filter(l => l.storm_id === stormId && l.score === null)
+        .map(copy);
+    },
+
+    async applyScores(scores) {
+      scores.forEach(s => {
+        const row = state.landfallPredictions.find(l => l.id === s.id);
+        if (!row) return;
+
+        Object.assign(row, {
+          score: s.score,
+          landfall_index: s.landfallIndex,
+          along_coast_error_nm: s.alongCoastErrorNm,
+          timing_error_hours: s.timingErrorHours,
+          wind_error: s.windError,
+          location_score: s.locationScore,
+          timing_score: s.timingScore,
+          intensity_score: s.intensityScore,
+          scored_at: new Date()
+        });
+      });
+    },
+
+    async listScored(stormId) {
+      return state.landfallPredictions
+        .filter(l => l.storm_id === stormId && l.score !== null)
+        .sort((a, b) => (b.score - a.score) || (a.submitted_at - b.submitted_at))
+        .map(copy);
+    }
+  };
+
+  const users = {
+    async findByUsername(username) {
+      return copy(state.users.find(u => u.username === username));
+    },
+
+    async create({ username, displayName, passwordHash }) {
+      if (state.users.some(u => u.username === username)) {
+        throw uniqueViolation('users_username_key');
+      }
+
+      const now = new Date();
+      state.users.push({
+        id: nextId('users'),
+        username,
+        display_name: displayName,
+        avatar_url: null,
+        bio: null,
+        location: null,
+        preferred_style: null,
+        created_at: now,
+        updated_at: now,
+        password_hash: passwordHash,
+        claimed_at: now,
+        claim_code_hash: null,
+        claim_code_expires_at: null,
+        role: 'player'
+      });
+    },
+
+    async setClaimCode(username, codeHash, expiresAt) {
+      const user = state.users.find(u => u.username === username && !u.password_hash);
+      if (!user) return false;
+
+      Object.assign(user, { claim_code_hash: codeHash, claim_code_expires_at: expiresAt });
+      return true;
+    },
+
+    async claim(username, passwordHash, displayName, codeHash) {
+      const now = new Date();
+      const user = state.users.find(u => u.username === username && !u.password_hash &&
+        u.claim_code_hash === codeHash && u.claim_code_expires_at > now);
+      if (!user) return false;
+
+      Object.assign(user, {
+        password_hash: passwordHash,
+        claimed_at: now,
+        claim_code_hash: null,
+        claim_code_expires_at: null,
+        display_name: displayName !== undefined && displayName !== null ? displayName : user.display_name,
+        updated_at: now
+      });
+      return true;
+    },
+
+    async updateProfile(username, fields) {
+      const user = state.users.find(u => u.username === username);
+      if (!user) return null;
+
+      ['display_name', 'avatar_url', 'bio', 'location'].forEach(field => {
+        if (fields[field] !== undefined && fields[field] !== null) {
+          user[field] = fields[field];
+        }
+      });
+      user.updated_at = new Date();
+      return copy(user);
+    },
+
+    async promoteAdmins(usernames) {
+      state.users
+        .filter(u => usernames.includes(u.username))
+        .forEach(u => {
+          u.role = 'admin';
+        });
+    }
+  };
+
+  const sessions = {
+    async create(tokenHash, username, expiresAt) {
+      if (state.sessions.some(s => s.token_hash === tokenHash)) {
+        throw uniqueViolation('sessions_token_hash_key');
+      }
+      state.sessions.push({
+        id: nextId('sessions'),
+        token_hash: tokenHash,
+        username,
+        created_at: new Date(),
+        expires_at: expiresAt
+      });
+    },
+
+    async findUser(tokenHash) {
+      const session = state.sessions.find(s => s.token_hash === tokenHash && s.expires_at > new Date());
+      const user = session && state.users.find(u => u.username === session.username);
+      if (!user) return null;
+
+      return { id: user.id, username: user.username, display_name: user.display_name, role: user.role };
+    },
+
+    async delete(tokenHash) {
+      state.sessions = state.sessions.filter(s => s.token_hash !== tokenHash);
+    }
+  };
+
+  const badges = {
+    async has(username, badgeId) {
+      return state.userBadges.some(b => b.username === username && b.badge_id === badgeId);
+    },
+
+    async award(username, badgeId, metadata) {
+      if (await badges.has(username, badgeId)) return;
+
+      state.userBadges.push({
+        id: nextId('userBadges'),
+        username,
+        badge_id: badgeId,
+        earned_at: new Date(),
+        metadata
+      });
+    },
+
+    async listForUser(username) {
+      return state.userBadges
+        .filter(b => b.username === username)
+        .map(b => {
+          const definition = state.badgeDefinitions.find(d => d.badge_id === b.badge_id);
+          if (!definition) return null;
+
+          const { name, description, icon, tier, category, points_value } = definition;
+          return { ...b, name, description, icon, tier, category, points_value };
+        })
+        .filter(Boolean)
+        .sort(byNewest('earned_at'));
+    },
+
+    async listDefinitions() {
+      return state.badgeDefinitions
+        .map(copy)
+        .sort((a, b) =>
+          a.category.localeCompare(b.category) || a.tier.localeCompare(b.tier) || a.name.localeCompare(b.name));
+    },
+
+    // Insert new definitions and update changed ones (see R__badge_definitions.js)
+    async syncDefinitions(definitions) {
+      definitions.forEach(definition => {
+        const existing = state.badgeDefinitions.find(d => d.badge_id === definition.badge_id);
+        if (existing) {
+          Object.assign(existing, definition);
+        } else {
+          state.badgeDefinitions.push({ id: nextId('badgeDefinitions'), ...definition, created_at: new Date() });
+        }
+      });
+    }
+  };
+
+  const activity = {
+    async record(username, day) {
+      const existing = state.userActivity.find(a => a.username === username && a.activity_date === day);
+      if (existing) {
+        existing.predictions_count += 1;
+      } else {
+        state.userActivity.push({ username, activity_date: day, predictions_count: 1 });
+      }
+    },
+
+    async listDays(username) {
+      return state.userActivity.filter(a => a.username === username).map(a => a.activity_date);
+    }
+  };
+
+  const results = {
+    async recordScored(stormId, timeframe, predictionsScored, scoredBy) {
+      const existing = state.scoringLedger.find(l => l.storm_id === stormId && l.timeframe === timeframe);
+      if (existing) {
+        existing.predictions_scored += predictionsScored;
+        existing.scored_by = scoredBy;
+        existing.scored_at = new Date();
+      } else {
+        state.scoringLedger.push({
+          storm_id: stormId,
+          timeframe,
+          predictions_scored: predictionsScored,
+          scored_by: scoredBy,
+          scored_at: new Date()
+        });
+      }
+    },
+
+    async getLedger() {
+      const ledger = {};
+      state.scoringLedger.forEach(row => {
+        (ledger[row.storm_id] = ledger[row.storm_id] || []).push(row.timeframe);
+      });
+      return ledger;
+    },
+
+    async claimFinalization(stormId, participants, finalizedBy) {
+      if (state.stormFinalizations.some(f => f.storm_id === stormId)) return false;
+
+      state.stormFinalizations.push({
+        storm_id: stormId,
+        participants,
+        finalized_by: finalizedBy,
+        finalized_at: new Date()
+      });
+      return true;
+    },
+
+    async listFinalizedIds(stormIds = null) {
+      return state.stormFinalizations
+        .map(f => f.storm_id)
+        .filter(id => stormIds === null || stormIds.includes(id));
+    },
+
+    async listFinalizations() {
+      return state.stormFinalizations
+        .filter(f => f.participants > 0)
+        .sort((a, b) => b.storm_id.localeCompare(a.storm_id))
+        .map(({ storm_id, participants, finalized_at }) => ({ storm_id, participants, finalized_at }));
+    },
+
+    async writeStandings(stormId, standings) {
+      state.stormResults = state.stormResults.filter(r => r.storm_id !== stormId);
+      standings.forEach(entry => {
+        state.stormResults.push({
+          storm_id: stormId,
+          username: entry.username,
+          final_rank: entry.rank,
+          total_score: entry.totalScore,
+          predictions_count: entry.predictionsCount,
+          avg_score: round(entry.avgScore, 1)
+        });
+      });
+    },
+
+    async getStandings(stormId, limit = 10) {
+      return state.stormResults
+        .filter(r => r.storm_id === stormId)
+        .sort((a, b) => (a.final_rank - b.final_rank) || a.username.localeCompare(b.username))
+        .slice(0, limit)
+        .map(({ username, final_rank, total_score, predictions_count, avg_score }) => ({
+          username, final_rank, total_score, predictions_count, avg_score
+        }));
+    },
+
+    async countChampionships(username) {
+      return state.stormResults.filter(r => r.username === username && r.final_rank === 1).length;
+    }
+  };
+
+  const practice = {
+    async createRun(username, stormId) {
+      const id = nextId('practiceRuns');
+      state.practiceRuns.push({
+        id,
+        username,
+        storm_id: stormId,
+        total_score: null,
+        started_at: new Date(),
+        completed_at: null
+      });
+      return id;
+    },
+
+    async findRun(runId, username) {
+      return copy(state.practiceRuns.find(r => r.id === runId && r.username === username));
+    },
+
+    async listPredictions(runId) {
+      return state.practicePredictions
+        .filter(p => p.run_id === runId)
+        .sort((a, b) => a.submitted_at - b.submitted_at)
+        .map(copy);
+    },
+
+    async addPrediction(runId, p) {
+      if (state.practicePredictions.some(row => row.run_id === runId && row.timeframe === p.timeframe)) {
+        throw uniqueViolation('practice_predictions_pkey');
+      }
+
+      state.practicePredictions.push({
+        run_id: runId,
+        timeframe: p.timeframe,
+        predicted_lat: p.lat,
+        predicted_lon: p.lon,
+        predicted_wind_speed: p.windSpeed,
+        predicted_pressure: p.pressure,
+        predicted_radius_nm: orNull(p.radiusNm),
+        predicted_wind_min: orNull(p.windMin),
+        predicted_wind_max: orNull(p.windMax),
+        actual_lat: p.actual.lat,
+        actual_lon: p.actual.lon,
+        actual_wind_speed: p.actual.windSpeed,
+        actual_pressure: p.actual.pressure,
+        score: p.score,
+        distance_error_nm: Number(p.distanceErrorNm),
+        wind_error: p.windError,
+        pressure_error: p.pressureError,
+        track_score: p.trackScore,
+        intensity_score: p.intensityScore,
+        change_score: orNull(p.changeScore),
+        scoring_version: p.scoringVersion,
+        submitted_at: new Date()
+      });
+    },
+
+    async completeRun(runId) {
+      const run = state.practiceRuns.find(r => r.id === runId);
+      if (!run) return;
+
+      run.completed_at = new Date();
+      run.total_score = sum(state.practicePredictions.filter(p => p.run_id === runId).map(p => p.score));
+    },
+
+    async listRuns(username, limit = 50) {
+      return state.practiceRuns
+        .filter(r => r.username === username)
+        .sort(byNewest('started_at'))
+        .slice(0, limit)
+        .map(run => {
+          const scores = state.practicePredictions.filter(p => p.run_id === run.id).map(p => p.score);
+          return {
+            id: run.id,
+            storm_id: run.storm_id,
+            total_score: run.total_score,
+            started_at: run.started_at,
+            completed_at: run.completed_at,
+            predictions_count: scores.length,
+            avg_score: scores.length > 0 ? round(average(scores), 1) : null
+          };
+        });
+    }
+  };
+
+  const audit = {
+    async record({ actor, actorType, action, target, details, ip }) {
+      state.adminAuditLog.push({
+        id: nextId('adminAuditLog'),
+        actor,
+        actor_type: actorType,
+        action,
+        target,
+        details,
+        ip,
+        created_at: new Date()
+      });
+    },
+
+    async list(limit) {
+      return [...state.adminAuditLog].sort(byNewest('created_at')).slice(0, limit).map(copy);
+    }
+  };
+
+  const abuseFlags = {
+    async record(ip, reason, details) {
+      state.abuseFlags.push({
+        id: nextId('abuseFlags'),
+        ip,
+        reason,
+        details,
+        created_at: new Date()
+      });
+    },
+
+    async list(limit) {
+      return [...state.abuseFlags].sort(byNewest('created_at')).slice(0, limit).map(copy);
+    }
+  };
+
+  return { predictions, extendedForecasts, landfalls, users, sessions, badges, activity, results, practice, audit, abuseFlags };
+}
+
+/**
+ * Create the in-memory storage backend
+ * @returns {Object} Storage (see storage/index.js)
+ */
+function createMemoryStorage() {
+  const holder = { state: createEmptyState() };
+  // Repositories read holder.state on every call, so a rollback can swap it
+  const repositories = createRepositories(new Proxy({}, {
+    get: (target, table) => holder.state[table],
+    set: (target, table, value) => {
+      holder.state[table] = value;
+      return true;
+    }
+  }));
+  let queue = Promise.resolve();
+
+  return {
+    name: 'memory',
+    ...repositories,
+
+    // Transactions run one at a time; a throw restores the state from before
+    transaction(fn) {
+      const run = queue.then(async () => {
+        const snapshot = structuredClone(holder.state);
+        try {
+          return await fn(repositories);
+        } catch (error) {
+          holder.state = snapshot;
+          throw error;
+        }
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    // No schema to migrate; seed the badge definitions like the repeatable migration
+    async migrate() {
+      await repositories.badges.syncDefinitions(BADGE_DEFINITIONS);
+      return [];
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  UNIQUE_VIOLATION,
+  createMemoryStorage
+};
@@ -0,0 +1,909 @@
+/**
+ * PostgreSQL Storage
+ * The production backend. Every query the game runs lives here, grouped into
+ * repositories (see storage/index.js for the interface); the schema itself is
+ * managed by migrate.js.
+ */
+
+const { Pool, types } = require('pg');
+const { runMigrations } = require('../migrate');
+
+// COUNT/SUM (int8) and NUMERIC (coordinates, averages) come back as strings
+// by default. Parse them so rows look the same as the memory backend's.
+const parseNumber = value => (value === null ? null : Number(value));
+
+const TYPE_PARSERS = {
+  getTypeParser(oid, format) {
+    if (oid === types.builtins.INT8 || oid === types.builtins.NUMERIC) {
+      return parseNumber;
+    }
+    return types.getTypeParser(oid, format);
+  }
+};
+
+/**
+ * Write scores and breakdowns to scored rows of predictions or extended_forecasts
+ * @param {Object} db - pg Pool or Client
+ * @param {string} table - Table name (not user input)
+ * @param {Array<Object>} scores - { id, score, distanceErrorNm, windError, pressureError, trackScore, intensityScore, changeScore }
+ * @param {Object} options - { scoringVersion, actual } - actual is only set when first scoring
+ */
+async function applyScores(db, table, scores, { scoringVersion, actual = null }) {
+  if (scores.length === 0) return;
+
+  await db.query(
+    `UPDATE ${table} AS p
+     SET score = v.score,
+         distance_error_nm = v.distance_error_nm,
+         wind_error = v.wind_error,
+         pressure_error = v.pressure_error,
+         track_score = v.track_score,
+         intensity_score = v.intensity_score,
+         change_score = v.change_score,
+         scoring_version = $9,
+         actual_lat = COALESCE($10, p.actual_lat),
+         actual_lon = COALESCE($11, p.actual_lon),
+         actual_wind_speed = COALESCE($12, p.actual_wind_speed),
+         actual_pressure = COALESCE($13, p.actual_pressure)
+     FROM unnest($1::int[], $2::int[], $3::numeric[], $4::int[], $5::int[], $6::int[], $7::int[], $8::int[])
+       AS v(id, score, distance_error_nm, wind_error, pressure_error, track_score, intensity_score, change_score)
+     WHERE p.id = v.id`,
+    [
+      scores.map(s => s.id),
+      scores.map(s => s.score),
+      scores.map(s => s.distanceErrorNm),
+      scores.map(s => s.windError),
+      scores.map(s => s.pressureError),
+      scores.map(s => s.trackScore),
+      scores.map(s => s.intensityScore),
+      scores.map(s => s.changeScore),
+      scoringVersion,
+      actual ? actual.lat : null,
+      actual ? actual.lon : null,
+      actual ? actual.windSpeed : null,
+      actual ? actual.pressure : null
+    ]
+  );
+}
+
+/**
+ * Build the repositories on top of anything with a pg-style query() (the
+ * pool, or a client checked out for a transaction)
+ * @param {Object} db - pg Pool or Client
+ * @returns {Object} Repositories
+ */
+function createRepositories(db) {
+  const predictions = {
+    // Insert a prediction along with the first entry of its revision history
+    async create(p) {
+      const result = await db.query(
+        `WITH inserted AS (
+          INSERT INTO predictions
+          (prediction_id, username, storm_id, timeframe, predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure,
+           predicted_radius_nm, predicted_wind_min, predicted_wind_max,
+           submitted_at, unlock_latency_seconds, submitted_timezone, submitted_local_hour)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+          RETURNING *
+        ), revision AS (
+          INSERT INTO prediction_revisions
+            (prediction_id, predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure,
+             predicted_radius_nm, predicted_wind_min, predicted_wind_max, revised_at)
+          SELECT prediction_id, predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure,
+            predicted_radius_nm, predicted_wind_min, predicted_wind_max, submitted_at
+          FROM inserted
+        )
+        SELECT * FROM inserted`,
+        [p.predictionId, p.username, p.stormId, p.timeframe, p.lat, p.lon, p.windSpeed, p.pressure,
+          p.radiusNm, p.windMin, p.windMax,
+          p.submittedAt, p.latencySeconds, p.timezone, p.localHour]
+      );
+      return result.rows[0];
+    },
+
+    async listForUser(username, stormId) {
+      const result = await db.query(
+        `SELECT * FROM predictions
+        WHERE username = $1 AND storm_id = $2
+        ORDER BY timeframe ASC`,
+        [username, stormId]
+      );
+      return result.rows;
+    },
+
+    // Lock the row so a scoring run can't score it halfway through an edit
+    async findOwnedForUpdate(predictionId, username) {
+      const result = await db.query(
+        'SELECT * FROM predictions WHERE prediction_id = $1 AND username = $2 FOR UPDATE',
+        [predictionId, username]
+      );
+      return result.rows[0] || null;
+    },
+
+    async revise(predictionId, { lat, lon, windSpeed, pressure, radiusNm, windMin, windMax }, revisedAt) {
+      const values = [predictionId, lat, lon, windSpeed, pressure, radiusNm, windMin, windMax, revisedAt];
+      const result = await db.query(
+        `UPDATE predictions
+        SET predicted_lat = $2, predicted_lon = $3, predicted_wind_speed = $4, predicted_pressure = $5,
+            predicted_radius_nm = $6, predicted_wind_min = $7, predicted_wind_max = $8, revised_at = $9
+        WHERE prediction_id = $1
+        RETURNING *`,
+        values
+      );
+      await db.query(
+        `INSERT INTO prediction_revisions
+          (prediction_id, predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure,
+           predicted_radius_nm, predicted_wind_min, predicted_wind_max, revised_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        values
+      );
+      return result.rows[0];
+    },
+
+    async listRevisions(predictionId, username) {
+      const result = await db.query(
+        `SELECT r.predicted_lat, r.predicted_lon, r.predicted_wind_speed, r.predicted_pressure,
+          r.predicted_radius_nm, r.predicted_wind_min, r.predicted_wind_max, r.revised_at
+        FROM prediction_revisions r
+        JOIN predictions p ON p.prediction_id = r.prediction_id
+        WHERE r.prediction_id = $1 AND p.username = $2
+        ORDER BY r.revised_at ASC, r.id ASC`,
+        [predictionId, username]
+      );
+      return result.rows;
+    },
+
+    // Lock the unscored rows so overlapping runs cannot score them twice
+    async lockUnscored(stormId, timeframe) {
+      const result = await db.query(
+        `SELECT * FROM predictions
+         WHERE storm_id = $1 AND timeframe = $2 AND score IS NULL
+         FOR UPDATE`,
+        [stormId, timeframe]
+      );
+      return result.rows;
+    },
+
+    // Write scores and breakdowns; `actual` is only set when first scoring
+    async applyScores(scores, options) {
+      await applyScores(db, 'predictions', scores, options);
+    },
+
+    // Scored predictions, oldest submission first, optionally for one player or storm
+    async listScored({ username = null, stormId = null } = {}) {
+      const result = await db.query(
+        `SELECT * FROM predictions
+         WHERE score IS NOT NULL
+           AND ($1::varchar IS NULL OR username = $1)
+           AND ($2::varchar IS NULL OR storm_id = $2)
+         ORDER BY submitted_at ASC, id ASC`,
+        [username, stormId]
+      );
+      return result.rows;
+    },
+
+    async countUnscored(stormId) {
+      const result = await db.query(
+        `SELECT COUNT(*) as count FROM predictions WHERE storm_id = $1 AND score IS NULL`,
+        [stormId]
+      );
+      return result.rows[0].count;
+    },
+
+    async count() {
+      const result = await db.query('SELECT COUNT(*) FROM predictions');
+      return result.rows[0].count;
+    },
+
+    // { stormId: predictions submitted } for one player
+    async countByStorm(username) {
+      const result = await db.query(
+        `SELECT storm_id, COUNT(*) AS submitted
+         FROM predictions
+         WHERE username = $1
+         GROUP BY storm_id`,
+        [username]
+      );
+      const counts = {};
+      result.rows.forEach(row => {
+        counts[row.storm_id] = row.submitted;
+      });
+      return counts;
+    },
+
+    // Milestone totals for badges, over scored predictions or all of them
+    async getTotals(username, { scoredOnly = false } = {}) {
+      const result = await db.query(
+        `SELECT
+          COUNT(*) as total_predictions,
+          SUM(COALESCE(score, 0)) as total_score,
+          COUNT(DISTINCT storm_id) as unique_storms
+         FROM predictions
+         WHERE username = $1 AND (NOT $2 OR score IS NOT NULL)`,
+        [username, scoredOnly]
+      );
+      const row = result.rows[0];
+      return {
+        totalPredictions: row.total_predictions,
+        totalScore: row.total_score || 0,
+        uniqueStorms: row.unique_storms
+      };
+    },
+
+    // Only sum scores that are not null (timeframes that have closed and been scored)
+    async getStormLeaderboard(stormId, limit = 100) {
+      const result = await db.query(
+        `SELECT
+          username,
+          SUM(COALESCE(score, 0)) as total_score,
+          COUNT(*) as predictions_count,
+          COUNT(score) as scored_count
+        FROM predictions
+        WHERE storm_id = $1 AND score IS NOT NULL
+        GROUP BY username
+        HAVING COUNT(score) > 0
+        ORDER BY total_score DESC
+        LIMIT $2`,
+        [stormId, limit]
+      );
+      return result.rows;
+    },
+
+    async getParticipants(stormId) {
+      const result = await db.query(
+        `SELECT
+          username,
+          COUNT(*) as predictions_count,
+          MIN(submitted_at) as first_prediction
+        FROM predictions
+        WHERE storm_id = $1
+        GROUP BY username
+        ORDER BY first_prediction ASC`,
+        [stormId]
+      );
+      return result.rows;
+    },
+
+    async getAllTimeLeaderboard(limit = 100) {
+      const result = await db.query(
+        `SELECT
+          username,
+          SUM(COALESCE(score, 0)) as total_score,
+          COUNT(DISTINCT storm_id) as storms_played,
+          COUNT(*) as total_predictions,
+          COUNT(score) as scored_predictions,
+          ROUND(AVG(COALESCE(score, 0))::numeric, 1) as avg_score,
+          MAX(score) as best_prediction
+        FROM predictions
+        WHERE score IS NOT NULL
+        GROUP BY username
+        HAVING COUNT(score) > 0
+        ORDER BY total_score DESC
+        LIMIT $1`,
+        [limit]
+      );
+      return result.rows;
+    },
+
+    // Overall stats, best predictions, submission timing and all-time rank
+    async getUserStats(username) {
+      const statsResult = await db.query(
+        `SELECT
+          COUNT(DISTINCT storm_id) as storms_played,
+          COUNT(*) as total_predictions,
+          COUNT(score) as scored_predictions,
+          SUM(COALESCE(score, 0)) as total_score,
+          ROUND(AVG(COALESCE(score, 0))::numeric, 1) as avg_score,
+          MAX(score) as best_score,
+          MIN(score) as worst_score
+        FROM predictions
+        WHERE username = $1 AND score IS NOT NULL`,
+        [username]
+      );
+
+      const bestResult = await db.query(
+        `SELECT
+          storm_id,
+          timeframe,
+          score,
+          predicted_lat,
+          predicted_lon,
+          predicted_wind_speed,
+          predicted_pressure,
+          actual_lat,
+          actual_lon,
+          actual_wind_speed,
+          actual_pressure,
+          track_score,
+          intensity_score,
+          change_score,
+          scoring_version,
+          submitted_at
+        FROM predictions
+        WHERE username = $1 AND score IS NOT NULL
+        ORDER BY score DESC
+        LIMIT 5`,
+        [username]
+      );
+
+      // All submissions, scored or not
+      const timingResult = await db.query(
+        `SELECT
+          COUNT(unlock_latency_seconds) as timed_predictions,
+          ROUND(AVG(unlock_latency_seconds)) as avg_unlock_latency_seconds,
+          MIN(unlock_latency_seconds) as fastest_unlock_latency_seconds
+        FROM predictions
+        WHERE username = $1`,
+        [username]
+      );
+
+      const rankResult = await db.query(
+        `WITH ranked_users AS (
+          SELECT
+            username,
+            SUM(COALESCE(score, 0)) as total_score,
+            RANK() OVER (ORDER BY SUM(COALESCE(score, 0)) DESC) as rank
+          FROM predictions
+          WHERE score IS NOT NULL
+          GROUP BY username
+        )
+        SELECT rank, total_score
+        FROM ranked_users
+        WHERE username = $1`,
+        [username]
+      );
+
+      return {
+        stats: statsResult.rows[0] || {},
+        bestPredictions: bestResult.rows,
+        submissionTiming: timingResult.rows[0] || {},
+        globalRank: rankResult.rows[0] || null
+      };
+    }
+  };
+
+  const extendedForecasts = {
+    // Replace the forecasts a player issued with one timeframe (all still unscored)
+    async save(username, stormId, issuedTimeframe, forecasts, submittedAt) {
+      await db.query(
+        'DELETE FROM extended_forecasts WHERE username = $1 AND storm_id = $2 AND issued_timeframe = $3',
+        [username, stormId, issuedTimeframe]
+      );
+
+      const rows = [];
+      for (const f of forecasts) {
+        const result = await db.query(
+          `INSERT INTO extended_forecasts
+          (username, storm_id, issued_timeframe, timeframe, lead_hours, predicted_lat, predicted_lon,
+           predicted_wind_speed, predicted_pressure, predicted_radius_nm, predicted_wind_min, predicted_wind_max, submitted_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          RETURNING *`,
+          [username, stormId, issuedTimeframe, f.timeframe, f.leadHours, f.lat, f.lon,
+            f.windSpeed, f.pressure, f.radiusNm, f.windMin, f.windMax, submittedAt]
+        );
+        rows.push(result.rows[0]);
+      }
+      return rows;
+    },
+
+    async listForUser(username, stormId) {
+      const result = await db.query(
+        `SELECT * FROM extended_forecasts
+        WHERE username = $1 AND storm_id = $2
+        ORDER BY submitted_at ASC, lead_hours ASC`,
+        [username, stormId]
+      );
+      return result.rows;
+    },
+
+    // Lock the unscored forecasts for a target timeframe, as predictions.lockUnscored
+    async lockUnscored(stormId, timeframe) {
+      const result = await db.query(
+        `SELECT * FROM extended_forecasts
+         WHERE storm_id = $1 AND timeframe = $2 AND score IS NULL
+         FOR UPDATE`,
+        [stormId, timeframe]
+      );
+      return result.rows;
+    },
+
+    async applyScores(scores, options) {
+      await applyScores(db, 'extended_forecasts', scores, options);
+    },
+
+    // Scored forecasts, optionally for one player or storm
+    async listScored({ username = null, stormId = null } = {}) {
+      const result = await db.query(
+        `SELECT * FROM extended_forecasts
+         WHERE score IS NOT NULL
+           AND ($1::varchar IS NULL OR username = $1)
+           AND ($2::varchar IS NULL OR storm_id = $2)
+         ORDER BY submitted_at ASC, id ASC`,
+        [username, stormId]
+      );
+      return result.rows;
+    }
+  };
+
+  const landfalls = {
+    // One landfall prediction per player and storm; saving again replaces it
+    async save(username, stormId, p, submittedAt) {
+      const result = await db.query(
+        `INSERT INTO landfall_predictions
+        (username, storm_id, predicted_lat, predicted_lon, predicted_hours_after_base, predicted_wind_speed, submitted_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (username, storm_id) DO UPDATE
+        SET predicted_lat = EXCLUDED.predicted_lat,
+            predicted_lon = EXCLUDED.predicted_lon,
+            predicted_hours_after_base = EXCLUDED.predicted_hours_after_base,
+            predicted_wind_speed = EXCLUDED.predicted_wind_speed,
+            submitted_at = EXCLUDED.submitted_at
+        RETURNING *`,
+        [username, stormId, p.lat, p.lon, p.hoursAfterBase, p.windSpeed, submittedAt]
+      );
+      return result.rows[0];
+    },
+
+    async findForUser(username, stormId) {
+      const result = await db.query(
+        'SELECT * FROM landfall_predictions WHERE username = $1 AND storm_id = $2',
+        [username, stormId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Lock a storm's unscored landfall predictions, as predictions.lockUnscored
+    async lockUnscored(stormId) {
+      const result = await db.query(
+        `SELECT * FROM landfall_predictions
+         WHERE storm_id = $1 AND score IS NULL
+         FOR UPDATE`,
+        [stormId]
+      );
+      return result.rows;
+    },
+
+    // Write scores and breakdowns ({ id, score, landfallIndex, alongCoastErrorNm,
+    // timingErrorHours, windError, locationScore, timingScore, intensityScore })
+    async applyScores(scores) {
+      if (scores.length === 0) return;
+
+      await db.query(
+        `UPDATE landfall_predictions AS p
+         SET score = v.score,
+             landfall_index = v.landfall_index,
+             along_coast_error_nm = v.along_coast_error_nm,
+             timing_error_hours = v.timing_error_hours,
+             wind_error = v.wind_error,
+             location_score = v.location_score,
+             timing_score = v.timing_score,
+             intensity_score = v.intensity_score,
+             scored_at = NOW()
+         FROM unnest($1::int[], $2::int[], $3::int[], $4::numeric[], $5::numeric[], $6::int[], $7::int[], $8::int[], $9::int[])
+           AS v(id, score, landfall_index, along_coast_error_nm, timing_error_hours, wind_error,
+                location_score, timing_score, intensity_score)
+         WHERE p.id = v.id`,
+        [
+          scores.map(s => s.id),
+          scores.map(s => s.score),
+          scores.map(s => s.landfallIndex),
+          scores.map(s => s.alongCoastErrorNm),
+          scores.map(s => s.timingErrorHours),
+          scores.map(s => s.windError),
+          scores.map(s => s.locationScore),
+          scores.map(s => s.timingScore),
+          scores.map(s => s.intensityScore)
+        ]
+      );
+    },
+
+    // Scored landfall predictions for a storm, best first
+    async listScored(stormId) {
+      const result = await db.query(
+        `SELECT * FROM landfall_predictions
+         WHERE storm_id = $1 AND score IS NOT NULL
+         ORDER BY score DESC, submitted_at ASC`,
+        [stormId]
+      );
+      return result.rows;
+    }
+  };
+
+  const users = {
+    async findByUsername(username) {
+      const result = await db.query(`SELECT * FROM users WHERE username = $1`, [username]);
+      return result.rows[0] || null;
+    },
+
+    async create({ username, displayName, passwordHash }) {
+      await db.query(
+        `INSERT INTO users (username, display_name, password_hash, claimed_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
+        [username, displayName, passwordHash]
+      );
+    },
+
+    // Issue (or replace) the claim code for an unclaimed legacy username; false if claimed
+    async setClaimCode(username, codeHash, expiresAt) {
+      const result = await db.query(
+        `UPDATE users
+         SET claim_code_hash = $2, claim_code_expires_at = $3
+         WHERE username = $1 AND password_hash IS NULL`,
+        [username, codeHash, expiresAt]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Attach a password to an unclaimed legacy username with a valid claim code;
+    // false if already claimed or the code is wrong or expired
+    async claim(username, passwordHash, displayName, codeHash) {
+      const result = await db.query(
+        `UPDATE users
+         SET password_hash = $2,
+             claimed_at = CURRENT_TIMESTAMP,
+             claim_code_hash = NULL,
+             claim_code_expires_at = NULL,
+             display_name = COALESCE($3, display_name),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE username = $1 AND password_hash IS NULL
+           AND claim_code_hash = $4 AND claim_code_expires_at > CURRENT_TIMESTAMP`,
+        [username, passwordHash, displayName, codeHash]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Update the given profile fields (undefined ones are left unchanged)
+    async updateProfile(username, { display_name, avatar_url, bio, location }) {
+      const result = await db.query(
+        `UPDATE users
+         SET display_name = COALESCE($2, display_name),
+             avatar_url = COALESCE($3, avatar_url),
+             bio = COALESCE($4, bio),
+             location = COALESCE($5, location),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE username = $1
+         RETURNING *`,
+        [username, display_name, avatar_url, bio, location]
+      );
+      return result.rows[0] || null;
+    },
+
+    async promoteAdmins(usernames) {
+      if (usernames.length === 0) return;
+      await db.query(`UPDATE users SET role = 'admin' WHERE username = ANY($1)`, [usernames]);
+    }
+  };
+
+  const sessions = {
+    async create(tokenHash, username, expiresAt) {
+      await db.query(
+        `INSERT INTO sessions (token_hash, username, expires_at) VALUES ($1, $2, $3)`,
+        [tokenHash, username, expiresAt]
+      );
+    },
+
+    // The account behind an unexpired session
+    async findUser(tokenHash) {
+      const result = await db.query(
+        `SELECT u.id, u.username, u.display_name, u.role
+         FROM sessions s
+         JOIN users u ON u.username = s.username
+         WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP`,
+        [tokenHash]
+      );
+      return result.rows[0] || null;
+    },
+
+    async delete(tokenHash) {
+      await db.query(`DELETE FROM sessions WHERE token_hash = $1`, [tokenHash]);
+    }
+  };
+
+  const badges = {
+    async has(username, badgeId) {
+      const result = await db.query(
+        `SELECT 1 FROM user_badges WHERE username = $1 AND badge_id = $2`,
+        [username, badgeId]
+      );
+      return result.rows.length > 0;
+    },
+
+    async award(username, badgeId, metadata) {
+      await db.query(
+        `INSERT INTO user_badges (username, badge_id, metadata)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (username, badge_id) DO NOTHING`,
+        [username, badgeId, JSON.stringify(metadata)]
+      );
+    },
+
+    async listForUser(username) {
+      const result = await db.query(
+        `SELECT ub.*, bd.name, bd.description, bd.icon, bd.tier, bd.category, bd.points_value
+         FROM user_badges ub
+         JOIN badge_definitions bd ON ub.badge_id = bd.badge_id
+         WHERE ub.username = $1
+         ORDER BY ub.earned_at DESC`,
+        [username]
+      );
+      return result.rows;
+    },
+
+    async listDefinitions() {
+      const result = await db.query(`SELECT * FROM badge_definitions ORDER BY category, tier, name`);
+      return result.rows;
+    }
+  };
+
+  const activity = {
+    // Count one submission towards a player's day
+    async record(username, day) {
+      await db.query(
+        `INSERT INTO user_activity (username, activity_date, predictions_count)
+         VALUES ($1, $2, 1)
+         ON CONFLICT (username, activity_date)
+         DO UPDATE SET predictions_count = user_activity.predictions_count + 1`,
+        [username, day]
+      );
+    },
+
+    // Days with a submission, as YYYY-MM-DD keys
+    async listDays(username) {
+      const result = await db.query(
+        `SELECT to_char(activity_date, 'YYYY-MM-DD') AS day
+         FROM user_activity
+         WHERE username = $1`,
+        [username]
+      );
+      return result.rows.map(row => row.day);
+    }
+  };
+
+  const results = {
+    // Record a scored storm/timeframe in the scoring ledger
+    async recordScored(stormId, timeframe, predictionsScored, scoredBy) {
+      await db.query(
+        `INSERT INTO scoring_ledger (storm_id, timeframe, predictions_scored, scored_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (storm_id, timeframe) DO UPDATE
+         SET predictions_scored = scoring_ledger.predictions_scored + EXCLUDED.predictions_scored,
+             scored_by = EXCLUDED.scored_by,
+             scored_at = CURRENT_TIMESTAMP`,
+        [stormId, timeframe, predictionsScored, scoredBy]
+      );
+    },
+
+    // The ledger as { stormId: [timeframe, ...] }
+    async getLedger() {
+      const result = await db.query(`SELECT storm_id, timeframe FROM scoring_ledger`);
+      const ledger = {};
+      result.rows.forEach(row => {
+        (ledger[row.storm_id] = ledger[row.storm_id] || []).push(row.timeframe);
+      });
+      return ledger;
+    },
+
+    // Claiming the finalization row is what makes finalizing idempotent
+    async claimFinalization(stormId, participants, finalizedBy) {
+      const result = await db.query(
+        `INSERT INTO storm_finalizations (storm_id, participants, finalized_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (storm_id) DO NOTHING
+         RETURNING storm_id`,
+        [stormId, participants, finalizedBy]
+      );
+      return result.rows.length > 0;
+    },
+
+    // Finalized storm ids, optionally only those among `stormIds`
+    async listFinalizedIds(stormIds = null) {
+      const result = await db.query(
+        `SELECT storm_id FROM storm_finalizations WHERE $1::varchar[] IS NULL OR storm_id = ANY($1)`,
+        [stormIds]
+      );
+      return result.rows.map(row => row.storm_id);
+    },
+
+    // Finalized storms that had players, newest id first
+    async listFinalizations() {
+      const result = await db.query(
+        `SELECT storm_id, participants, finalized_at
+         FROM storm_finalizations
+         WHERE participants > 0
+         ORDER BY storm_id DESC`
+      );
+      return result.rows;
+    },
+
+    // Replace a storm's frozen standings
+    async writeStandings(stormId, standings) {
+      await db.query(`DELETE FROM storm_results WHERE storm_id = $1`, [stormId]);
+
+      for (const entry of standings) {
+        await db.query(
+          `INSERT INTO storm_results (storm_id, username, final_rank, total_score, predictions_count, avg_score)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [stormId, entry.username, entry.rank, entry.totalScore, entry.predictionsCount, entry.avgScore]
+        );
+      }
+    },
+
+    async getStandings(stormId, limit = 10) {
+      const result = await db.query(
+        `SELECT
+          username,
+          final_rank,
+          total_score,
+          predictions_count,
+          avg_score
+        FROM storm_results
+        WHERE storm_id = $1
+        ORDER BY final_rank ASC, username ASC
+        LIMIT $2`,
+        [stormId, limit]
+      );
+      return result.rows;
+    },
+
+    async countChampionships(username) {
+      const result = await db.query(
+        `SELECT COUNT(*) as count FROM storm_results WHERE username = $1 AND final_rank = 1`,
+        [username]
+      );
+      return result.rows[0].count;
+    }
+  };
+
+  const practice = {
+    async createRun(username, stormId) {
+      const result = await db.query(
+        'INSERT INTO practice_runs (username, storm_id) VALUES ($1, $2) RETURNING id',
+        [username, stormId]
+      );
+      return result.rows[0].id;
+    },
+
+    async findRun(runId, username) {
+      const result = await db.query(
+        'SELECT * FROM practice_runs WHERE id = $1 AND username = $2',
+        [runId, username]
+      );
+      return result.rows[0] || null;
+    },
+
+    async listPredictions(runId) {
+      const result = await db.query(
+        'SELECT * FROM practice_predictions WHERE run_id = $1 ORDER BY submitted_at ASC',
+        [runId]
+      );
+      return result.rows;
+    },
+
+    async addPrediction(runId, p) {
+      await db.query(
+        `INSERT INTO practice_predictions
+        (run_id, timeframe, predicted_lat, predicted_lon, predicted_wind_speed, predicted_pressure,
+         predicted_radius_nm, predicted_wind_min, predicted_wind_max,
+         actual_lat, actual_lon, actual_wind_speed, actual_pressure, score,
+         distance_error_nm, wind_error, pressure_error, track_score, intensity_score, change_score, scoring_version)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)`,
+        [runId, p.timeframe, p.lat, p.lon, p.windSpeed, p.pressure,
+          p.radiusNm, p.windMin, p.windMax,
+          p.actual.lat, p.actual.lon, p.actual.windSpeed, p.actual.pressure, p.score,
+          p.distanceErrorNm, p.windError, p.pressureError,
+          p.trackScore, p.intensityScore, p.changeScore, p.scoringVersion]
+      );
+    },
+
+    // Close a run with its total
+    async completeRun(runId) {
+      await db.query(
+        `UPDATE practice_runs
+        SET completed_at = NOW(),
+            total_score = (SELECT SUM(score) FROM practice_predictions WHERE run_id = $1)
+        WHERE id = $1`,
+        [runId]
+      );
+    },
+
+    async listRuns(username, limit = 50) {
+      const result = await db.query(
+        `SELECT
+          r.id,
+          r.storm_id,
+          r.total_score,
+          r.started_at,
+          r.completed_at,
+          COUNT(p.timeframe) as predictions_count,
+          ROUND(AVG(p.score)::numeric, 1) as avg_score
+        FROM practice_runs r
+        LEFT JOIN practice_predictions p ON p.run_id = r.id
+        WHERE r.username = $1
+        GROUP BY r.id
+        ORDER BY r.started_at DESC
+        LIMIT $2`,
+        [username, limit]
+      );
+      return result.rows;
+    }
+  };
+
+  const audit = {
+    async record({ actor, actorType, action, target, details, ip }) {
+      await db.query(
+        `INSERT INTO admin_audit_log (actor, actor_type, action, target, details, ip)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [actor, actorType, action, target, JSON.stringify(details), ip]
+      );
+    },
+
+    async list(limit) {
+      const result = await db.query(
+        `SELECT * FROM admin_audit_log ORDER BY created_at DESC LIMIT $1`,
+        [limit]
+      );
+      return result.rows;
+    }
+  };
+
+  const abuseFlags = {
+    async record(ip, reason, details) {
+      await db.query(
+        `INSERT INTO abuse_flags (ip, reason, details) VALUES ($1, $2, $3)`,
+        [ip, reason, JSON.stringify(details)]
+      );
+    },
+
+    async list(limit) {
+      const result = await db.query(
+        `SELECT * FROM abuse_flags ORDER BY created_at DESC LIMIT $1`,
+        [limit]
+      );
+      return result.rows;
+    }
+  };
+
+  return { predictions, extendedForecasts, landfalls, users, sessions, badges, activity, results, practice, audit, abuseFlags };
+}
+
+/**
+ * Create the PostgreSQL storage backend
+ * @param {Object} options - { connectionString, ssl } for the pg Pool, or { pool } to reuse one
+ * @returns {Object} Storage (see storage/index.js)
+ */
+function createPostgresStorage({ connectionString, ssl = false, pool: existingPool } = {}) {
+  const pool = existingPool || new Pool({ connectionString, ssl, types: TYPE_PARSERS });
+
+  return {
+    name: 'postgres',
+    ...createRepositories(pool),
+
+    // Run fn(repositories) on one connection inside BEGIN/COMMIT
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(createRepositories(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    migrate() {
+      return runMigrations(pool);
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+}
+
+module.exports = {
+  TYPE_PARSERS,
+  createPostgresStorage
+};
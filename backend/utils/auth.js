@@ -0,0 +1,182 @@
+/**
+ * Authentication Utilities
+ * Password hashing, session tokens and username rules for player accounts
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_KEY_LENGTH = 64;
+const SESSION_TTL_DAYS = 30;
+const CLAIM_CODE_TTL_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Prediction ids start with the username, so this also bounds their length
+const USERNAME_MAX_LENGTH = 30;
+const USERNAME_PATTERN = new RegExp(`^[A-Za-z0-9_.-]{3,${USERNAME_MAX_LENGTH}}$`);
+
+// Usernames that collide with route aliases (e.g. /api/user/me/stats)
+const RESERVED_USERNAMES = ['me', 'admin', 'api'];
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(derivedKey);
+    });
+  });
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash in the form `scrypt$<salt>$<hash>`
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt);
+  return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash produced by hashPassword
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Encoded hash from the database
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) return false;
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scrypt(password, salt);
+  return expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey);
+}
+
+/**
+ * Generate a new opaque session token to hand to the client
+ * @returns {string} Random token (hex)
+ */
+function generateSessionToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a session token for storage; only hashes ever touch the database
+ * @param {string} token - Session token from the client
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a claim code for a legacy username, short enough to read out or
+ * paste from an email (e.g. "7F3A9-C21B0")
+ * @returns {string} Random code
+ */
+function generateClaimCode() {
+  const hex = crypto.randomBytes(5).toString('hex').toUpperCase();
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+/**
+ * Hash a claim code for storage, ignoring case, spaces and dashes
+ * @param {string} code - Claim code as typed by the player
+ * @returns {string} SHA-256 hex digest
+ */
+function hashClaimCode(code) {
+  return hashSessionToken(String(code).toUpperCase().replace(/[\s-]/g, ''));
+}
+
+/**
+ * Calculate when a claim code issued now should expire
+ * @param {Date} issuedAt - Issue time (defaults to now)
+ * @returns {Date} Expiry time
+ */
+function getClaimCodeExpiry(issuedAt = new Date()) {
+  return new Date(issuedAt.getTime() + CLAIM_CODE_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Calculate when a session created now should expire
+ * @param {Date} createdAt - Session creation time (defaults to now)
+ * @returns {Date} Expiry time
+ */
+function getSessionExpiry(createdAt = new Date()) {
+  return new Date(createdAt.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header
+ * @param {string} header - Raw Authorization header value
+ * @returns {string|null} Token or null if missing/malformed
+ */
+function parseBearerToken(header) {
+  if (!header || typeof header !== 'string') return null;
+
+  const match = header.match(/^Bearer\s+([A-Za-z0-9._~+/-]+=*)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Compare two secrets in constant time (e.g. an admin API key)
+ * @param {string} provided - Value supplied by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} Whether both are non-empty and equal
+ */
+function safeCompare(provided, expected) {
+  if (typeof provided !== 'string' || typeof expected !== 'string') return false;
+  if (!provided || !expected) return false;
+
+  // Hash first so inputs of different lengths still compare in constant time
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Validate a username for a new account
+ * @param {string} username - Requested username
+ * @returns {string|null} Error message, or null if the username is acceptable
+ */
+function validateUsername(username) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return `Username must be 3-${USERNAME_MAX_LENGTH} characters: letters, numbers, dot, dash or underscore`;
+  }
+  if (RESERVED_USERNAMES.includes(username.toLowerCase())) {
+    return 'That username is reserved';
+  }
+  return null;
+}
+
+/**
+ * Validate a password for a new account
+ * @param {string} password - Requested password
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateSessionToken,
+  hashSessionToken,
+  getSessionExpiry,
+  generateClaimCode,
+  hashClaimCode,
+  getClaimCodeExpiry,
+  parseBearerToken,
+  safeCompare,
+  validateUsername,
+  validatePassword,
+  USERNAME_MAX_LENGTH,
+  SESSION_TTL_DAYS,
+  CLAIM_CODE_TTL_DAYS
+};
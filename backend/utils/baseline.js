@@ -0,0 +1,265 @@
+/**
+ * Baseline Forecast Utilities
+ * Pure functions for the naive reference forecasts every player is measured
+ * against: persistence and a CLIPER-like climatology blend, built only from
+ * the storm's own verified history, plus skill scores relative to them
+ */
+
+const { getPreviousTimeframe, getPredictionTimeframes, getLeadHours, scorePrediction } = require('./gameLogic');
+
+// Reference forecasts, shown as bot rows on storm leaderboards
+const BASELINES = [
+  { id: 'persistence', name: 'Persistence', description: 'Repeats the last motion at the same speed and keeps the intensity' },
+  { id: 'cliper', name: 'CLIPER', description: 'Blends recent motion with climatology and half the recent intensity trend' }
+];
+
+// Skill is reported against CLIPER, the usual no-skill benchmark for track forecasts
+const SKILL_BASELINE = 'cliper';
+
+// Hours between points when a history carries no `hours`, and the period
+// CLIMATOLOGY_MOTION is given over
+const STEP_HOURS = 6;
+
+// Typical 6-hour motion (degrees) of Atlantic hurricanes by latitude: westward
+// in the trades, turning north, then recurving northeast into the westerlies
+const CLIMATOLOGY_MOTION = [
+  { maxLat: 25, dLat: 0.3, dLon: -0.9 },
+  { maxLat: 30, dLat: 0.6, dLon: -0.3 },
+  { maxLat: Infinity, dLat: 0.7, dLon: 0.6 }
+];
+
+// How much of CLIPER's motion comes from the storm's own recent motion
+const CLIPER_PERSISTENCE_WEIGHT = 0.5;
+
+// Share of the last intensity trend CLIPER carries forward
+const CLIPER_INTENSITY_TREND = 0.5;
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Hours after the base point, spaced STEP_HOURS apart unless given
+function hoursAt(history, index) {
+  const hours = history[index].hours;
+  return hours !== undefined ? Number(hours) : STEP_HOURS * index;
+}
+
+// Motion in degrees per hour between two points of a history
+function motionBetween(history, fromIndex, toIndex) {
+  const from = history[fromIndex];
+  const to = history[toIndex];
+  const hours = hoursAt(history, toIndex) - hoursAt(history, fromIndex);
+  return {
+    dLat: (Number(to.lat) - Number(from.lat)) / hours,
+    dLon: (Number(to.lon) - Number(from.lon)) / hours
+  };
+}
+
+// Climatological motion in degrees per hour
+function climatologyMotion(lat) {
+  const band = CLIMATOLOGY_MOTION.find(b => Number(lat) < b.maxLat);
+  return { dLat: band.dLat / STEP_HOURS, dLon: band.dLon / STEP_HOURS };
+}
+
+// Hours from the last known point to the forecast time, one step by default
+function hoursAhead(history, targetHours) {
+  const lastHours = hoursAt(history, history.length - 1);
+  return (targetHours !== undefined ? Number(targetHours) : lastHours + STEP_HOURS) - lastHours;
+}
+
+/**
+ * Persistence forecast: the last motion again at the same speed, intensity unchanged
+ * With only one known point (the base) the storm is held in place.
+ * @param {Array<Object>} history - Verified { lat, lon, windSpeed, pressure, hours } points, oldest first;
+ *   `hours` after the base defaults to 6-hour spacing
+ * @param {number} [targetHours] - Hours after the base to forecast for (defaults to one 6-hour step on)
+ * @returns {Object} Forecast { lat, lon, windSpeed, pressure }
+ */
+function persistenceForecast(history, targetHours) {
+  const last = history[history.length - 1];
+  const ahead = hoursAhead(history, targetHours);
+  const motion = history.length > 1
+    ? motionBetween(history, history.length - 2, history.length - 1)
+    : { dLat: 0, dLon: 0 };
+
+  return {
+    lat: round1(Number(last.lat) + motion.dLat * ahead),
+    lon: round1(Number(last.lon) + motion.dLon * ahead),
+    windSpeed: Number(last.windSpeed),
+    pressure: Number(last.pressure)
+  };
+}
+
+/**
+ * CLIPER-like forecast: recent motion (the last step weighted twice the one
+ * before) blended with climatological motion for the latitude, and half of
+ * the last intensity trend carried forward. Motion and trend are rates, so
+ * they scale with the hours between points and to the forecast time.
+ * @param {Array<Object>} history - Verified { lat, lon, windSpeed, pressure, hours } points, oldest first;
+ *   `hours` after the base defaults to 6-hour spacing
+ * @param {number} [targetHours] - Hours after the base to forecast for (defaults to one 6-hour step on)
+ * @returns {Object} Forecast { lat, lon, windSpeed, pressure }
+ */
+function cliperForecast(history, targetHours) {
+  const last = history[history.length - 1];
+  const ahead = hoursAhead(history, targetHours);
+  const climatology = climatologyMotion(last.lat);
+
+  let motion = climatology;
+  let trend = { windSpeed: 0, pressure: 0 };
+  if (history.length > 1) {
+    const lastIndex = history.length - 1;
+    const previous = history[lastIndex - 1];
+    const hours = hoursAt(history, lastIndex) - hoursAt(history, lastIndex - 1);
+    const recent = motionBetween(history, lastIndex - 1, lastIndex);
+    const earlier = history.length > 2 ? motionBetween(history, lastIndex - 2, lastIndex - 1) : recent;
+    const persistence = {
+      dLat: (2 * recent.dLat + earlier.dLat) / 3,
+      dLon: (2 * recent.dLon + earlier.dLon) / 3
+    };
+    motion = {
+      dLat: CLIPER_PERSISTENCE_WEIGHT * persistence.dLat + (1 - CLIPER_PERSISTENCE_WEIGHT) * climatology.dLat,
+      dLon: CLIPER_PERSISTENCE_WEIGHT * persistence.dLon + (1 - CLIPER_PERSISTENCE_WEIGHT) * climatology.dLon
+    };
+    trend = {
+      windSpeed: (Number(last.windSpeed) - Number(previous.windSpeed)) / hours,
+      pressure: (Number(last.pressure) - Number(previous.pressure)) / hours
+    };
+  }
+
+  return {
+    lat: round1(Number(last.lat) + motion.dLat * ahead),
+    lon: round1(Number(last.lon) + motion.dLon * ahead),
+    windSpeed: Math.round(Number(last.windSpeed) + CLIPER_INTENSITY_TREND * trend.windSpeed * ahead),
+    pressure: Math.round(Number(last.pressure) + CLIPER_INTENSITY_TREND * trend.pressure * ahead)
+  };
+}
+
+const FORECASTERS = {
+  persistence: persistenceForecast,
+  cliper: cliperForecast
+};
+
+/**
+ * Build a baseline's forecast for one prediction timeframe from the points
+ * verified before it, i.e. what a player could know when predicting it.
+ * Points are timed by the storm's lead hours, so runs with wider spacing
+ * move the baselines further per step.
+ * @param {Object} storm - Storm object with timeframes
+ * @param {string} baselineId - Baseline id from BASELINES
+ * @param {string} timeframe - Prediction timeframe label
+ * @returns {Object|null} Forecast { lat, lon, windSpeed, pressure }, or null for an unknown timeframe or baseline
+ */
+function getBaselineForecast(storm, baselineId, timeframe) {
+  const forecaster = FORECASTERS[baselineId];
+  if (!forecaster || !getPreviousTimeframe(storm, timeframe)) return null;
+
+  // The base point is at hour 0, each prediction timeframe at its lead time
+  const hours = [0, ...getLeadHours(storm)];
+  const timed = storm.timeframes.map((tf, i) => ({ ...tf, hours: hours[i] }));
+  const index = storm.timeframes.findIndex(tf => tf.type === 'prediction' && tf.timeframe === timeframe);
+  return forecaster(timed.slice(0, index), hours[index]);
+}
+
+/**
+ * Score a baseline's forecast for a timeframe with the same function as players
+ * @param {Object} storm - Storm object with timeframes
+ * @param {string} baselineId - Baseline id from BASELINES
+ * @param {string} timeframe - Prediction timeframe label
+ * @param {Object} profile - Scoring profile
+ * @returns {Object|null} scorePrediction() result plus the forecast, or null if there is none
+ */
+function scoreBaseline(storm, baselineId, timeframe, profile) {
+  const forecast = getBaselineForecast(storm, baselineId, timeframe);
+  const actual = getPredictionTimeframes(storm).find(tf => tf.timeframe === timeframe);
+  if (!forecast || !actual) return null;
+
+  return {
+    forecast,
+    ...scorePrediction(forecast, actual, profile, getPreviousTimeframe(storm, timeframe))
+  };
+}
+
+/**
+ * Most points a profile can award for one prediction
+ * @param {Object} profile - Scoring profile
+ * @returns {number} Track, intensity and intensity-change maximums added up
+ */
+function getMaxScore(profile) {
+  const change = profile.change
+    ? profile.change.categoryPoints + profile.change.directionPoints + profile.change.sizePoints
+    : 0;
+  return profile.track.maxPoints + profile.wind.maxPoints + profile.pressure.maxPoints + change;
+}
+
+/**
+ * Skill score: the share of the gap between the baseline and a perfect
+ * forecast that a score closed, as a percentage. 0 matches the baseline,
+ * 100 is perfect, and below 0 is worse than the baseline.
+ * @param {number} score - Player's points (one prediction or a total)
+ * @param {number} baselineScore - Baseline's points for the same forecasts
+ * @param {number} maxScore - Most points possible for the same forecasts
+ * @returns {number|null} Skill in percent (1 decimal), or null when the baseline was already perfect
+ */
+function calculateSkill(score, baselineScore, maxScore) {
+  if (!(maxScore > baselineScore)) return null;
+  return round1(100 * (score - baselineScore) / (maxScore - baselineScore));
+}
+
+/**
+ * Summarize a player's skill over many scored predictions
+ * Points are pooled before the skill is taken, so one prediction where the
+ * baseline was nearly perfect can't swamp the rest.
+ * @param {Array<Object>} entries - { score, baselineScore, maxScore } per prediction
+ * @returns {Object} { baseline, count, avgScore, avgBaselineScore, beatBaseline, skill }
+ */
+function summarizeSkill(entries) {
+  const total = key => entries.reduce((sum, entry) => sum + Number(entry[key]), 0);
+  const count = entries.length;
+
+  return {
+    baseline: SKILL_BASELINE,
+    count,
+    avgScore: count > 0 ? Math.round(total('score') / count) : null,
+    avgBaselineScore: count > 0 ? Math.round(total('baselineScore') / count) : null,
+    beatBaseline: entries.filter(entry => Number(entry.score) > Number(entry.baselineScore)).length,
+    skill: count > 0 ? calculateSkill(total('score'), total('baselineScore'), total('maxScore')) : null
+  };
+}
+
+/**
+ * Leaderboard rows for the baselines over a storm's scored timeframes,
+ * shaped like player rows but flagged so they are never ranked
+ * @param {Object} storm - Storm object with timeframes
+ * @param {Array<Object>} scored - { timeframe, profile } for each scored timeframe
+ * @returns {Array<Object>} { baseline, username, total_score, predictions_count, scored_count, isBaseline }, best first
+ */
+function computeBaselineRows(storm, scored) {
+  return BASELINES.map(baseline => {
+    const results = scored
+      .map(({ timeframe, profile }) => scoreBaseline(storm, baseline.id, timeframe, profile))
+      .filter(Boolean);
+    return {
+      baseline: baseline.id,
+      username: baseline.name,
+      total_score: results.reduce((sum, result) => sum + result.totalScore, 0),
+      predictions_count: results.length,
+      scored_count: results.length,
+      isBaseline: true
+    };
+  }).sort((a, b) => b.total_score - a.total_score);
+}
+
+module.exports = {
+  BASELINES,
+  SKILL_BASELINE,
+  CLIMATOLOGY_MOTION,
+  persistenceForecast,
+  cliperForecast,
+  getBaselineForecast,
+  scoreBaseline,
+  getMaxScore,
+  calculateSkill,
+  summarizeSkill,
+  computeBaselineRows
+};
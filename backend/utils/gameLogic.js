@@ -3,6 +3,62 @@
  * Pure functions for hurricane prediction game calculations
  */
 
+const scoringProfiles = require('../scoringProfiles.json');
+
+// Hours between prediction timeframes when a storm doesn't list its own lead times
+const DEFAULT_TIMEFRAME_HOURS = 6;
+
+// Share of verifying values an uncertainty cone or wind range should hold.
+// Like the NHC cone, a player's radius is read as "inside about two times in three".
+const CONE_COVERAGE = 2 / 3;
+
+// Cone radius and wind-range half-width in standard deviations: the circle
+// holding CONE_COVERAGE of a circular Gaussian (P(R <= r) = 1 - exp(-r²/2σ²))
+// and the central interval holding CONE_COVERAGE of a normal (Φ⁻¹(5/6))
+const CONE_RADIUS_SIGMAS = Math.sqrt(-2 * Math.log(1 - CONE_COVERAGE));
+const RANGE_HALF_WIDTH_SIGMAS = 0.9674;
+
+// Calibration is only judged once a player has this many cones or ranges
+const MIN_CALIBRATION_SAMPLE = 5;
+
+// Width of predictions.prediction_id (migration 016)
+const PREDICTION_ID_MAX_LENGTH = 255;
+
+// Saffir-Simpson categories by lowest sustained wind (mph), strongest first
+const SAFFIR_SIMPSON_THRESHOLDS = [
+  { category: 5, minWindMph: 157 },
+  { category: 4, minWindMph: 130 },
+  { category: 3, minWindMph: 111 },
+  { category: 2, minWindMph: 96 },
+  { category: 1, minWindMph: 74 }
+];
+
+// Wind changes from the previous verified timeframe, grouped by direction
+const INTENSITY_CHANGE_DIRECTIONS = {
+  rapid_intensification: 1,
+  strengthening: 1,
+  steady: 0,
+  weakening: -1,
+  rapid_weakening: -1
+};
+
+// Equal-weight samples of a 2D standard normal for the expectations in
+// kernelScore(): radii at the midpoint quantiles of the Rayleigh distribution,
+// each at evenly spaced angles. The x coordinates alone sample a 1D normal.
+const NORMAL_SAMPLES = (() => {
+  const radii = 40;
+  const angles = 36;
+  const samples = [];
+  for (let i = 0; i < radii; i++) {
+    const rho = Math.sqrt(-2 * Math.log(1 - (i + 0.5) / radii));
+    for (let j = 0; j < angles; j++) {
+      const theta = 2 * Math.PI * (j + 0.5) / angles;
+      samples.push([rho * Math.cos(theta), rho * Math.sin(theta)]);
+    }
+  }
+  return samples;
+})();
+
 /**
  * Calculate great-circle distance between two points using Haversine formula
  * @param {number} lat1 - First point latitude
@@ -24,88 +80,664 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
 }
 
 /**
- * Calculate Track Score (0-1000 pts based on distance error)
+ * Look up a scoring profile from scoringProfiles.json
+ * @param {string} version - Profile key (defaults to the current profile)
+ * @returns {Object|null} Profile with its `version` added, or null if unknown
+ */
+function getScoringProfile(version = scoringProfiles.current) {
+  if (!Object.prototype.hasOwnProperty.call(scoringProfiles.profiles, version)) return null;
+  return { version, ...scoringProfiles.profiles[version] };
+}
+
+/**
+ * List every scoring profile
+ * @returns {Array<Object>} Profiles with `version` and `current` flags
+ */
+function listScoringProfiles() {
+  return Object.keys(scoringProfiles.profiles).map(version => ({
+    ...getScoringProfile(version),
+    current: version === scoringProfiles.current
+  }));
+}
+
+// E[exp(-decay·|X - y|)] for X ~ N(0, σ²) in 1 or 2 dimensions, y at `offset` from the mean
+function expectedDecay(decay, sigma, offset, dimensions) {
+  let total = 0;
+  NORMAL_SAMPLES.forEach(([x, y]) => {
+    const dx = sigma * x - offset;
+    const dy = dimensions === 2 ? sigma * y : 0;
+    total += Math.exp(-decay * Math.sqrt(dx * dx + dy * dy));
+  });
+  return total / NORMAL_SAMPLES.length;
+}
+
+/**
+ * Kernel score of a Gaussian forecast against the verifying value
+ * The profiles' exponential decay, maxPoints·exp(-decay·error), is used as a
+ * kernel k: a forecast X ~ N(mean, σ²) earns
+ *   E[k(X, actual)] - ½·E[k(X, X')] + ½·maxPoints
+ * Kernel scores are strictly proper (Gneiting & Raftery, 2007): expected points
+ * are highest when σ matches the player's real uncertainty, so an honest cone
+ * beats both a bluffed point and a padded cone. With σ = 0 it is exactly the
+ * point score, and it always stays between 0 and maxPoints.
+ * @param {number} maxPoints - Points for a perfect point forecast
+ * @param {number} decay - Exponential decay per unit of error
+ * @param {number} sigma - Forecast standard deviation (0 for a point forecast)
+ * @param {number} offset - Distance from the forecast mean to the verifying value
+ * @param {number} dimensions - 2 for positions, 1 for scalars
+ * @returns {number} Unrounded points
+ */
+function kernelScore(maxPoints, decay, sigma, offset, dimensions) {
+  if (!(sigma > 0)) {
+    return maxPoints * Math.exp(-decay * offset);
+  }
+
+  const fit = expectedDecay(decay, sigma, offset, dimensions);
+  // X - X' is N(0, 2σ²)
+  const sharpness = expectedDecay(decay, sigma * Math.SQRT2, 0, dimensions);
+  return Math.min(maxPoints, maxPoints * (fit - sharpness / 2 + 0.5));
+}
+
+/**
+ * Calculate a track score under a specific scoring profile
+ * @param {Object} profile - Scoring profile from getScoringProfile
  * @param {number} distanceErrorNM - Distance error in nautical miles
- * @returns {number} Score from 0 to 1000
+ * @param {number} radiusNM - Uncertainty cone radius in nautical miles (0 for a point)
+ * @returns {number} Score from 0 to the profile's track maximum
  */
-function calculateTrackScore(distanceErrorNM) {
+function scoreTrack(profile, distanceErrorNM, radiusNM = 0) {
   // Exponential decay: heavily penalize distance errors
-  // 0 NM = 1000 pts, 50 NM = ~600 pts, 100 NM = ~368 pts, 200 NM = ~135 pts
-  const score = 1000 * Math.exp(-0.01 * distanceErrorNM);
+  const { maxPoints, decayPerNM } = profile.track;
+  const score = kernelScore(maxPoints, decayPerNM, radiusNM / CONE_RADIUS_SIGMAS, distanceErrorNM, 2);
   return Math.round(Math.max(0, score));
 }
 
 /**
- * Calculate Intensity Score (0-1000 pts based on wind + pressure errors)
- * @param {number} windError - Wind speed error in mph
+ * Calculate an intensity score under a specific scoring profile
+ * @param {Object} profile - Scoring profile from getScoringProfile
+ * @param {number} windError - Wind speed error in mph (from the middle of the wind range, if any)
  * @param {number} pressureError - Pressure error in mb
+ * @param {number} windRangeMph - Width of the wind range in mph (0 for a single wind speed)
+ * @returns {number} Score from 0 to the profile's wind + pressure maximum
+ */
+function scoreIntensity(profile, windError, pressureError, windRangeMph = 0) {
+  const { wind, pressure } = profile;
+  const windSigma = windRangeMph / 2 / RANGE_HALF_WIDTH_SIGMAS;
+  const windScore = kernelScore(wind.maxPoints, wind.decayPerMph, windSigma, Math.abs(windError), 1);
+  const pressureScore = pressure.maxPoints * Math.exp(-pressure.decayPerMb * Math.abs(pressureError));
+  return Math.round(Math.max(0, windScore + pressureScore));
+}
+
+/**
+ * Calculate Track Score (0-1000 pts based on distance error) under the current profile
+ * @param {number} distanceErrorNM - Distance error in nautical miles
  * @returns {number} Score from 0 to 1000
  */
+function calculateTrackScore(distanceErrorNM) {
+  // v1: 0 NM = 1000 pts, 50 NM = ~600 pts, 100 NM = ~368 pts, 200 NM = ~135 pts
+  return scoreTrack(getScoringProfile(), distanceErrorNM);
+}
+
+/**
+ * Calculate Intensity Score (wind + pressure errors) under the current profile
+ * @param {number} windError - Wind speed error in mph
+ * @param {number} pressureError - Pressure error in mb
+ * @returns {number} Score from 0 to 1000 (the v3 change bonus is scored separately)
+ */
 function calculateIntensityScore(windError, pressureError) {
   // Weight: winds are harder to predict than pressure
-  // Wind contributes 60%, pressure 40%
-  const windScore = 600 * Math.exp(-0.02 * Math.abs(windError));
-  const pressureScore = 400 * Math.exp(-0.05 * Math.abs(pressureError));
-  const totalScore = windScore + pressureScore;
-  return Math.round(Math.max(0, totalScore));
+  // v1 and v3: wind contributes 600 pts, pressure 400 (v2: 500 / 500)
+  return scoreIntensity(getScoringProfile(), windError, pressureError);
 }
 
 /**
- * Get current active storm based on time rotation
- * @param {Array} historicalStorms - Array of storm objects
- * @param {Date} currentTime - Current time (defaults to now)
- * @returns {Object|null} Active storm or null if none active
+ * Get the Saffir-Simpson category for a sustained wind speed
+ * @param {number} windSpeed - Sustained wind in mph
+ * @returns {number} Category 1-5, or 0 below hurricane strength
  */
-function getCurrentStorm(historicalStorms, currentTime = new Date()) {
-  if (!historicalStorms || historicalStorms.length === 0) return null;
+function getSaffirSimpsonCategory(windSpeed) {
+  const match = SAFFIR_SIMPSON_THRESHOLDS.find(t => Number(windSpeed) >= t.minWindMph);
+  return match ? match.category : 0;
+}
 
-  const now = currentTime;
+/**
+ * Classify a wind change between two timeframes
+ * Changes within ±steadyMph are steady; beyond ±rapidMph they are rapid
+ * (rapid intensification is the >25 mph jump the RI badge rewards).
+ * @param {Object} profile - Scoring profile with a `change` section
+ * @param {number} windChange - Wind change in mph (positive when strengthening)
+ * @returns {string} rapid_intensification, strengthening, steady, weakening or rapid_weakening
+ */
+function classifyIntensityChange(profile, windChange) {
+  const { steadyMph, rapidMph } = profile.change;
+  if (windChange > rapidMph) return 'rapid_intensification';
+  if (windChange > steadyMph) return 'strengthening';
+  if (windChange < -rapidMph) return 'rapid_weakening';
+  if (windChange < -steadyMph) return 'weakening';
+  return 'steady';
+}
+
+/**
+ * Calculate the intensity-change score under a specific scoring profile
+ * Points for the right Saffir-Simpson category, for the right direction of
+ * change from the previous verified timeframe, and for the right size of
+ * change (steady, gradual or rapid). Profiles without a `change` section
+ * score 0, and without a previous timeframe only the category counts.
+ * @param {Object} profile - Scoring profile from getScoringProfile
+ * @param {number} predictedWindSpeed - Predicted wind in mph
+ * @param {Object} actual - Verified { windSpeed }; its category comes from the wind, as the prediction's does
+ * @param {Object|null} previous - Previous verified timeframe { windSpeed }
+ * @returns {Object} { changeScore, predictedCategory, actualCategory, predictedChange, actualChange }
+ */
+function scoreIntensityChange(profile, predictedWindSpeed, actual, previous = null) {
+  const predictedCategory = getSaffirSimpsonCategory(predictedWindSpeed);
+  const actualCategory = getSaffirSimpsonCategory(actual.windSpeed);
+  const result = { changeScore: 0, predictedCategory, actualCategory, predictedChange: null, actualChange: null };
 
-  // Find which storm should be active based on gameStart times
-  for (const storm of historicalStorms) {
-    const stormStart = new Date(storm.gameStart);
-    const stormEnd = new Date(storm.gameEnd);
+  if (!profile.change) return result;
 
-    if (now >= stormStart && now < stormEnd) {
-      return storm;
+  const { categoryPoints, directionPoints, sizePoints } = profile.change;
+  if (predictedCategory === actualCategory) result.changeScore += categoryPoints;
+
+  if (previous && isPresent(previous.windSpeed)) {
+    const before = Number(previous.windSpeed);
+    result.predictedChange = classifyIntensityChange(profile, Number(predictedWindSpeed) - before);
+    result.actualChange = classifyIntensityChange(profile, Number(actual.windSpeed) - before);
+
+    if (INTENSITY_CHANGE_DIRECTIONS[result.predictedChange] === INTENSITY_CHANGE_DIRECTIONS[result.actualChange]) {
+      result.changeScore += directionPoints;
     }
+    if (result.predictedChange === result.actualChange) result.changeScore += sizePoints;
+  }
+
+  return result;
+}
+
+/**
+ * Score one prediction against the verified data for its timeframe
+ * A cone radius (radiusNm) and a wind range (windMin..windMax) are optional;
+ * without them the prediction is scored as a point.
+ * @param {Object} prediction - Predicted { lat, lon, windSpeed, pressure, radiusNm, windMin, windMax }
+ * @param {Object} actual - Verified { lat, lon, windSpeed, pressure, category }
+ * @param {Object} profile - Scoring profile (defaults to the current profile)
+ * @param {Object|null} previous - Previous verified timeframe, for the intensity-change score
+ * @returns {Object} { distanceError, windError, pressureError, trackScore, intensityScore, changeScore, totalScore, scoringVersion, ... }
+ */
+function scorePrediction(prediction, actual, profile = getScoringProfile(), previous = null) {
+  const distanceError = calculateDistance(
+    Number(prediction.lat),
+    Number(prediction.lon),
+    Number(actual.lat),
+    Number(actual.lon)
+  );
+  const windError = Math.abs(Number(prediction.windSpeed) - Number(actual.windSpeed));
+  const pressureError = Math.abs(Number(prediction.pressure) - Number(actual.pressure));
+
+  const radiusNm = Number(prediction.radiusNm) || 0;
+  const hasWindRange = isPresent(prediction.windMin) && isPresent(prediction.windMax);
+  const windRange = hasWindRange ? Number(prediction.windMax) - Number(prediction.windMin) : 0;
+  // A wind range is centred on its middle, not on the headline wind speed
+  const windCenter = hasWindRange
+    ? (Number(prediction.windMin) + Number(prediction.windMax)) / 2
+    : Number(prediction.windSpeed);
+
+  const trackScore = scoreTrack(profile, distanceError, radiusNm);
+  const intensityScore = scoreIntensity(
+    profile,
+    Math.abs(windCenter - Number(actual.windSpeed)),
+    pressureError,
+    windRange
+  );
+  const change = scoreIntensityChange(profile, windCenter, actual, previous);
+
+  return {
+    distanceError,
+    windError,
+    pressureError,
+    trackScore,
+    intensityScore,
+    ...change,
+    totalScore: trackScore + intensityScore + change.changeScore,
+    scoringVersion: profile.version
+  };
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+// Hit counts against CONE_COVERAGE: a miss rate beyond two binomial standard
+// errors of the target means the player's cones are too small (or too large)
+function summarizeHits(hits) {
+  const count = hits.length;
+  const inside = hits.filter(Boolean).length;
+  if (count === 0) {
+    return { count, inside, hitRate: null, verdict: 'no_data' };
   }
 
-  // If no storm matches, return the first one as fallback
-  return historicalStorms[0];
+  const hitRate = inside / count;
+  const margin = 2 * Math.sqrt(CONE_COVERAGE * (1 - CONE_COVERAGE) / count);
+  let verdict = 'calibrated';
+  if (count < MIN_CALIBRATION_SAMPLE) verdict = 'too_few';
+  else if (hitRate < CONE_COVERAGE - margin) verdict = 'overconfident';
+  else if (hitRate > CONE_COVERAGE + margin) verdict = 'underconfident';
+
+  return { count, inside, hitRate: Math.round(hitRate * 1000) / 1000, verdict };
+}
+
+/**
+ * Summarize how well a player's uncertainty is calibrated
+ * A calibrated player's verifying position lands inside the cone (and the
+ * verifying wind inside the range) about CONE_COVERAGE of the time.
+ * @param {Array} predictions - Scored rows (distance_error_nm, predicted_radius_nm,
+ *   predicted_wind_min, predicted_wind_max, actual_wind_speed)
+ * @returns {Object} { coverage, cone, windRange } - cone and windRange are
+ *   { count, inside, hitRate, verdict } plus the average radius or width;
+ *   verdict is calibrated, overconfident, underconfident, too_few or no_data
+ */
+function summarizeCalibration(predictions) {
+  const rows = predictions || [];
+  const cones = rows.filter(p => isPresent(p.predicted_radius_nm));
+  const ranges = rows.filter(p => isPresent(p.predicted_wind_min) && isPresent(p.predicted_wind_max));
+  const averageOf = values => values.length > 0
+    ? Math.round(values.reduce((total, v) => total + v, 0) / values.length * 10) / 10
+    : null;
+
+  return {
+    coverage: CONE_COVERAGE,
+    cone: {
+      ...summarizeHits(cones.map(p => Number(p.distance_error_nm) <= Number(p.predicted_radius_nm))),
+      avgRadiusNm: averageOf(cones.map(p => Number(p.predicted_radius_nm)))
+    },
+    windRange: {
+      ...summarizeHits(ranges.map(p =>
+        p.actual_wind_speed >= p.predicted_wind_min && p.actual_wind_speed <= p.predicted_wind_max)),
+      avgWidthMph: averageOf(ranges.map(p => p.predicted_wind_max - p.predicted_wind_min))
+    }
+  };
+}
+
+/**
+ * Get every storm whose game is running
+ * Runs in different basins can overlap, so several games may be active at once.
+ * @param {Array} historicalStorms - Scheduled storm objects (see utils/schedule.js)
+ * @param {Date} currentTime - Current time (defaults to now)
+ * @returns {Array} Active storms in schedule order (empty between games)
+ */
+function getActiveStorms(historicalStorms, currentTime = new Date()) {
+  if (!historicalStorms || historicalStorms.length === 0) return [];
+
+  return historicalStorms.filter(storm =>
+    currentTime >= new Date(storm.gameStart) && currentTime < new Date(storm.gameEnd)
+  );
+}
+
+/**
+ * Get current active storm based on time rotation
+ * With overlapping runs this is the first active game; use getActiveStorms for all of them.
+ * @param {Array} historicalStorms - Scheduled storm objects (see utils/schedule.js)
+ * @param {Date} currentTime - Current time (defaults to now)
+ * @returns {Object|null} Active storm or null if none active
+ */
+function getCurrentStorm(historicalStorms, currentTime = new Date()) {
+  // Between games or after the schedule runs out there is no active storm
+  return getActiveStorms(historicalStorms, currentTime)[0] || null;
+}
+
+/**
+ * Get the lead time of each prediction timeframe, in hours after game start
+ * Uses each timeframe's `leadHours` (set by the schedule) and falls back to
+ * 6-hour steps: 6, 12, 18, 24.
+ * @param {Object} storm - Storm object with timeframes
+ * @returns {Array<number>} Lead hours, one per prediction timeframe
+ */
+function getLeadHours(storm) {
+  if (!storm || !storm.timeframes) return [];
+
+  return storm.timeframes
+    .filter(tf => tf.type === 'prediction')
+    .map((tf, index) => (tf.leadHours !== undefined ? tf.leadHours : DEFAULT_TIMEFRAME_HOURS * (index + 1)));
 }
 
 /**
  * Determine which timeframe is currently active for a storm
+ * Each prediction timeframe is open from the previous lead time (game start
+ * for the first) until its own lead time.
  * @param {Object} storm - Storm object with gameStart and timeframes
  * @param {Date} currentTime - Current time (defaults to now)
- * @returns {string|null} Active timeframe ('0600', '1200', '1800', '0000') or null
+ * @returns {string|null} Active timeframe label (e.g. '0600') or null before/after the game
  */
 function getActiveTimeframe(storm, currentTime = new Date()) {
   if (!storm || !storm.timeframes) return null;
 
-  const now = currentTime;
-  const gameStart = new Date(storm.gameStart);
-
-  // Calculate hours since game start
-  const hoursSinceStart = (now - gameStart) / (1000 * 60 * 60);
-
-  // Determine active timeframe based on time
-  if (hoursSinceStart < 0) {
-    return null; // Game hasn't started yet
-  } else if (hoursSinceStart < 6) {
-    return '0600'; // 0000-0559: predict 0600
-  } else if (hoursSinceStart < 12) {
-    return '1200'; // 0600-1159: predict 1200
-  } else if (hoursSinceStart < 18) {
-    return '1800'; // 1200-1759: predict 1800
-  } else if (hoursSinceStart < 24) {
-    return '0000'; // 1800-2359: predict next 0000
-  } else {
-    return null; // Game ended
+  const active = storm.timeframes
+    .filter(tf => tf.type === 'prediction')
+    .find(tf => {
+      const window = getTimeframeWindow(storm, tf.timeframe);
+      return currentTime >= window.unlockAt && currentTime < window.lockAt;
+    });
+
+  return active ? active.timeframe : null;
+}
+
+/**
+ * Get the submission window for a prediction timeframe
+ * Uses the same windows as getActiveTimeframe: a timeframe unlocks at the
+ * previous timeframe's lead time and locks at its own.
+ * @param {Object} storm - Storm object with gameStart and timeframes
+ * @param {string} timeframe - Prediction timeframe label
+ * @returns {Object|null} { unlockAt, lockAt } as Dates, or null if unknown
+ */
+function getTimeframeWindow(storm, timeframe) {
+  if (!storm || !storm.timeframes) return null;
+
+  const index = storm.timeframes
+    .filter(tf => tf.type === 'prediction')
+    .findIndex(tf => tf.timeframe === timeframe);
+  if (index === -1) return null;
+
+  const gameStart = new Date(storm.gameStart).getTime();
+  const leadHours = getLeadHours(storm);
+  const hourMs = 60 * 60 * 1000;
+
+  return {
+    unlockAt: new Date(gameStart + (index === 0 ? 0 : leadHours[index - 1]) * hourMs),
+    lockAt: new Date(gameStart + leadHours[index] * hourMs)
+  };
+}
+
+/**
+ * Get the timeframes an extended forecast covers when issued at a timeframe's
+ * unlock: every later prediction timeframe, with its lead time, the hours from
+ * the issuing timeframe unlocking to the target timeframe verifying
+ * @param {Object} storm - Storm object with gameStart and timeframes
+ * @param {string} issuedTimeframe - Timeframe the forecast is issued with
+ * @returns {Array<Object>} { timeframe, leadHours } in verification order
+ */
+function getExtendedTimeframes(storm, issuedTimeframe) {
+  const issued = getTimeframeWindow(storm, issuedTimeframe);
+  if (!issued) return [];
+
+  const timeframes = getPredictionTimeframes(storm);
+  const index = timeframes.findIndex(tf => tf.timeframe === issuedTimeframe);
+  return timeframes.slice(index + 1).map(tf => ({
+    timeframe: tf.timeframe,
+    leadHours: Math.round((getTimeframeWindow(storm, tf.timeframe).lockAt - issued.unlockAt) / (60 * 60 * 1000))
+  }));
+}
+
+/**
+ * Check whether a submitted prediction can still be revised
+ * Revisions are allowed while its timeframe is the active one and it has not
+ * been scored; once the window locks the last revision is what gets scored.
+ * @param {Object} storm - Storm the prediction belongs to
+ * @param {Object} prediction - Prediction row { storm_id, timeframe, score }
+ * @param {Date} currentTime - Reference time (defaults to now)
+ * @returns {boolean} True if the prediction can be edited
+ */
+function canRevisePrediction(storm, prediction, currentTime = new Date()) {
+  if (!storm || !prediction || prediction.storm_id !== storm.id) return false;
+  if (prediction.score !== null && prediction.score !== undefined) return false;
+
+  return getActiveTimeframe(storm, currentTime) === prediction.timeframe;
+}
+
+/**
+ * Build the id a new prediction is stored under
+ * At the longest username and game id it stays within PREDICTION_ID_MAX_LENGTH.
+ * @param {string} username - Player
+ * @param {string} stormId - Game id
+ * @param {string} timeframe - Prediction timeframe label
+ * @param {Date} submittedAt - Submission time (defaults to now)
+ * @returns {string} Prediction id
+ */
+function createPredictionId(username, stormId, timeframe, submittedAt = new Date()) {
+  return `${username}-${stormId}-${timeframe}-${new Date(submittedAt).getTime()}`;
+}
+
+/**
+ * Get the prediction timeframes of a storm that are ready to score:
+ * their window has locked and they have not been scored yet
+ * @param {Object} storm - Storm object with gameStart and timeframes
+ * @param {Date} now - Reference time (defaults to now)
+ * @param {Array<string>} scoredTimeframes - Timeframes already in the scoring ledger
+ * @returns {Array<Object>} Due timeframe objects (with verified data), in order
+ */
+function getDueTimeframes(storm, now = new Date(), scoredTimeframes = []) {
+  if (!storm || !storm.timeframes) return [];
+
+  const scored = new Set(scoredTimeframes);
+  return storm.timeframes.filter(tf => {
+    if (tf.type !== 'prediction' || scored.has(tf.timeframe)) return false;
+    const window = getTimeframeWindow(storm, tf.timeframe);
+    return window.lockAt <= now;
+  });
+}
+
+/**
+ * Seconds between a timeframe unlocking and a prediction being submitted
+ * @param {Object} storm - Storm object with gameStart and timeframes
+ * @param {string} timeframe - Prediction timeframe label
+ * @param {Date} submittedAt - Submission time (defaults to now)
+ * @returns {number|null} Latency in whole seconds, or null if unknown
+ */
+function getUnlockLatencySeconds(storm, timeframe, submittedAt = new Date()) {
+  const window = getTimeframeWindow(storm, timeframe);
+  if (!window) return null;
+
+  return Math.max(0, Math.floor((submittedAt - window.unlockAt) / 1000));
+}
+
+/**
+ * Check whether a string is an IANA time zone this runtime understands
+ * @param {string} timeZone - e.g. 'America/Chicago'
+ * @returns {boolean} Whether the zone is valid
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
   }
 }
 
+/**
+ * Get the wall-clock hour (0-23) of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Local hour
+ */
+function getLocalHour(date, timeZone) {
+  const hour = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).format(date);
+  return parseInt(hour, 10);
+}
+
+/**
+ * Submission timing badge rules
+ *   latencySeconds - seconds since the timeframe unlocked
+ *   localHour - hour of submission in the player's time zone (null if unknown)
+ */
+const TIMING_BADGE_RULES = [
+  { badgeId: 'early_bird', check: ctx => ctx.latencySeconds !== null && ctx.latencySeconds <= 3600 },
+  { badgeId: 'speed_demon', check: ctx => ctx.latencySeconds !== null && ctx.latencySeconds <= 120 },
+  { badgeId: 'lightning_fast', check: ctx => ctx.latencySeconds !== null && ctx.latencySeconds <= 60 },
+  { badgeId: 'night_owl', check: ctx => ctx.localHour !== null && (ctx.localHour >= 22 || ctx.localHour < 6) },
+  { badgeId: 'early_morning', check: ctx => ctx.localHour !== null && ctx.localHour >= 5 && ctx.localHour < 7 }
+];
+
+/**
+ * Evaluate submission timing badges
+ * @param {Object} context - { latencySeconds, localHour }
+ * @returns {Array<string>} Badge ids whose rules pass
+ */
+function evaluateTimingBadges(context) {
+  const ctx = { latencySeconds: null, localHour: null, ...context };
+  return TIMING_BADGE_RULES
+    .filter(rule => rule.check(ctx))
+    .map(rule => rule.badgeId);
+}
+
+/**
+ * Build the client-safe view of a storm's timeframes
+ * The base point and any timeframe in the scoring ledger are returned in
+ * full; everything else is replaced by a locked placeholder, so verifying
+ * data never leaves the server before the timeframe has been scored, even
+ * if scoring runs late after its window locks.
+ * @param {Object} storm - Storm object with gameStart and timeframes
+ * @param {Array<string>} scoredTimeframes - Timeframes already in the scoring ledger
+ * @returns {Array} Timeframes with unscored actuals redacted
+ */
+function getRevealedTimeframes(storm, scoredTimeframes = []) {
+  if (!storm || !storm.timeframes) return [];
+
+  return storm.timeframes.map(tf => {
+    if (tf.type === 'base') {
+      return { ...tf, locked: false };
+    }
+
+    const window = getTimeframeWindow(storm, tf.timeframe);
+    const schedule = {
+      unlockAt: window.unlockAt.toISOString(),
+      lockAt: window.lockAt.toISOString()
+    };
+
+    if (scoredTimeframes.includes(tf.timeframe)) {
+      return { ...tf, ...schedule, locked: false };
+    }
+
+    return {
+      timeframe: tf.timeframe,
+      type: tf.type,
+      time: tf.time,
+      ...schedule,
+      locked: true
+    };
+  });
+}
+
+/**
+ * Get the timeframes players predict for (everything except the base point)
+ * @param {Object} storm - Storm object with timeframes
+ * @returns {Array} Prediction timeframes in verification order
+ */
+function getPredictionTimeframes(storm) {
+  if (!storm || !storm.timeframes) return [];
+  return storm.timeframes.filter(tf => tf.type === 'prediction');
+}
+
+/**
+ * Get the verified point immediately before a prediction timeframe
+ * (the base point for the first timeframe)
+ * @param {Object} storm - Storm object with timeframes
+ * @param {string} timeframe - Prediction timeframe label
+ * @returns {Object|null} Previous timeframe data or null if not found
+ */
+function getPreviousTimeframe(storm, timeframe) {
+  if (!storm || !storm.timeframes) return null;
+
+  const index = storm.timeframes.findIndex(tf => tf.type === 'prediction' && tf.timeframe === timeframe);
+  return index > 0 ? storm.timeframes[index - 1] : null;
+}
+
+/**
+ * Summarize a player's scored predictions for count-based badges
+ * @param {Array} predictions - Scored prediction rows (predicted_* and actual_* columns)
+ * @returns {Object} Counts of predictions meeting each accuracy threshold
+ */
+function summarizePredictionHistory(predictions) {
+  const summary = {
+    within50NM: 0,
+    windWithin10: 0,
+    windWithin5: 0
+  };
+
+  (predictions || []).forEach(pred => {
+    const distance = calculateDistance(
+      Number(pred.predicted_lat), Number(pred.predicted_lon),
+      Number(pred.actual_lat), Number(pred.actual_lon)
+    );
+    const windError = Math.abs(pred.predicted_wind_speed - pred.actual_wind_speed);
+
+    if (distance <= 50) summary.within50NM++;
+    if (windError <= 10) summary.windWithin10++;
+    if (windError <= 5) summary.windWithin5++;
+  });
+
+  return summary;
+}
+
+/**
+ * Performance badge rules, evaluated after each prediction is scored.
+ * Every rule receives the same context:
+ *   distanceError / windError / pressureError - errors for this prediction (NM, mph, mb)
+ *   actualWindChange / predictedWindChange - change from the previous verified point (mph)
+ *   history - summarizePredictionHistory() over all scored predictions, including this one
+ *   storm - { completed, hadCategory5, averageScore } for the player's run of this storm
+ */
+const PERFORMANCE_BADGE_RULES = [
+  { badgeId: 'sharpshooter_bronze', check: ctx => ctx.distanceError <= 50 },
+  { badgeId: 'sharpshooter_silver', check: ctx => ctx.history.within50NM >= 3 },
+  { badgeId: 'sharpshooter_gold', check: ctx => ctx.history.within50NM >= 10 },
+  { badgeId: 'bullseye', check: ctx => ctx.distanceError <= 25 },
+  { badgeId: 'laser_precision', check: ctx => ctx.distanceError <= 10 },
+  { badgeId: 'intensity_expert_bronze', check: ctx => ctx.windError <= 10 },
+  { badgeId: 'intensity_expert_silver', check: ctx => ctx.history.windWithin10 >= 3 },
+  { badgeId: 'intensity_expert_gold', check: ctx => ctx.history.windWithin5 >= 5 },
+  { badgeId: 'pressure_perfect', check: ctx => ctx.pressureError <= 3 },
+  { badgeId: 'close_call', check: ctx => ctx.distanceError <= 5 && ctx.windError > 30 },
+  {
+    badgeId: 'rapid_intensification',
+    check: ctx => ctx.actualWindChange > 25 && ctx.predictedWindChange > 25
+  },
+  {
+    // "Score >1500" is read per timeframe: the storm average must beat 1500
+    badgeId: 'cat5_survivor',
+    check: ctx => ctx.storm.completed && ctx.storm.hadCategory5 && ctx.storm.averageScore > 1500
+  }
+];
+
+function buildBadgeContext(context) {
+  return {
+    distanceError: Infinity,
+    windError: Infinity,
+    pressureError: Infinity,
+    actualWindChange: 0,
+    predictedWindChange: 0,
+    ...context,
+    history: { within50NM: 0, windWithin10: 0, windWithin5: 0, ...(context.history || {}) },
+    storm: { completed: false, hadCategory5: false, averageScore: 0, ...(context.storm || {}) }
+  };
+}
+
+/**
+ * Check a single performance badge rule
+ * @param {string} badgeId - Badge identifier
+ * @param {Object} context - Badge context (see PERFORMANCE_BADGE_RULES)
+ * @returns {boolean} Whether the rule passes; false for unknown badges
+ */
+function checkBadgeRule(badgeId, context) {
+  const rule = PERFORMANCE_BADGE_RULES.find(r => r.badgeId === badgeId);
+  return rule ? rule.check(buildBadgeContext(context)) : false;
+}
+
+/**
+ * Evaluate every performance badge rule for a scored prediction
+ * @param {Object} context - Badge context (see PERFORMANCE_BADGE_RULES)
+ * @returns {Array<string>} Badge ids whose rules pass
+ */
+function evaluatePerformanceBadges(context) {
+  const ctx = buildBadgeContext(context);
+  return PERFORMANCE_BADGE_RULES
+    .filter(rule => rule.check(ctx))
+    .map(rule => rule.badgeId);
+}
+
 /**
  * Check if a badge should be awarded based on criteria
  * @param {Object} stats - User statistics
@@ -149,10 +781,41 @@ function shouldAwardBadge(stats, badgeId) {
 }
 
 module.exports = {
+  getScoringProfile,
+  listScoringProfiles,
   calculateDistance,
+  kernelScore,
+  scoreTrack,
+  scoreIntensity,
   calculateTrackScore,
   calculateIntensityScore,
+  getSaffirSimpsonCategory,
+  classifyIntensityChange,
+  scoreIntensityChange,
+  scorePrediction,
+  CONE_COVERAGE,
+  summarizeCalibration,
+  getActiveStorms,
   getCurrentStorm,
+  getLeadHours,
+  PREDICTION_ID_MAX_LENGTH,
+  createPredictionId,
   getActiveTimeframe,
+  getTimeframeWindow,
+  getExtendedTimeframes,
+  canRevisePrediction,
+  getDueTimeframes,
+  getUnlockLatencySeconds,
+  isValidTimeZone,
+  getLocalHour,
+  TIMING_BADGE_RULES,
+  evaluateTimingBadges,
+  getRevealedTimeframes,
+  getPredictionTimeframes,
+  getPreviousTimeframe,
+  summarizePredictionHistory,
+  PERFORMANCE_BADGE_RULES,
+  checkBadgeRule,
+  evaluatePerformanceBadges,
   shouldAwardBadge
 };
@@ -0,0 +1,136 @@
+/**
+ * Landfall Utilities
+ * Pure functions for landfall predictions: where a point sits along the
+ * coastline, whether predictions are still open, and landfall scoring
+ */
+
+const { calculateDistance } = require('./gameLogic');
+const coastline = require('../coastline.json');
+
+// Points for a landfall prediction: where along the coast, when, and how
+// strong at landfall. Same exponential decay as the timeframe scores; 2000 max.
+// A point up to offshoreToleranceNm out to sea counts where it comes ashore;
+// any distance beyond that adds to the location error.
+const LANDFALL_SCORING = {
+  location: { maxPoints: 1000, decayPerNM: 0.01, offshoreToleranceNm: 25 },
+  timing: { maxPoints: 500, decayPerHour: 0.1 },
+  intensity: { maxPoints: 500, decayPerMph: 0.02 }
+};
+
+/**
+ * Find where a point sits along the coastline
+ * The point is moved to the nearest spot on the coast, so a landfall called
+ * a little offshore counts where it would come ashore.
+ * @param {number} lat - Point latitude
+ * @param {number} lon - Point longitude
+ * @param {Array<Array<number>>} coast - [lat, lon] points in order along the coast
+ * @returns {Object} { alongNm, offshoreNm, lat, lon } - alongNm is measured from the first coast point
+ */
+function locateOnCoast(lat, lon, coast = coastline.points) {
+  let best = null;
+  let segmentStartNm = 0;
+
+  for (let i = 0; i < coast.length - 1; i++) {
+    const [lat1, lon1] = coast[i];
+    const [lat2, lon2] = coast[i + 1];
+
+    // Flat projection around the segment, fine over a few hundred NM
+    const scale = Math.cos((lat1 + lat2) / 2 * Math.PI / 180);
+    const dx = (lon2 - lon1) * scale;
+    const dy = lat2 - lat1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+      ? Math.min(1, Math.max(0, ((lon - lon1) * scale * dx + (lat - lat1) * dy) / lengthSquared))
+      : 0;
+
+    const nearestLat = lat1 + t * (lat2 - lat1);
+    const nearestLon = lon1 + t * (lon2 - lon1);
+    const offshoreNm = calculateDistance(lat, lon, nearestLat, nearestLon);
+    const segmentNm = calculateDistance(lat1, lon1, lat2, lon2);
+
+    if (!best || offshoreNm < best.offshoreNm) {
+      best = { alongNm: segmentStartNm + t * segmentNm, offshoreNm, lat: nearestLat, lon: nearestLon };
+    }
+    segmentStartNm += segmentNm;
+  }
+
+  return best;
+}
+
+/**
+ * Distance between two points measured along the coastline
+ * @param {Object} from - { lat, lon }
+ * @param {Object} to - { lat, lon }
+ * @param {Array<Array<number>>} coast - Coastline points (defaults to coastline.json)
+ * @returns {number} Distance in nautical miles
+ */
+function alongCoastDistance(from, to, coast = coastline.points) {
+  const a = locateOnCoast(Number(from.lat), Number(from.lon), coast);
+  const b = locateOnCoast(Number(to.lat), Number(to.lon), coast);
+  return Math.abs(a.alongNm - b.alongNm);
+}
+
+/**
+ * Check whether a game still takes landfall predictions
+ * @param {Object} storm - Scheduled storm (landfallCutoff is null without recorded landfalls)
+ * @param {Date} currentTime - Reference time (defaults to now)
+ * @returns {boolean} True until the cutoff passes
+ */
+function isLandfallOpen(storm, currentTime = new Date()) {
+  return !!(storm && storm.landfallCutoff) && currentTime < new Date(storm.landfallCutoff);
+}
+
+/**
+ * Score a landfall prediction against a storm's recorded landfalls
+ * Each landfall is scored and the best match counts, so a storm that comes
+ * ashore more than once rewards calling any of its landfalls. The location
+ * error is the distance along the coast plus how far the point lies offshore
+ * beyond the tolerance.
+ * @param {Object} prediction - { lat, lon, hoursAfterBase, windSpeed }
+ * @param {Array<Object>} landfalls - Recorded { lat, lon, hoursAfterBase, windSpeed } from storms.json
+ * @param {Array<Array<number>>} coast - Coastline points (defaults to coastline.json)
+ * @returns {Object|null} { landfallIndex, alongCoastErrorNm, offshoreErrorNm, timingErrorHours, windError,
+ *   locationScore, timingScore, intensityScore, totalScore }, or null without landfalls
+ */
+function scoreLandfall(prediction, landfalls, coast = coastline.points) {
+  const { location, timing, intensity } = LANDFALL_SCORING;
+  const { offshoreNm } = locateOnCoast(Number(prediction.lat), Number(prediction.lon), coast);
+  const offshoreErrorNm = Math.max(0, offshoreNm - location.offshoreToleranceNm);
+  let best = null;
+
+  (landfalls || []).forEach((landfall, landfallIndex) => {
+    const alongCoastErrorNm = alongCoastDistance(prediction, landfall, coast);
+    const timingErrorHours = Math.abs(Number(prediction.hoursAfterBase) - landfall.hoursAfterBase);
+    const windError = Math.abs(Number(prediction.windSpeed) - landfall.windSpeed);
+
+    const locationErrorNm = alongCoastErrorNm + offshoreErrorNm;
+    const locationScore = Math.round(location.maxPoints * Math.exp(-location.decayPerNM * locationErrorNm));
+    const timingScore = Math.round(timing.maxPoints * Math.exp(-timing.decayPerHour * timingErrorHours));
+    const intensityScore = Math.round(intensity.maxPoints * Math.exp(-intensity.decayPerMph * windError));
+    const totalScore = locationScore + timingScore + intensityScore;
+
+    if (!best || totalScore > best.totalScore) {
+      best = {
+        landfallIndex,
+        alongCoastErrorNm,
+        offshoreErrorNm,
+        timingErrorHours,
+        windError,
+        locationScore,
+        timingScore,
+        intensityScore,
+        totalScore
+      };
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  LANDFALL_SCORING,
+  locateOnCoast,
+  alongCoastDistance,
+  isLandfallOpen,
+  scoreLandfall
+};
@@ -0,0 +1,104 @@
+/**
+ * Migration Utilities
+ * Decides which schema migrations still need to run. Migrations live in
+ * backend/migrations as numbered files (`001_create_predictions.js`) that run
+ * once, in order, plus repeatable files (`R__badge_definitions.js`) that run
+ * after them whenever their contents change. What has run is recorded in the
+ * schema_migrations table (see migrate.js).
+ */
+
+const crypto = require('crypto');
+
+const VERSIONED_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+const REPEATABLE_PATTERN = /^R__([a-z0-9_]+)\.js$/;
+
+/**
+ * Parse a migration filename
+ * @param {string} filename - File name inside the migrations directory
+ * @returns {Object|null} { version, name, repeatable }, or null if it isn't a migration
+ */
+function parseMigrationFilename(filename) {
+  const versioned = VERSIONED_PATTERN.exec(filename);
+  if (versioned) {
+    return { version: versioned[1], name: versioned[2], repeatable: false };
+  }
+
+  const repeatable = REPEATABLE_PATTERN.exec(filename);
+  if (repeatable) {
+    return { version: `R__${repeatable[1]}`, name: repeatable[1], repeatable: true };
+  }
+
+  return null;
+}
+
+/**
+ * Checksum a migration file's contents
+ * @param {string} content - File contents
+ * @returns {string} Hex SHA-256 digest
+ */
+function computeChecksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Work out which migrations to run
+ * Versioned migrations run once, in numeric order. Repeatable migrations run
+ * after all of them, whenever they are new or their checksum has changed.
+ * An applied versioned migration whose file was edited or deleted is not
+ * re-run; it is reported in `warnings` instead.
+ * @param {Array<Object>} available - { version, name, repeatable, checksum } for each file
+ * @param {Array<Object>} applied - schema_migrations rows ({ version, checksum })
+ * @returns {Object} { pending, warnings }
+ */
+function planMigrations(available, applied) {
+  const appliedByVersion = new Map((applied || []).map(row => [row.version, row]));
+  const warnings = [];
+
+  const versioned = (available || [])
+    .filter(migration => !migration.repeatable)
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  // 001_a and 1_b would both be version 1; refuse to guess which runs first
+  versioned.forEach((migration, index) => {
+    if (index > 0 && Number(migration.version) === Number(versioned[index - 1].version)) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  const repeatable = (available || [])
+    .filter(migration => migration.repeatable)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const pending = [];
+
+  versioned.forEach(migration => {
+    const row = appliedByVersion.get(migration.version);
+    if (!row) {
+      pending.push(migration);
+    } else if (row.checksum !== migration.checksum) {
+      warnings.push(`Migration ${migration.version}_${migration.name} was changed after it was applied`);
+    }
+  });
+
+  repeatable.forEach(migration => {
+    const row = appliedByVersion.get(migration.version);
+    if (!row || row.checksum !== migration.checksum) {
+      pending.push(migration);
+    }
+  });
+
+  const known = new Set((available || []).map(migration => migration.version));
+  appliedByVersion.forEach((row, version) => {
+    if (!known.has(version)) {
+      warnings.push(`Applied migration ${version} has no file`);
+    }
+  });
+
+  return { pending, warnings };
+}
+
+module.exports = {
+  parseMigrationFilename,
+  computeChecksum,
+  planMigrations
+};
@@ -0,0 +1,67 @@
+/**
+ * Practice Utilities
+ * Self-paced replays of archived storms. A practice run has no clock: each
+ * prediction timeframe unlocks as soon as the previous one is submitted, and
+ * its verifying data is revealed once it has been scored.
+ */
+
+const { getPredictionTimeframes } = require('./gameLogic');
+
+/**
+ * Get the library storms that can be practiced
+ * A storm is archived once it has been played and no scheduled game of it is
+ * still running or to come, so practice never spoils a competitive game.
+ * @param {Array<Object>} library - Storms from storms.json
+ * @param {Array<Object>} games - Scheduled games (see utils/schedule.js)
+ * @param {Date} currentTime - Reference time (defaults to now)
+ * @returns {Array<Object>} Archived library storms, in library order
+ */
+function getPracticeStorms(library, games, currentTime = new Date()) {
+  const played = new Set();
+  const pending = new Set();
+
+  (games || []).forEach(game => {
+    (new Date(game.gameEnd) <= currentTime ? played : pending).add(game.stormId);
+  });
+
+  return (library || []).filter(storm => played.has(storm.id) && !pending.has(storm.id));
+}
+
+/**
+ * Get the timeframe a practice run is waiting on
+ * @param {Object} storm - Library storm
+ * @param {Array<string>} submittedTimeframes - Timeframes already submitted in the run
+ * @returns {string|null} Next timeframe label, or null when the run is complete
+ */
+function getNextPracticeTimeframe(storm, submittedTimeframes) {
+  const submitted = new Set(submittedTimeframes || []);
+  const next = getPredictionTimeframes(storm).find(tf => !submitted.has(tf.timeframe));
+  return next ? next.timeframe : null;
+}
+
+/**
+ * Get a practice run's timeframes with unsubmitted ones hidden
+ * Mirrors getRevealedTimeframes: the base point and every submitted timeframe
+ * carry their data; the rest are locked placeholders.
+ * @param {Object} storm - Library storm
+ * @param {Array<string>} submittedTimeframes - Timeframes already submitted in the run
+ * @returns {Array<Object>} Timeframes safe to send to the player
+ */
+function getPracticeTimeframes(storm, submittedTimeframes) {
+  if (!storm || !storm.timeframes) return [];
+  const submitted = new Set(submittedTimeframes || []);
+
+  return storm.timeframes.map(tf => {
+    if (tf.type === 'base' || submitted.has(tf.timeframe)) {
+      return { ...tf, locked: false };
+    }
+
+    return { timeframe: tf.timeframe, type: tf.type, locked: true };
+  });
+}
+
+module.exports = {
+  getPracticeStorms,
+  getNextPracticeTimeframe,
+  getPracticeTimeframes
+};
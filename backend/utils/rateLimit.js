@@ -0,0 +1,180 @@
+/**
+ * Rate Limiting Utilities
+ * Fixed-window request limits per IP and per signed-in user, plus a tracker
+ * for bursts of new usernames from one IP. Counters live in a store with a
+ * single `increment(key, windowMs, now)` method (sync or async), so the
+ * in-memory store can be swapped for a shared one (e.g. Redis) when running
+ * more than one instance.
+ */
+
+// Default limits per route group: max requests per window, per IP and per user.
+// For auth the "user" is the account being signed in to, so password guessing
+// against one account is throttled even when spread over many IPs.
+const DEFAULT_RATE_LIMITS = {
+  predictions: { windowMs: 60 * 1000, ipMax: 60, userMax: 20 },
+  profile: { windowMs: 60 * 1000, ipMax: 30, userMax: 10 },
+  auth: { windowMs: 15 * 60 * 1000, ipMax: 20, userMax: 10 },
+  admin: { windowMs: 60 * 1000, ipMax: 30, userMax: null }
+};
+
+/**
+ * Build the rate limit config, overriding defaults from the environment
+ * RATE_LIMIT_<GROUP>=<ipMax>/<userMax>/<windowSeconds>, e.g.
+ * RATE_LIMIT_PREDICTIONS=120/30/60. Leave a part empty to keep its default.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} { group: { windowMs, ipMax, userMax } }
+ */
+function getRateLimitConfig(env = process.env) {
+  const config = {};
+
+  Object.entries(DEFAULT_RATE_LIMITS).forEach(([group, defaults]) => {
+    const override = env[`RATE_LIMIT_${group.toUpperCase()}`];
+    const [ipMax, userMax, windowSeconds] = (override || '').split('/').map(part => parseInt(part, 10));
+
+    config[group] = {
+      windowMs: windowSeconds > 0 ? windowSeconds * 1000 : defaults.windowMs,
+      ipMax: ipMax > 0 ? ipMax : defaults.ipMax,
+      userMax: userMax > 0 ? userMax : defaults.userMax
+    };
+  });
+
+  return config;
+}
+
+/**
+ * Create an in-memory counter store (single process only)
+ * Expired windows are swept at most once per minute.
+ * @returns {Object} Store with increment(key, windowMs, now) and reset(key)
+ */
+function createMemoryStore() {
+  const windows = new Map();
+  let nextSweep = 0;
+
+  return {
+    increment(key, windowMs, now = Date.now()) {
+      if (now >= nextSweep) {
+        windows.forEach((entry, entryKey) => {
+          if (entry.resetAt <= now) windows.delete(entryKey);
+        });
+        nextSweep = now + 60 * 1000;
+      }
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    reset(key) {
+      windows.delete(key);
+    },
+
+    size() {
+      return windows.size;
+    }
+  };
+}
+
+/**
+ * Seconds until a window resets, for the Retry-After header
+ * @param {number} resetAt - Window reset time (ms since epoch)
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {number} Whole seconds, at least 1
+ */
+function getRetryAfterSeconds(resetAt, now = Date.now()) {
+  return Math.max(1, Math.ceil((resetAt - now) / 1000));
+}
+
+// The account a request counts against: the signed-in user (set by requireAuth)
+function getSignedInAccount(req) {
+  return req.user ? req.user.username : null;
+}
+
+/**
+ * Create Express middleware enforcing one route group's limits
+ * Counts every request against the client IP and, when there is one, against
+ * the account too. Requests are counted before they are handled, so rejected
+ * ones (bad passwords, bad admin keys) use up the limit like any other.
+ * Over the limit it answers 429 { error, retryAfter } with a Retry-After header.
+ * @param {string} group - Route group name (used in counter keys)
+ * @param {Object} limits - { windowMs, ipMax, userMax }
+ * @param {Object} store - Counter store (see createMemoryStore)
+ * @param {Object} options - { getAccount(req) } picks the account to count against
+ *   (defaults to the signed-in user; sign-in routes pass the username being tried)
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter(group, limits, store, { getAccount = getSignedInAccount } = {}) {
+  return async (req, res, next) => {
+    try {
+      const now = Date.now();
+      const checks = [[`${group}:ip:${req.ip}`, limits.ipMax]];
+      const account = getAccount(req);
+      if (account && limits.userMax) {
+        checks.push([`${group}:user:${String(account).toLowerCase()}`, limits.userMax]);
+      }
+
+      for (const [key, max] of checks) {
+        const { count, resetAt } = await store.increment(key, limits.windowMs, now);
+        if (count > max) {
+          const retryAfter = getRetryAfterSeconds(resetAt, now);
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({ error: 'Too many requests, please slow down', retryAfter });
+        }
+      }
+
+      next();
+    } catch (error) {
+      // A broken limiter store shouldn't take the API down with it
+      console.error('Rate limiter error:', error);
+      next();
+    }
+  };
+}
+
+/**
+ * Create a tracker for bursts of new usernames from one IP
+ * record() returns flagged: true once per window, the first time an IP
+ * reaches `threshold` distinct new usernames within `windowMs`.
+ * @param {Object} options - { windowMs, threshold }
+ * @returns {Object} Tracker with record(ip, username, now) → { flagged, usernames }
+ */
+function createNewUsernameTracker({ windowMs = 60 * 60 * 1000, threshold = 5 } = {}) {
+  const byIp = new Map();
+  let nextSweep = 0;
+
+  return {
+    record(ip, username, now = Date.now()) {
+      if (now >= nextSweep) {
+        byIp.forEach((entries, entryIp) => {
+          if (entries.every(entry => entry.at <= now - windowMs)) byIp.delete(entryIp);
+        });
+        nextSweep = now + 60 * 1000;
+      }
+
+      const recent = (byIp.get(ip) || []).filter(entry => entry.at > now - windowMs);
+      const isNew = !recent.some(entry => entry.username === username);
+      if (isNew) {
+        recent.push({ username, at: now });
+      }
+      byIp.set(ip, recent);
+
+      return {
+        flagged: isNew && recent.length === threshold,
+        usernames: recent.map(entry => entry.username)
+      };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  getRateLimitConfig,
+  createMemoryStore,
+  getRetryAfterSeconds,
+  createRateLimiter,
+  createNewUsernameTracker
+};
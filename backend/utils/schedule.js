@@ -0,0 +1,218 @@
+/**
+ * Schedule Utilities
+ * Build game runs from the storm library: a playlist of storm ids, a local
+ * start date in the game time zone and a cadence in days. Game dates and
+ * timeframe times are derived here and never stored in storms.json.
+ */
+
+const { getLeadHours, isValidTimeZone } = require('./gameLogic');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_TIME_ZONE = 'UTC';
+const DEFAULT_START_TIME = '00:00';
+const DEFAULT_CADENCE_DAYS = 1;
+const DEFAULT_BASIN = 'atlantic';
+
+// Longest game id a run may produce; prediction ids are built from it and
+// must fit predictions.prediction_id (see createPredictionId)
+const MAX_GAME_ID_LENGTH = 100;
+
+/**
+ * Get a time zone's offset from UTC at an instant (DST aware)
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (e.g. -300 for America/Chicago in summer)
+ */
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+  const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a time zone to the instant it happens
+ * Ambiguous fall-back times resolve to their first occurrence; times
+ * skipped by a spring-forward change resolve to an hour earlier on the clock.
+ * @param {string} dateKey - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(dateKey, time, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at the wall-clock time, then correct once in case
+  // the guess landed on the other side of a DST change
+  const firstOffset = getTimeZoneOffsetMinutes(new Date(wallClock), timeZone);
+  const guess = wallClock - firstOffset * 60000;
+  const secondOffset = getTimeZoneOffsetMinutes(new Date(guess), timeZone);
+
+  return new Date(wallClock - secondOffset * 60000);
+}
+
+function addDays(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the id a scheduled game is stored under (predictions.storm_id)
+ * Runs with preserveStormIds keep the library id so predictions made before
+ * the schedule existed still match; other runs prefix the run id so replaying
+ * a storm never collides with an earlier game.
+ * @param {Object} run - Schedule run
+ * @param {string} stormId - Library storm id
+ * @returns {string} Game id
+ */
+function getGameId(run, stormId) {
+  return run.preserveStormIds ? stormId : `${run.id}-${stormId}`;
+}
+
+/**
+ * Place one library storm on the calendar
+ * The base point is at gameStart and each prediction timeframe verifies its
+ * lead time later. Lead times come from the run's `leadHours`, then the
+ * storm's own timeframes, then the 6-hourly default; the last one is the
+ * game length. Storms with recorded landfalls take landfall predictions
+ * until `landfallCutoffHours` into the game (the run's, defaulting to when
+ * the first prediction timeframe verifies).
+ * @param {Object} storm - Library storm { id, name, year, timeframes, landfalls }
+ * @param {Date} gameStart - When the game opens
+ * @param {Object} run - Schedule run the game belongs to
+ * @returns {Object} Storm with id, stormId, runId, gameStart, gameEnd, landfallCutoff and timed timeframes
+ * @throws {Error} If the lead times don't fit the storm's timeframes
+ */
+function scheduleStorm(storm, gameStart, run) {
+  const start = new Date(gameStart).getTime();
+  const leadHours = run.leadHours || getLeadHours(storm);
+  const predictionCount = storm.timeframes.filter(tf => tf.type === 'prediction').length;
+
+  if (leadHours.length !== predictionCount) {
+    throw new Error(`Run "${run.id}" has ${leadHours.length} lead times but ${storm.id} has ${predictionCount} prediction timeframes`);
+  }
+  if (leadHours.some((hours, i) => !(hours > (i === 0 ? 0 : leadHours[i - 1])))) {
+    throw new Error(`Lead times for ${storm.id} must be positive and increasing`);
+  }
+  if (run.landfallCutoffHours !== undefined && !(run.landfallCutoffHours > 0)) {
+    throw new Error(`Run "${run.id}" has an invalid landfallCutoffHours (must be positive)`);
+  }
+
+  const labels = storm.timeframes.filter(tf => tf.type === 'prediction').map(tf => tf.timeframe);
+  if (new Set(labels).size !== labels.length) {
+    throw new Error(`Prediction timeframe labels for ${storm.id} must be unique`);
+  }
+
+  let predictionIndex = 0;
+  const timeframes = storm.timeframes.map(tf => {
+    if (tf.type !== 'prediction') {
+      return { ...tf, time: new Date(start).toISOString() };
+    }
+
+    const lead = leadHours[predictionIndex++];
+    return { ...tf, leadHours: lead, time: new Date(start + lead * HOUR_MS).toISOString() };
+  });
+
+  return {
+    ...storm,
+    id: getGameId(run, storm.id),
+    stormId: storm.id,
+    runId: run.id,
+    gameStart: new Date(start).toISOString(),
+    gameEnd: new Date(start + leadHours[leadHours.length - 1] * HOUR_MS).toISOString(),
+    landfallCutoff: storm.landfalls && storm.landfalls.length > 0
+      ? new Date(start + (run.landfallCutoffHours || leadHours[0]) * HOUR_MS).toISOString()
+      : null,
+    timeframes
+  };
+}
+
+/**
+ * Build every game in the schedule
+ * Game N of a run starts at the run's local start time, N·cadenceDays
+ * calendar days after its start date, in the game time zone. Local midnight
+ * stays local midnight across DST changes. Runs are independent, so runs in
+ * different basins can overlap and several games can be active at once.
+ * @param {Array<Object>} library - Storms from storms.json
+ * @param {Object} schedule - { timeZone, runs: [{ id, startDate, startTime, cadenceDays, timeZone,
+ *   leadHours, landfallCutoffHours, playlist, preserveStormIds, basin }] }; a run's timeZone overrides the schedule's
+ * @returns {Array<Object>} Scheduled games sorted by gameStart
+ * @throws {Error} If a run is malformed, references an unknown storm, or repeats or overlong a game id
+ */
+function buildSchedule(library, schedule) {
+  const stormsById = new Map((library || []).map(storm => [storm.id, storm]));
+  const gameIds = new Set();
+  const games = [];
+
+  ((schedule && schedule.runs) || []).forEach(run => {
+    const timeZone = run.timeZone || schedule.timeZone || DEFAULT_TIME_ZONE;
+    const startTime = run.startTime || DEFAULT_START_TIME;
+    const cadenceDays = run.cadenceDays || DEFAULT_CADENCE_DAYS;
+    const basin = run.basin || DEFAULT_BASIN;
+
+    if (!run.id || !/^\d{4}-\d{2}-\d{2}$/.test(run.startDate || '') || !Array.isArray(run.playlist)) {
+      throw new Error(`Schedule run "${run.id}" needs an id, a startDate (YYYY-MM-DD) and a playlist`);
+    }
+    if (!/^\d{2}:\d{2}$/.test(startTime)) {
+      throw new Error(`Schedule run "${run.id}" has an invalid startTime (HH:MM)`);
+    }
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Schedule run "${run.id}" has an unknown time zone "${timeZone}"`);
+    }
+
+    run.playlist.forEach((stormId, index) => {
+      const storm = stormsById.get(stormId);
+      if (!storm) {
+        throw new Error(`Unknown storm "${stormId}" in schedule run "${run.id}"`);
+      }
+
+      const gameStart = zonedTimeToUtc(addDays(run.startDate, index * cadenceDays), startTime, timeZone);
+      const game = { ...scheduleStorm(storm, gameStart, run), timeZone, basin };
+      if (game.id.length > MAX_GAME_ID_LENGTH) {
+        throw new Error(`Game id "${game.id}" is longer than ${MAX_GAME_ID_LENGTH} characters`);
+      }
+      if (gameIds.has(game.id)) {
+        throw new Error(`Game "${game.id}" is scheduled more than once`);
+      }
+
+      gameIds.add(game.id);
+      games.push(game);
+    });
+  });
+
+  return games.sort((a, b) => new Date(a.gameStart) - new Date(b.gameStart));
+}
+
+/**
+ * Find the next game that has not started yet
+ * @param {Array<Object>} games - Output of buildSchedule
+ * @param {Date} currentTime - Reference time (defaults to now)
+ * @returns {Object|null} Next game, or null if the schedule has run out
+ */
+function getNextGame(games, currentTime = new Date()) {
+  return (games || []).find(game => new Date(game.gameStart) > currentTime) || null;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_BASIN,
+  MAX_GAME_ID_LENGTH,
+  getTimeZoneOffsetMinutes,
+  zonedTimeToUtc,
+  getGameId,
+  scheduleStorm,
+  buildSchedule,
+  getNextGame
+};
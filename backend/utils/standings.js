@@ -0,0 +1,189 @@
+/**
+ * Standings Utilities
+ * Pure functions for storm rankings and competitive badges
+ */
+
+/**
+ * Rank players by total score using competition ranking (ties share a rank: 1, 1, 3)
+ * @param {Array<Object>} entries - { username, totalScore, ... }
+ * @returns {Array<Object>} Entries sorted by score with a `rank` field added
+ */
+function rankStandings(entries) {
+  const sorted = [...(entries || [])].sort((a, b) =>
+    b.totalScore - a.totalScore || a.username.localeCompare(b.username)
+  );
+
+  let previous = null;
+  return sorted.map((entry, index) => {
+    const rank = previous && previous.totalScore === entry.totalScore ? previous.rank : index + 1;
+    previous = { ...entry, rank };
+    return previous;
+  });
+}
+
+/**
+ * Build final standings for a storm from its scored predictions
+ * @param {Array<Object>} predictions - { username, score } rows
+ * @returns {Array<Object>} Ranked { username, totalScore, predictionsCount, avgScore, rank }
+ */
+function computeFinalStandings(predictions) {
+  const totals = {};
+
+  (predictions || []).forEach(pred => {
+    if (pred.score === null || pred.score === undefined) return;
+    if (!totals[pred.username]) {
+      totals[pred.username] = { username: pred.username, totalScore: 0, predictionsCount: 0 };
+    }
+    totals[pred.username].totalScore += pred.score;
+    totals[pred.username].predictionsCount++;
+  });
+
+  return rankStandings(Object.values(totals).map(entry => ({
+    ...entry,
+    avgScore: Math.round((entry.totalScore / entry.predictionsCount) * 10) / 10
+  })));
+}
+
+/**
+ * Rank players separately at each forecast lead time
+ * Players make different numbers of forecasts at each lead, so a board ranks
+ * by average score (ties share a rank), then by number of forecasts.
+ * @param {Array<Object>} forecasts - Scored { username, lead_hours, score, distance_error_nm } rows
+ * @returns {Array<Object>} { leadHours, standings } by increasing lead; standings are ranked
+ *   { username, forecastsCount, totalScore, avgScore, avgDistanceErrorNm, rank }
+ */
+function computeLeadTimeStandings(forecasts) {
+  const boards = new Map();
+
+  (forecasts || []).forEach(forecast => {
+    if (forecast.score === null || forecast.score === undefined) return;
+    const leadHours = Number(forecast.lead_hours);
+    if (!boards.has(leadHours)) boards.set(leadHours, {});
+
+    const totals = boards.get(leadHours);
+    if (!totals[forecast.username]) {
+      totals[forecast.username] = { username: forecast.username, totalScore: 0, forecastsCount: 0, totalDistance: 0 };
+    }
+    totals[forecast.username].totalScore += forecast.score;
+    totals[forecast.username].forecastsCount++;
+    totals[forecast.username].totalDistance += Number(forecast.distance_error_nm);
+  });
+
+  const roundOne = value => Math.round(value * 10) / 10;
+
+  return [...boards.keys()].sort((a, b) => a - b).map(leadHours => {
+    const sorted = Object.values(boards.get(leadHours))
+      .map(({ totalDistance, ...entry }) => ({
+        ...entry,
+        avgScore: roundOne(entry.totalScore / entry.forecastsCount),
+        avgDistanceErrorNm: roundOne(totalDistance / entry.forecastsCount)
+      }))
+      .sort((a, b) =>
+        b.avgScore - a.avgScore || b.forecastsCount - a.forecastsCount || a.username.localeCompare(b.username)
+      );
+
+    let previous = null;
+    const standings = sorted.map((entry, index) => {
+      const rank = previous && previous.avgScore === entry.avgScore ? previous.rank : index + 1;
+      previous = { ...entry, rank };
+      return previous;
+    });
+
+    return { leadHours, standings };
+  });
+}
+
+/**
+ * Compare two rankings of the same players (e.g. before and after rescoring)
+ * @param {Array<Object>} before - Ranked standings { username, totalScore, rank }
+ * @param {Array<Object>} after - Ranked standings { username, totalScore, rank }
+ * @returns {Array<Object>} { username, oldRank, newRank, rankChange, oldScore, newScore }
+ *   in new rank order; rankChange is positive when the player moved up
+ */
+function diffStandings(before, after) {
+  const previous = new Map((before || []).map(entry => [entry.username, entry]));
+
+  return (after || []).map(entry => {
+    const old = previous.get(entry.username);
+    return {
+      username: entry.username,
+      oldRank: old ? old.rank : null,
+      newRank: entry.rank,
+      rankChange: old ? old.rank - entry.rank : null,
+      oldScore: old ? old.totalScore : null,
+      newScore: entry.totalScore
+    };
+  });
+}
+
+/**
+ * Build cumulative standings after each timeframe of a storm
+ * @param {Array<Object>} predictions - { username, timeframe, score } rows
+ * @param {Array<string>} timeframeOrder - Prediction timeframes in verification order
+ * @returns {Array<Array<Object>>} One ranked standings list per timeframe
+ */
+function computeStandingsProgression(predictions, timeframeOrder) {
+  return (timeframeOrder || []).map((_, index) => {
+    const included = new Set(timeframeOrder.slice(0, index + 1));
+    return computeFinalStandings((predictions || []).filter(pred => included.has(pred.timeframe)));
+  });
+}
+
+/**
+ * Check whether a player climbed from the bottom half to the top quarter
+ * within one storm (the comeback_kid badge)
+ * @param {string} username - Player
+ * @param {Array<Array<Object>>} progression - Output of computeStandingsProgression
+ * @returns {boolean} Whether the player made a comeback
+ */
+function isComeback(username, progression) {
+  if (!progression || progression.length < 2) return false;
+
+  const final = progression[progression.length - 1];
+  const finalEntry = final.find(entry => entry.username === username);
+  if (!finalEntry || finalEntry.rank > final.length * 0.25) return false;
+
+  return progression.slice(0, -1).some(standings => {
+    const entry = standings.find(e => e.username === username);
+    return !!entry && standings.length >= 2 && entry.rank > standings.length / 2;
+  });
+}
+
+/**
+ * Competitive badge rules, evaluated when a storm is finalized
+ *   finalRank - player's rank in the finished storm
+ *   championships - storms the player has won, including this one
+ *   comeback - result of isComeback for this storm
+ */
+const COMPETITIVE_BADGE_RULES = [
+  { badgeId: 'top_10', check: ctx => ctx.finalRank <= 10 },
+  { badgeId: 'top_5', check: ctx => ctx.finalRank <= 5 },
+  { badgeId: 'podium', check: ctx => ctx.finalRank <= 3 },
+  { badgeId: 'runner_up', check: ctx => ctx.finalRank === 2 },
+  { badgeId: 'champion', check: ctx => ctx.finalRank === 1 },
+  { badgeId: 'repeat_champion', check: ctx => ctx.championships >= 3 },
+  { badgeId: 'comeback_kid', check: ctx => ctx.comeback === true }
+];
+
+/**
+ * Evaluate competitive badges for one player's storm result
+ * @param {Object} context - { finalRank, championships, comeback }
+ * @returns {Array<string>} Badge ids whose rules pass
+ */
+function evaluateCompetitiveBadges(context) {
+  const ctx = { finalRank: Infinity, championships: 0, comeback: false, ...context };
+  return COMPETITIVE_BADGE_RULES
+    .filter(rule => rule.check(ctx))
+    .map(rule => rule.badgeId);
+}
+
+module.exports = {
+  rankStandings,
+  computeFinalStandings,
+  computeLeadTimeStandings,
+  diffStandings,
+  computeStandingsProgression,
+  isComeback,
+  COMPETITIVE_BADGE_RULES,
+  evaluateCompetitiveBadges
+};
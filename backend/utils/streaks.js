@@ -0,0 +1,183 @@
+/**
+ * Participation Utilities
+ * Pure functions for daily, weekend and storm attendance streaks. Days are
+ * calendar days in the game's time zone, which is when the game day turns over.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a date to a calendar day key in a time zone
+ * @param {Date} date - Any instant
+ * @param {string} timeZone - IANA time zone (defaults to UTC)
+ * @returns {string} Day key in YYYY-MM-DD form
+ */
+function toDateKey(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(date));
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+function dayNumber(dateKey) {
+  return Math.round(Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS);
+}
+
+// 0 (Sunday) to 6 (Saturday) for a day key, whatever zone it was taken in
+function dayOfWeek(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+// Longest run and the run ending at the last entry, where consecutive
+// entries are exactly `step` apart
+function runsOf(numbers, step) {
+  const sorted = [...new Set(numbers)].sort((a, b) => a - b);
+  if (sorted.length === 0) return { best: 0, last: 0, lastValue: null };
+
+  let best = 1;
+  let run = 1;
+  for (let i = 1; i < sorted.length; i++) {
+    run = sorted[i] - sorted[i - 1] === step ? run + 1 : 1;
+    best = Math.max(best, run);
+  }
+
+  return { best, last: run, lastValue: sorted[sorted.length - 1] };
+}
+
+/**
+ * Calculate consecutive-day streaks
+ * A streak stays current until a full day passes with no activity, so
+ * a player who played yesterday but not yet today keeps their streak.
+ * @param {Array<string>} dateKeys - Days with activity (YYYY-MM-DD)
+ * @param {Date} today - Reference time (defaults to now)
+ * @param {string} timeZone - Time zone the day keys are in (defaults to UTC)
+ * @returns {Object} { current, best } in days
+ */
+function calculateDayStreaks(dateKeys, today = new Date(), timeZone = 'UTC') {
+  const { best, last, lastValue } = runsOf((dateKeys || []).map(dayNumber), 1);
+  if (lastValue === null) return { current: 0, best: 0 };
+
+  const daysSinceLast = dayNumber(toDateKey(today, timeZone)) - lastValue;
+  return {
+    current: daysSinceLast <= 1 ? last : 0,
+    best
+  };
+}
+
+/**
+ * Get the weekend a day belongs to
+ * @param {string} dateKey - Day key (YYYY-MM-DD)
+ * @returns {string|null} Day key of that weekend's Saturday, or null on weekdays
+ */
+function getWeekendKey(dateKey) {
+  const day = dayOfWeek(dateKey);
+  if (day === 6) return dateKey;
+  if (day === 0) return toDateKey(Date.parse(`${dateKey}T00:00:00Z`) - DAY_MS);
+  return null;
+}
+
+/**
+ * Calculate consecutive-weekend streaks (any Saturday or Sunday counts)
+ * @param {Array<string>} dateKeys - Days with activity (YYYY-MM-DD)
+ * @param {Date} today - Reference time (defaults to now)
+ * @param {string} timeZone - Time zone the day keys are in (defaults to UTC)
+ * @returns {Object} { current, best } in weekends
+ */
+function calculateWeekendStreaks(dateKeys, today = new Date(), timeZone = 'UTC') {
+  const weekends = (dateKeys || []).map(getWeekendKey).filter(Boolean).map(dayNumber);
+  const { best, last, lastValue } = runsOf(weekends, 7);
+  if (lastValue === null) return { current: 0, best: 0 };
+
+  // Still current if the most recent weekend was played, or if that weekend
+  // is still under way and the one before it was played
+  const todayKey = toDateKey(today, timeZone);
+  const todayNumber = dayNumber(todayKey);
+  const daysSinceSaturday = (dayOfWeek(todayKey) + 1) % 7;
+  const latestSaturday = todayNumber - daysSinceSaturday;
+  const weekendInProgress = daysSinceSaturday <= 1;
+  const alive = lastValue === latestSaturday ||
+    (weekendInProgress && lastValue === latestSaturday - 7);
+
+  return {
+    current: alive ? last : 0,
+    best
+  };
+}
+
+/**
+ * Calculate runs of storms where every timeframe was submitted
+ * Runs are counted per basin, since games in different basins play at the
+ * same time and nobody can be expected to play them all; current and best
+ * are the longest in any basin. Storms still in progress only count once
+ * complete; they never break a run.
+ * @param {Array<Object>} storms - In schedule order: { stormId, basin, submitted, required, ended }
+ * @returns {Object} { current, best, completedStorms }
+ */
+function calculateStormStreaks(storms) {
+  const runs = {};
+  let best = 0;
+  let completedStorms = 0;
+
+  (storms || []).forEach(storm => {
+    const basin = storm.basin || 'default';
+    const complete = storm.required > 0 && storm.submitted >= storm.required;
+
+    if (complete) {
+      completedStorms++;
+      runs[basin] = (runs[basin] || 0) + 1;
+      best = Math.max(best, runs[basin]);
+    } else if (storm.ended) {
+      runs[basin] = 0;
+    }
+  });
+
+  const current = Math.max(0, ...Object.values(runs));
+  return { current, best, completedStorms };
+}
+
+/**
+ * Consistency badge rules, evaluated against the player's streaks
+ *   days / weekends / storms - results of the calculate*Streaks functions
+ */
+const CONSISTENCY_BADGE_RULES = [
+  { badgeId: 'streak_3', check: s => s.days.best >= 3 },
+  { badgeId: 'streak_7', check: s => s.days.best >= 7 },
+  { badgeId: 'streak_14', check: s => s.days.best >= 14 },
+  { badgeId: 'streak_30', check: s => s.days.best >= 30 },
+  { badgeId: 'dedication', check: s => s.days.best >= 30 },
+  { badgeId: 'never_miss', check: s => s.storms.completedStorms >= 1 },
+  { badgeId: 'perfect_attendance', check: s => s.storms.best >= 3 },
+  { badgeId: 'iron_will', check: s => s.storms.best >= 5 },
+  { badgeId: 'weekend_warrior', check: s => s.weekends.best >= 4 }
+];
+
+/**
+ * Evaluate consistency badges for a player's streaks
+ * @param {Object} streaks - { days, weekends, storms }
+ * @returns {Array<string>} Badge ids whose rules pass
+ */
+function evaluateConsistencyBadges(streaks) {
+  const s = {
+    days: { current: 0, best: 0, ...(streaks.days || {}) },
+    weekends: { current: 0, best: 0, ...(streaks.weekends || {}) },
+    storms: { current: 0, best: 0, completedStorms: 0, ...(streaks.storms || {}) }
+  };
+
+  return CONSISTENCY_BADGE_RULES
+    .filter(rule => rule.check(s))
+    .map(rule => rule.badgeId);
+}
+
+module.exports = {
+  toDateKey,
+  calculateDayStreaks,
+  getWeekendKey,
+  calculateWeekendStreaks,
+  calculateStormStreaks,
+  CONSISTENCY_BADGE_RULES,
+  evaluateConsistencyBadges
+};
@@ -0,0 +1,256 @@
+/**
+ * Validation Utilities
+ * Typed, range-checked request payloads. Validators return { value, errors }:
+ * `value` holds the cleaned fields and `errors` maps each bad field to a
+ * message (null when everything is valid), so clients can show messages
+ * next to the fields they belong to.
+ */
+
+// Plausibility bounds for a tropical cyclone forecast. Winds are in mph like
+// the rest of the game (230 mph is about 200 kt); pressure is in mb.
+const PREDICTION_FIELDS = {
+  lat: { label: 'Latitude', min: -90, max: 90 },
+  lon: { label: 'Longitude', min: -180, max: 180 },
+  windSpeed: { label: 'Wind speed', min: 0, max: 230, integer: true, unit: 'mph' },
+  pressure: { label: 'Pressure', min: 870, max: 1020, integer: true, unit: 'mb' }
+};
+
+// Where each basin's tropical cyclones plausibly are, in degrees. Once the
+// storm is known its predicted positions must fall inside its basin's box;
+// basins not listed here only get the global PREDICTION_FIELDS bounds.
+const BASIN_AREAS = {
+  atlantic: { name: 'Atlantic', lat: { min: 0, max: 65 }, lon: { min: -110, max: 10 } },
+  eastern_pacific: { name: 'Eastern Pacific', lat: { min: 0, max: 40 }, lon: { min: -180, max: -75 } },
+  western_pacific: { name: 'Western Pacific', lat: { min: 0, max: 50 }, lon: { min: 95, max: 180 } }
+};
+
+// Optional uncertainty around a prediction: a cone radius around the position
+// and a wind range around the wind speed. Omitted fields are left out of `value`.
+const UNCERTAINTY_FIELDS = {
+  radiusNm: { label: 'Cone radius', min: 1, max: 500, unit: 'NM' },
+  windMin: { label: 'Minimum wind', min: 0, max: 230, integer: true, unit: 'mph' },
+  windMax: { label: 'Maximum wind', min: 0, max: 230, integer: true, unit: 'mph' }
+};
+
+// A landfall prediction: where and when (hours after the storm's base point,
+// on the storm's own clock) it comes ashore, and how strong
+const LANDFALL_FIELDS = {
+  lat: PREDICTION_FIELDS.lat,
+  lon: PREDICTION_FIELDS.lon,
+  hoursAfterBase: { label: 'Landfall time', min: 0, max: 120, unit: 'hours' },
+  windSpeed: PREDICTION_FIELDS.windSpeed
+};
+
+// Profile text fields and their maximum lengths (match the users columns)
+const PROFILE_FIELDS = {
+  display_name: { label: 'Display name', maxLength: 100, allowEmpty: false },
+  avatar_url: { label: 'Avatar', maxLength: 500, allowEmpty: true },
+  bio: { label: 'Bio', maxLength: 500, allowEmpty: true },
+  location: { label: 'Location', maxLength: 200, allowEmpty: true }
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Check one numeric field
+ * Only JSON numbers are accepted; numeric strings are rejected so a client
+ * bug can't slip through as a coerced value.
+ * @param {*} value - Raw value from the request body
+ * @param {Object} rule - { label, min, max, integer, unit }
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkNumber(value, rule) {
+  if (isMissing(value)) {
+    return `${rule.label} is required`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${rule.label} must be a number`;
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    return `${rule.label} must be a whole number`;
+  }
+  if (value < rule.min || value > rule.max) {
+    const unit = rule.unit ? ` ${rule.unit}` : '';
+    return `${rule.label} must be between ${rule.min} and ${rule.max}${unit}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a prediction payload (lat, lon, windSpeed, pressure, and the
+ * optional radiusNm, windMin and windMax)
+ * A wind range needs both ends and must contain the wind speed.
+ * @param {Object} body - Request body
+ * @param {Array<string>} requiredStrings - Extra fields that must be non-empty strings (e.g. stormId, timeframe)
+ * @returns {Object} { value, errors } - errors is null when the payload is valid
+ */
+function validatePrediction(body, requiredStrings = []) {
+  const input = body || {};
+  const errors = {};
+  const value = {};
+
+  requiredStrings.forEach(field => {
+    if (typeof input[field] !== 'string' || input[field].trim() === '') {
+      errors[field] = `${field} is required`;
+    } else {
+      value[field] = input[field];
+    }
+  });
+
+  Object.entries(PREDICTION_FIELDS).forEach(([field, rule]) => {
+    const error = checkNumber(input[field], rule);
+    if (error) {
+      errors[field] = error;
+    } else {
+      value[field] = input[field];
+    }
+  });
+
+  Object.entries(UNCERTAINTY_FIELDS).forEach(([field, rule]) => {
+    if (isMissing(input[field])) return;
+    const error = checkNumber(input[field], rule);
+    if (error) {
+      errors[field] = error;
+    } else {
+      value[field] = input[field];
+    }
+  });
+
+  if (!errors.windMin && !errors.windMax) {
+    const { windMin, windMax } = value;
+    if ((windMin === undefined) !== (windMax === undefined)) {
+      errors[windMin === undefined ? 'windMin' : 'windMax'] = 'Wind range needs both a minimum and a maximum';
+    } else if (windMin !== undefined && windMin > windMax) {
+      errors.windMax = 'Maximum wind must be at least the minimum';
+    } else if (windMin !== undefined && !errors.windSpeed && (value.windSpeed < windMin || value.windSpeed > windMax)) {
+      errors.windSpeed = 'Wind speed must be inside the wind range';
+    }
+  }
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validate a landfall prediction payload (lat, lon, hoursAfterBase, windSpeed)
+ * @param {Object} body - Request body
+ * @returns {Object} { value, errors } - errors is null when the payload is valid
+ */
+function validateLandfallPrediction(body) {
+  const input = body || {};
+  const errors = {};
+  const value = {};
+
+  Object.entries(LANDFALL_FIELDS).forEach(([field, rule]) => {
+    const error = checkNumber(input[field], rule);
+    if (error) {
+      errors[field] = error;
+    } else {
+      value[field] = input[field];
+    }
+  });
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validate the extended forecasts sent with a prediction: a list of
+ * prediction payloads, each naming the timeframe it forecasts
+ * Errors are keyed `extendedForecasts.<index>.<field>` so clients can match
+ * them to the row they belong to.
+ * @param {*} input - The request's extendedForecasts
+ * @returns {Object} { value, errors } - value is the list of cleaned forecasts
+ */
+function validateExtendedForecasts(input) {
+  if (!Array.isArray(input)) {
+    return { value: [], errors: { extendedForecasts: 'Extended forecasts must be a list' } };
+  }
+
+  const errors = {};
+  const value = input.map((forecast, index) => {
+    const result = validatePrediction(forecast, ['timeframe']);
+    Object.entries(result.errors || {}).forEach(([field, message]) => {
+      errors[`extendedForecasts.${index}.${field}`] = message;
+    });
+    return result.value;
+  });
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Check that predicted positions lie in the storm's basin
+ * Runs after validatePrediction or validateLandfallPrediction, once the
+ * storm (and so its basin) is known; errors use the same field keys.
+ * @param {string} basin - The storm's basin
+ * @param {Object} position - Cleaned { lat, lon }
+ * @param {Array<Object>} extendedForecasts - Cleaned extended forecasts sent with it
+ * @returns {Object|null} Errors by field, or null when every position is in the basin
+ */
+function validateBasinPositions(basin, position, extendedForecasts = []) {
+  const area = BASIN_AREAS[basin];
+  if (!area) return null;
+
+  const errors = {};
+  const check = (point, prefix) => {
+    ['lat', 'lon'].forEach(field => {
+      const rule = { ...area[field], label: `${PREDICTION_FIELDS[field].label} in the ${area.name} basin` };
+      const error = checkNumber(point[field], rule);
+      if (error) errors[`${prefix}${field}`] = error;
+    });
+  };
+
+  check(position, '');
+  extendedForecasts.forEach((forecast, index) => check(forecast, `extendedForecasts.${index}.`));
+
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+/**
+ * Validate a profile update
+ * Every field is optional; fields that are sent must be strings within the
+ * column length. Omitted fields are left out of `value` so they stay unchanged.
+ * @param {Object} body - Request body
+ * @returns {Object} { value, errors } - errors is null when the payload is valid
+ */
+function validateProfile(body) {
+  const input = body || {};
+  const errors = {};
+  const value = {};
+
+  Object.entries(PROFILE_FIELDS).forEach(([field, rule]) => {
+    const raw = input[field];
+    if (raw === undefined || raw === null) return;
+
+    if (typeof raw !== 'string') {
+      errors[field] = `${rule.label} must be text`;
+      return;
+    }
+
+    const trimmed = raw.trim();
+    if (!rule.allowEmpty && trimmed === '') {
+      errors[field] = `${rule.label} can't be blank`;
+    } else if (trimmed.length > rule.maxLength) {
+      errors[field] = `${rule.label} must be at most ${rule.maxLength} characters`;
+    } else {
+      value[field] = trimmed;
+    }
+  });
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+module.exports = {
+  PREDICTION_FIELDS,
+  BASIN_AREAS,
+  UNCERTAINTY_FIELDS,
+  LANDFALL_FIELDS,
+  PROFILE_FIELDS,
+  checkNumber,
+  validatePrediction,
+  validateLandfallPrediction,
+  validateExtendedForecasts,
+  validateBasinPositions,
+  validateProfile
+};